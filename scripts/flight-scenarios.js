@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+import { AIRCRAFT_PROFILES, DEFAULT_AIRCRAFT } from '../src/aircraft.js';
+
+// Flight-dynamics scenarios for scripts/flight-test.js
+//
+// Each scenario is a timeline of stick/throttle inputs. at(time, input) changes
+// the held input from that time on (unspecified fields keep their value);
+// pulse(start, end, input) holds the input for a window and then releases it.
+// Inputs: roll, pitch, yaw (-1..1 stick), throttle (-1..1 lever rate), boost.
+// A field may also be a function (controller, time) => value for closed-loop holds.
+// from() sets the initial state; expect() ranges run against the sampled telemetry summary.
+
+const NEUTRAL = { roll: 0, pitch: 0, yaw: 0, throttle: 0, boost: false };
+const BANK_60 = THREE.MathUtils.degToRad(-60); // Positive roll stick banks to negative roll angles
+
+// Closed-loop roll stick that holds a bank angle
+function holdBank(target, gain = 1.5) {
+  return (controller) => THREE.MathUtils.clamp((controller.roll - target) * gain, -1, 1);
+}
+
+// Heading minus ground track over the last two seconds, in degrees
+function crabAngle(summary) {
+  const from = summary.samples[summary.samples.length - 41];
+  const to = summary.samples[summary.samples.length - 1];
+  const track = Math.atan2(to.position[0] - from.position[0], from.position[2] - to.position[2]) * THREE.MathUtils.RAD2DEG;
+  return ((to.heading - track + 540) % 360) - 180;
+}
+
+class Scenario {
+  constructor(name, duration) {
+    this.name = name;
+    this.duration = duration;
+    this.keyframes = [];
+    this.expectations = [];
+    this.initial = {};
+  }
+
+  // Initial conditions: { speed } in m/s, { aircraft } profile id, { weather } (see Atmosphere);
+  // level and heading north
+  from(initial) {
+    this.initial = { ...this.initial, ...initial };
+    return this;
+  }
+
+  at(time, input) {
+    this.keyframes.push({ time, input });
+    this.keyframes.sort((a, b) => a.time - b.time);
+    return this;
+  }
+
+  pulse(start, end, input) {
+    const release = {};
+    for (const key of Object.keys(input)) release[key] = NEUTRAL[key];
+    return this.at(start, input).at(end, release);
+  }
+
+  // metric is a summary key ('speed.max', 'g.avg', 'headingChange') or a function of the summary
+  expect(label, metric, min, max) {
+    this.expectations.push({ label, metric, min, max });
+    return this;
+  }
+
+  inputAt(time, target = {}) {
+    Object.assign(target, NEUTRAL);
+    for (const keyframe of this.keyframes) {
+      if (keyframe.time > time) break;
+      Object.assign(target, keyframe.input);
+    }
+    return target;
+  }
+}
+
+export function scenario(name, duration) {
+  return new Scenario(name, duration);
+}
+
+export const SCENARIOS = [
+  // Hands off at the spawn trim
+  scenario('trim-level', 8)
+    .expect('trim-speed', 'speed.avg', 220, 300)
+    .expect('trim-g', 'g.avg', 0.85, 1.25)
+    .expect('trim-aoa', 'aoa.avg', -2, 6),
+
+  // Hands off at each other airframe's trim, relative to its own cruise speed
+  ...AIRCRAFT_PROFILES.filter((profile) => profile.id !== DEFAULT_AIRCRAFT).map((profile) => {
+    const cruise = profile.handling.cruiseSpeed;
+    return scenario(`trim-${profile.id}`, 8)
+      .from({ aircraft: profile.id })
+      .expect(`${profile.id}-trim-speed`, 'speed.avg', cruise * 0.85, cruise * 1.2)
+      .expect(`${profile.id}-trim-g`, 'g.avg', 0.85, 1.25)
+      .expect(`${profile.id}-trim-aoa`, 'aoa.avg', -2, 6)
+      .expect(`${profile.id}-trim-no-stall`, 'stall.max', 0, 0);
+  }),
+
+  // Hard pull for two seconds, then neutral
+  scenario('pitch-pull', 4)
+    .pulse(0, 2, { pitch: 0.9 })
+    .expect('pull-max-g', 'g.max', 3.5, 9)
+    .expect('pull-stall', 'stall.max', 0, 0.45),
+
+  // Full aileron for two seconds
+  scenario('roll-right', 3)
+    .pulse(0, 2, { roll: 1 })
+    .expect('roll-rate', 'rollRate.max', 140, 260),
+
+  // Full throttle with afterburner from cruise
+  scenario('afterburner', 5)
+    .at(0, { throttle: 1, boost: true })
+    .expect('afterburner-speed', 'speed.max', 360, 520),
+
+  // Hold 60 degrees of bank with light back pressure at full power
+  scenario('sustained-turn', 4)
+    .at(0, { roll: holdBank(BANK_60), throttle: 1 })
+    .at(0.8, { pitch: 0.2 })
+    .expect('turn-heading-change', (s) => Math.abs(s.headingChange), 40, 180)
+    .expect('turn-g', 'g.max', 3, 9)
+    .expect('turn-altitude-hold', (s) => Math.abs(s.altitudeChange), 0, 150)
+    .expect('turn-no-stall', 'stall.max', 0, 0.1),
+
+  // Full afterburner loop; the top is well over a kilometre up, where the thinner air slows it down
+  scenario('loop', 12)
+    .at(0, { throttle: 1, boost: true })
+    .at(0.5, { pitch: 1 })
+    .expect('loop-inverted', 'upY.min', -1, -0.8)
+    .expect('loop-climb', (s) => s.alt.max - s.alt.first, 200, 3000)
+    .expect('loop-speed-floor', 'speed.min', 90, 500),
+
+  // Half roll to inverted, then pull through to reverse heading while losing height
+  scenario('split-s', 6)
+    .pulse(0, 0.75, { roll: 1 })
+    .at(1, { pitch: 0.25, throttle: -1 })
+    .expect('split-s-inverted', 'upY.min', -1, -0.8)
+    .expect('split-s-altitude-loss', (s) => s.alt.first - s.alt.min, 300, 2000)
+    .expect('split-s-reversal', (s) => Math.abs(s.headingFinalError), 150, 180)
+    .expect('split-s-no-stall', 'stall.max', 0, 0.1),
+
+  // Slow, idle and full back stick into the AoA limiter, then unload with power
+  scenario('stall-recovery', 10)
+    .from({ speed: 110 })
+    .at(0, { throttle: -1, pitch: 1 })
+    .at(3, { pitch: -0.5, throttle: 1 })
+    .at(4.5, { pitch: 0 })
+    .expect('stall-buffet', 'stall.max', 0.1, 0.6)
+    .expect('stall-aoa-limit', 'aoa.max', 15, 25)
+    .expect('stall-recovered', 'stall.final', 0, 0.02)
+    .expect('stall-recovery-speed', (s) => s.speed.final - s.speed.min, 50, 200),
+
+  // Crossed controls: half rudder against a little opposite aileron
+  scenario('sideslip', 2.5)
+    .at(0.5, { yaw: 0.5, roll: -0.15 })
+    .expect('sideslip-beta', 'beta.max', 20, 70)
+    .expect('sideslip-heading', (s) => s.headingChange, -90, -30)
+    .expect('sideslip-no-stall', 'stall.max', 0, 0.1),
+
+  // Hands off into a 30 m/s headwind: airspeed holds, ground speed drops
+  scenario('headwind', 6)
+    .from({ weather: { windSpeed: 30, windDirection: 0 } })
+    .expect('headwind-gap', (s) => s.airspeed.avg - s.speed.avg, 25, 35)
+    .expect('headwind-airspeed', 'airspeed.avg', 240, 340),
+
+  // Hands off in a 20 m/s wind from the east: the nose weathervanes into it and
+  // the aircraft crabs, its track drifting west of its heading
+  scenario('crosswind', 8)
+    .from({ weather: { windSpeed: 20, windDirection: 90 } })
+    .expect('crosswind-weathervane', 'headingChange', 1, 8)
+    .expect('crosswind-crab', crabAngle, 2, 8)
+    .expect('crosswind-sideslip-settled', 'beta.final', -1, 1),
+
+  // Moderate turbulence with gusts shakes the airframe without upsetting it
+  scenario('turbulence', 10)
+    .from({ weather: { windSpeed: 10, windDirection: 200, gusts: 0.5, turbulence: 2 } })
+    .expect('turbulence-g-spread', (s) => s.g.max - s.g.min, 0.15, 3)
+    .expect('turbulence-upright', 'upY.min', 0.7, 1)
+    .expect('turbulence-no-stall', 'stall.max', 0, 0.05),
+
+  // Burn the afterburner dry, then let it regenerate
+  scenario('afterburner-fuel', 12)
+    .pulse(0, 5, { boost: true })
+    .expect('fuel-depleted', (s) => s.samples.find((sample) => sample.t >= 4.5).fuel, 0, 0.05)
+    .expect('fuel-regen', 'fuel.final', 0.95, 1)
+];
@@ -1,159 +1,1524 @@
 import * as THREE from 'three';
-import { createAirplane } from '../src/airplane.js';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AIRCRAFT_PROFILES, HANDLING_KEYS, createAircraftModel, getAircraftProfile, validateAircraftProfile } from '../src/aircraft.js';
 import { FlightController } from '../src/controls.js';
+import { GroundCollision } from '../src/collision.js';
+import { getTerrainHeight, setTerrainSeed } from '../src/terrain.js';
+import { FlightRecorder, FlightRecording, FlightReplay } from '../src/recorder.js';
+import { GhostRace } from '../src/ghosts.js';
+import { FixedTimestep, PHYSICS_STEP } from '../src/timestep.js';
+import { TimeTrial, parseCourse, MISSED_GATE_PENALTY } from '../src/course.js';
+import { TUNING_GROUPS, applyTuning, exportTuning, parseTuning } from '../src/tuning.js';
+import { TELEMETRY_CHANNELS, TelemetryHistory } from '../src/telemetry.js';
+import { ALTITUDE_SCALE, Atmosphere, densityRatio } from '../src/atmosphere.js';
+import { Autopilot } from '../src/autopilot.js';
+import { audioMix, engineSpoolTarget } from '../src/audio.js';
+import { MAX_SONAR_PINGS, Sonar } from '../src/sonar.js';
+import { EMITTERS, ParticleEffects, vaporIntensity } from '../src/effects.js';
+import { FlightTrails, RibbonTrail, wingtipStrength } from '../src/trails.js';
+import { BLEND_TIME, CameraRig } from '../src/camera.js';
+import { PhotoMode, photoSize } from '../src/photo.js';
+import { DEFAULT_BINDINGS, InputMap } from '../src/input.js';
+import { GPWS_CAUTION, GPWS_CLEAR, GPWS_WARNING, GroundProximityWarning } from '../src/gpws.js';
+import { SCENARIOS } from './flight-scenarios.js';
+
+// Usage: node scripts/flight-test.js [--update-baselines] [--only name,name]
 
 const DEG = THREE.MathUtils.RAD2DEG;
+const BASELINE_PATH = fileURLToPath(new URL('./baselines/flight-dynamics.json', import.meta.url));
+const BASELINE_INTERVAL = 0.25; // Seconds between stored baseline samples
+const SAMPLE_INTERVAL = 0.05;
+
+// Allowed drift from the stored baseline per sampled channel
+const TOLERANCES = {
+  speed: 1.0, // m/s
+  alt: 2.0, // m
+  g: 0.1,
+  aoa: 0.5, // deg
+  beta: 0.5, // deg
+  stall: 0.03,
+  fuel: 0.01,
+  position: 5.0, // m (distance)
+  attitude: 1.5 // deg (angle between orientations)
+};
+const SCALAR_CHANNELS = ['speed', 'alt', 'g', 'aoa', 'beta', 'stall', 'fuel'];
+
+const args = process.argv.slice(2);
+const updateBaselines = args.includes('--update-baselines');
+const onlyIndex = args.indexOf('--only');
+const only = onlyIndex >= 0 ? args[onlyIndex + 1].split(',') : null;
+
+function createRig(aircraft) {
+  const profile = getAircraftProfile(aircraft);
+  const airplane = createAircraftModel(profile);
+  const controller = new FlightController(airplane, profile);
+  return { airplane, controller };
+}
+
+function wrapDegrees(angle) {
+  return ((angle + 540) % 360) - 180;
+}
+
+// Fly a scenario at the game's physics rate, sampling telemetry
+function runScenario(definition) {
+  const { airplane, controller } = createRig(definition.initial.aircraft);
+  const steps = Math.round(definition.duration / PHYSICS_STEP);
+  const sampleEvery = Math.round(SAMPLE_INTERVAL / PHYSICS_STEP);
+  const input = {};
+  const forward = new THREE.Vector3();
+  const up = new THREE.Vector3();
+  const samples = [];
+
+  // Weather runs over flat ground at sea level so only the air mass varies
+  if (definition.initial.weather) {
+    controller.setAtmosphere(new Atmosphere(() => 0, definition.initial.weather, definition.name));
+  }
+  if (definition.initial.speed !== undefined) {
+    controller.setPose(airplane.position, airplane.quaternion, new THREE.Vector3(0, 0, -definition.initial.speed));
+  }
+
+  let heading = null;
+  let headingChange = 0;
+
+  for (let i = 0; i <= steps; i += 1) {
+    const time = i * PHYSICS_STEP;
+    if (i > 0) {
+      definition.inputAt(time - PHYSICS_STEP, input);
+      for (const key of Object.keys(input)) {
+        if (typeof input[key] === 'function') input[key] = input[key](controller, time - PHYSICS_STEP);
+      }
+      controller.stickX = input.roll;
+      controller.stickY = input.pitch;
+      controller.yawInput = input.yaw;
+      controller.throttle = input.throttle;
+      controller.boost = input.boost;
+      controller.step(PHYSICS_STEP);
+    }
+
+    forward.set(0, 0, -1).applyQuaternion(airplane.quaternion);
+    up.set(0, 1, 0).applyQuaternion(airplane.quaternion);
+    const currentHeading = Math.atan2(forward.x, -forward.z) * DEG;
+    if (heading !== null) headingChange += wrapDegrees(currentHeading - heading);
+    heading = currentHeading;
 
-function createRig() {
-  const airplane = createAirplane();
-  const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 2000);
-  const controller = new FlightController(airplane, camera);
-  return { airplane, camera, controller };
+    if (i % sampleEvery !== 0) continue;
+    const t = controller.telemetry;
+    samples.push({
+      t: time,
+      speed: t.speed,
+      airspeed: t.airspeed,
+      alt: airplane.position.y,
+      g: t.gForce,
+      aoa: t.aoa * DEG,
+      beta: t.beta * DEG,
+      stall: t.stall,
+      fuel: controller.afterburnerFuel,
+      afterburner: controller.afterburnerActive ? 1 : 0,
+      rollRate: t.rollRate * DEG,
+      pitchRate: t.pitchRate * DEG,
+      yawRate: t.yawRate * DEG,
+      heading: currentHeading,
+      upY: up.y,
+      position: airplane.position.toArray(),
+      quaternion: airplane.quaternion.toArray()
+    });
+  }
+
+  return summarize(definition.name, samples, headingChange);
 }
 
-function runScenario(name, duration, inputFn) {
+// Per-channel first/final/min/max/avg; the first sample is the pre-input state
+function summarize(name, samples, headingChange) {
+  const summary = { name, samples, headingChange };
+  const channels = Object.keys(samples[0]).filter((key) => typeof samples[0][key] === 'number' && key !== 't');
+
+  for (const channel of channels) {
+    const values = samples.slice(1).map((sample) => sample[channel]);
+    summary[channel] = {
+      first: samples[0][channel],
+      final: values[values.length - 1],
+      min: Math.min(...values),
+      max: Math.max(...values),
+      avg: values.reduce((sum, value) => sum + value, 0) / values.length
+    };
+  }
+
+  summary.altitudeChange = summary.alt.final - summary.alt.first;
+  summary.headingFinalError = wrapDegrees(summary.heading.final - summary.heading.first);
+  return summary;
+}
+
+function evaluate(definition, summary) {
+  return definition.expectations.map(({ label, metric, min, max }) => {
+    const value = typeof metric === 'function'
+      ? metric(summary)
+      : metric.split('.').reduce((entry, key) => entry[key], summary);
+    return check(label, value, min, max);
+  });
+}
+
+// Baselines keep every BASELINE_INTERVAL-th sample, rounded to keep the file diffable
+function toBaseline(summary) {
+  const stride = Math.round(BASELINE_INTERVAL / SAMPLE_INTERVAL);
+  const kept = summary.samples.filter((sample, index) => index % stride === 0);
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const baseline = { t: kept.map((sample) => round(sample.t)) };
+
+  for (const channel of SCALAR_CHANNELS) {
+    baseline[channel] = kept.map((sample) => round(sample[channel]));
+  }
+  baseline.position = kept.map((sample) => sample.position.map(round));
+  baseline.quaternion = kept.map((sample) => sample.quaternion.map((value) => Math.round(value * 1e6) / 1e6));
+  return baseline;
+}
+
+// Compare against the stored baseline; returns readable lines for every channel out of tolerance
+function diffBaseline(summary, baseline) {
+  const current = toBaseline(summary);
+  if (current.t.length !== baseline.t.length) {
+    return [`sample count ${current.t.length} (baseline ${baseline.t.length})`];
+  }
+
+  const lines = [];
+  const a = new THREE.Quaternion();
+  const b = new THREE.Quaternion();
+  const report = (channel, errors, format) => {
+    const failing = errors.filter((entry) => entry.error > TOLERANCES[channel]);
+    if (failing.length === 0) return;
+    const worst = failing.reduce((max, entry) => (entry.error > max.error ? entry : max));
+    lines.push(`${channel}: ${failing.length}/${errors.length} samples off, first at t=${failing[0].t.toFixed(2)}s, ` +
+      `worst at t=${worst.t.toFixed(2)}s ${format(worst)} (tolerance ±${TOLERANCES[channel]})`);
+  };
+
+  for (const channel of SCALAR_CHANNELS) {
+    const errors = current[channel].map((value, index) => ({
+      t: current.t[index],
+      value,
+      expected: baseline[channel][index],
+      error: Math.abs(value - baseline[channel][index])
+    }));
+    report(channel, errors, (entry) => `${entry.value.toFixed(3)} vs ${entry.expected.toFixed(3)}`);
+  }
+
+  const positionErrors = current.position.map((value, index) => ({
+    t: current.t[index],
+    error: Math.hypot(...value.map((component, axis) => component - baseline.position[index][axis]))
+  }));
+  report('position', positionErrors, (entry) => `${entry.error.toFixed(2)} m away`);
+
+  const attitudeErrors = current.quaternion.map((value, index) => ({
+    t: current.t[index],
+    error: a.fromArray(value).angleTo(b.fromArray(baseline.quaternion[index])) * DEG
+  }));
+  report('attitude', attitudeErrors, (entry) => `${entry.error.toFixed(2)}° off`);
+
+  return lines;
+}
+
+function loadBaselines() {
+  try {
+    return JSON.parse(readFileSync(BASELINE_PATH, 'utf8'));
+  } catch {
+    return { scenarios: {} };
+  }
+}
+
+function saveBaselines(baselines) {
+  mkdirSync(dirname(BASELINE_PATH), { recursive: true });
+  // One line per channel so a handling change shows up as a readable git diff
+  const text = JSON.stringify(baselines, null, 2)
+    .replace(/\[[-\d.,e\s]*\]/g, (array) => array.replace(/\s+/g, ''))
+    .replace(/\[[-\d.,e\s[\]]*\]/g, (array) => array.replace(/\s+/g, ''));
+  writeFileSync(BASELINE_PATH, `${text}\n`);
+}
+
+// Dive into terrain until impact, then wait out the respawn
+function runTerrainDive(duration) {
   const rig = createRig();
-  const { controller } = rig;
+  const { airplane, controller } = rig;
+  setTerrainSeed(1337);
+  const ground = new GroundCollision(getTerrainHeight);
+  controller.setGround(ground);
+  controller.respawn();
+
   const dt = 1 / 60;
   const steps = Math.floor(duration / dt);
-
-  const stats = {
-    speed: { min: Infinity, max: -Infinity, sum: 0 },
-    g: { min: Infinity, max: -Infinity, sum: 0 },
-    aoa: { min: Infinity, max: -Infinity, sum: 0 },
-    rollRate: { min: Infinity, max: -Infinity, sum: 0 },
-    pitchRate: { min: Infinity, max: -Infinity, sum: 0 },
-    stall: { min: Infinity, max: -Infinity, sum: 0 }
-  };
+  let impactTime = -1;
+  let respawnTime = -1;
+  let minClearance = Infinity;
 
   for (let i = 0; i < steps; i += 1) {
     const time = i * dt;
-    if (inputFn) inputFn(time, controller);
+    controller.throttle = 0;
+    controller.boost = false;
+    controller.stickX = 0;
+    controller.stickY = impactTime < 0 ? -0.6 : 0;
     controller.update(dt);
 
+    const clearance = airplane.position.y - getTerrainHeight(airplane.position.x, airplane.position.z);
+    minClearance = Math.min(minClearance, clearance);
+
+    if (impactTime < 0 && controller.crashed) impactTime = time;
+    if (impactTime >= 0 && respawnTime < 0 && !controller.crashed) respawnTime = time;
+  }
+
+  return {
+    impactTime,
+    respawnDelay: respawnTime >= 0 ? respawnTime - impactTime : -1,
+    minClearance,
+    impact: controller.lastImpact,
+    respawnClearance: airplane.position.y - getTerrainHeight(airplane.position.x, airplane.position.z)
+  };
+}
+
+// Record a roll, round-trip it through JSON and replay it onto a fresh rig; truncated or
+// broken copies of the file are rejected
+function runReplayRoundTrip(duration) {
+  const rig = createRig();
+  const recorder = new FlightRecorder({ seed: 1337 });
+  const dt = 1 / 60;
+  const steps = Math.floor(duration / dt);
+
+  for (let i = 0; i < steps; i += 1) {
+    rig.controller.stickX = i * dt < 1 ? 1 : 0;
+    rig.controller.update(dt);
+    recorder.capture(rig.controller, dt);
+  }
+
+  const json = recorder.recording.toJSON();
+  const recording = FlightRecording.fromJSON(JSON.parse(JSON.stringify(json)));
+  const rejects = (broken) => {
+    try {
+      FlightRecording.fromJSON(broken);
+      return false;
+    } catch {
+      return true;
+    }
+  };
+  const broken = [
+    { ...json, data: json.data.slice(0, json.data.length >> 1) },
+    { ...json, frameCount: json.frameCount + 1 },
+    { ...json, frameCount: 0 },
+    { ...json, fields: undefined }
+  ];
+  const playback = createRig();
+  const replay = new FlightReplay(recording, playback.controller);
+  replay.seek(0.5);
+  replay.apply();
+  const midRoll = playback.controller.pilotInput().roll;
+  replay.seek(replay.duration);
+  replay.apply();
+
+  return {
+    frames: recording.frameCount,
+    midRoll,
+    rejected: broken.filter(rejects).length,
+    brokenCount: broken.length,
+    positionError: playback.airplane.position.distanceTo(rig.airplane.position),
+    angleError: playback.airplane.quaternion.angleTo(rig.airplane.quaternion) * DEG
+  };
+}
+
+// Fly the same inputs against a ghost of the first flight; the gap should stay near zero
+function runGhostRace(duration) {
+  const dt = 1 / 60;
+  const steps = Math.floor(duration / dt);
+  const fly = (controller, i) => {
+    controller.stickX = i * dt < 1 ? 0.6 : 0;
+    controller.stickY = i * dt > 2 ? 0.3 : 0;
+  };
+
+  const rig = createRig();
+  const recorder = new FlightRecorder({ seed: 1337 });
+  for (let i = 0; i < steps; i += 1) {
+    fly(rig.controller, i);
+    rig.controller.update(dt);
+    recorder.capture(rig.controller, dt);
+  }
+
+  const racer = createRig();
+  const race = new GhostRace(new THREE.Scene());
+  race.add(recorder.recording);
+  race.start(racer.controller);
+
+  let maxDelta = 0;
+  let offCourse = 0;
+  for (let i = 0; i < steps; i += 1) {
+    fly(racer.controller, i);
+    racer.controller.update(dt);
+    race.update(dt, racer.airplane.position);
+    if (race.delta === null) offCourse += 1;
+    else maxDelta = Math.max(maxDelta, Math.abs(race.delta));
+  }
+
+  return { maxDelta, offCourse };
+}
+
+// Straight point-to-point course with one gate offset to the side: three passes, one miss.
+// finishX moves the finish line off the flight path
+function runTimeTrial(duration, finishX = 0) {
+  const rig = createRig();
+  const trial = new TimeTrial(new THREE.Scene());
+  trial.load(parseCourse({
+    format: 'particle-flight-course',
+    version: 1,
+    loop: false,
+    gates: [
+      { x: 0, y: 100, z: -300, radius: 45 },
+      { x: 0, y: 100, z: -900, radius: 45 },
+      { x: 120, y: 100, z: -1500, radius: 45 },
+      { x: finishX, y: 100, z: -2100, radius: 45 }
+    ]
+  }), () => 0);
+  trial.start(rig.controller);
+
+  const dt = 1 / 60;
+  const from = new THREE.Vector3();
+  for (let i = 0; i < duration / dt && trial.state !== 'finished'; i += 1) {
+    from.copy(rig.airplane.position);
+    rig.controller.update(dt);
+    trial.update(dt, from, rig.airplane.position);
+  }
+
+  return { finished: trial.state === 'finished' ? 1 : 0, missed: trial.missed, penalty: trial.penalty, elapsed: trial.elapsed };
+}
+
+// Feed the fixed-step loop at different frame cadences; the physics must not notice
+function runCadence(frameTimes, steps) {
+  const rig = createRig();
+  const timestep = new FixedTimestep();
+  let snapshot = null;
+
+  const stepFn = (dt) => {
+    if (timestep.steps >= steps) return;
+    const time = timestep.steps * dt;
+    rig.controller.stickX = time < 1 ? 0.8 : 0;
+    rig.controller.stickY = time > 1.5 && time < 3 ? 0.6 : 0;
+    rig.controller.throttle = time > 2 ? 1 : 0;
+    rig.controller.step(dt);
+    if (timestep.steps + 1 === steps) {
+      snapshot = {
+        position: rig.airplane.position.clone(),
+        quaternion: rig.airplane.quaternion.clone(),
+        speed: rig.controller.speed
+      };
+    }
+  };
+
+  for (let frame = 0; !snapshot; frame += 1) {
+    timestep.advance(frameTimes[frame % frameTimes.length], stepFn);
+  }
+  return snapshot;
+}
+
+function runCadenceInvariance() {
+  const steps = 480;
+  const reference = runCadence([1 / 60], steps);
+  const cadences = [[1 / 144], [1 / 30], [1 / 24, 1 / 90, 1 / 50, 0.004]];
+  let positionError = 0;
+  let angleError = 0;
+  let speedError = 0;
+
+  for (const frameTimes of cadences) {
+    const result = runCadence(frameTimes, steps);
+    positionError = Math.max(positionError, result.position.distanceTo(reference.position));
+    angleError = Math.max(angleError, result.quaternion.angleTo(reference.quaternion) * DEG);
+    speedError = Math.max(speedError, Math.abs(result.speed - reference.speed));
+  }
+
+  return { positionError, angleError, speedError };
+}
+
+// Every shipped profile validates; deliberately broken copies are rejected
+function runProfileValidation() {
+  const accepts = (profile) => {
+    try {
+      validateAircraftProfile(profile);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  const base = getAircraftProfile();
+  const broken = [
+    { ...base, model: null },
+    { ...base, handling: { ...base.handling, clAlpha: undefined } },
+    { ...base, handling: { ...base.handling, stallSpeed: base.handling.cruiseSpeed + 1 } },
+    { ...base, handling: { ...base.handling, maxThrust: -1 } },
+    { ...base, handling: { ...base.handling, aoaLimit: 90 } }
+  ];
+
+  return {
+    valid: AIRCRAFT_PROFILES.filter(accepts).length,
+    rejected: broken.filter((profile) => !accepts(profile)).length,
+    brokenCount: broken.length
+  };
+}
+
+// Stored key bindings load unless they are malformed or give one key to two actions
+function runBindingValidation() {
+  const swapped = { ...DEFAULT_BINDINGS, yawLeft: DEFAULT_BINDINGS.yawRight, yawRight: DEFAULT_BINDINGS.yawLeft };
+  const broken = [
+    { ...DEFAULT_BINDINGS, yawLeft: DEFAULT_BINDINGS.yawRight },
+    { ...DEFAULT_BINDINGS, yawLeft: 'KeyA' },
+    { ...DEFAULT_BINDINGS, yawRight: [7] }
+  ];
+  const restored = broken.filter((bindings) => {
+    const input = new InputMap(bindings);
+    return input.conflicted && JSON.stringify(input.bindings) === JSON.stringify(DEFAULT_BINDINGS);
+  });
+
+  return {
+    swapped: new InputMap(swapped).actionForCode(DEFAULT_BINDINGS.yawLeft[0]) === 'yawRight' ? 1 : 0,
+    restored: restored.length,
+    brokenCount: broken.length
+  };
+}
+
+// Tuned parameters survive export, parse and apply onto a fresh controller
+function runTuningRoundTrip() {
+  const tunable = TUNING_GROUPS.flatMap((group) => group.params.map((param) => param.key));
+  const tuned = createRig('glider').controller;
+  tuned.maxRollRate *= 1.5;
+  tuned.liftScalar *= 0.9;
+  tuned.chaseDistance = 55;
+
+  const json = JSON.parse(JSON.stringify(exportTuning(tuned)));
+  const fresh = createRig('glider').controller;
+  applyTuning(fresh, parseTuning(json, fresh.profile));
+
+  let mismatch = 0;
+  for (const key of tunable) {
+    if (Math.abs(fresh[key] - tuned[key]) > Math.abs(tuned[key]) * 1e-5) mismatch += 1;
+  }
+
+  let rejected = 0;
+  for (const bad of [{ ...json, handling: { warp: 1 } }, { ...json, handling: { minSpeed: 500 } }, { ...json, format: 'x' }]) {
+    try {
+      parseTuning(bad, fresh.profile);
+    } catch {
+      rejected += 1;
+    }
+  }
+
+  return {
+    uncovered: HANDLING_KEYS.filter((key) => !tunable.includes(key)).length,
+    mismatch,
+    rejected
+  };
+}
+
+// Ring buffer keeps the newest samples in order; frozen history ignores new steps
+function runTelemetryHistory() {
+  const { controller } = createRig();
+  const history = new TelemetryHistory(100);
+  controller.stickY = 0.6;
+  for (let i = 0; i < 250; i += 1) {
+    controller.step(PHYSICS_STEP);
+    history.record(controller, PHYSICS_STEP);
+  }
+  const speed = TELEMETRY_CHANNELS.findIndex((channel) => channel.id === 'speed');
+  const latestError = Math.abs(history.latest(speed) - controller.telemetry.speed);
+
+  history.paused = true;
+  controller.step(PHYSICS_STEP);
+  history.record(controller, PHYSICS_STEP);
+  const frozenUpdated = history.latest(speed) === Math.fround(controller.telemetry.speed) ? 1 : 0;
+
+  const rows = history.toCSV().trim().split('\n');
+  const times = rows.slice(1).map((row) => Number(row.split(',')[0]));
+  const ordered = times.every((time, i) => i === 0 || time > times[i - 1]);
+  return {
+    count: history.count,
+    rows: rows.length - 1,
+    columns: rows[1].split(',').length,
+    span: times[times.length - 1],
+    ordered: ordered ? 1 : 0,
+    latestError,
+    frozenUpdated
+  };
+}
+
+// Full-throttle climb at a fixed flight path angle until thrust and lift run out of air
+function runServiceCeiling(duration) {
+  const { airplane, controller } = createRig();
+  const target = THREE.MathUtils.degToRad(15);
+  const steps = Math.round(duration / PHYSICS_STEP);
+  const settleFrom = steps - Math.round(60 / PHYSICS_STEP);
+  let peak = -Infinity;
+  let settled = 0;
+  let peakDensity = 1;
+  const velocity = new THREE.Vector3();
+
+  controller.throttleSetting = 1;
+  for (let i = 0; i < steps; i += 1) {
+    controller.getVelocity(velocity);
+    const pathAngle = Math.atan2(velocity.y, Math.hypot(velocity.x, velocity.z));
+    controller.stickY = controller.telemetry.stall > 0 ? 0 : THREE.MathUtils.clamp((target - pathAngle) * 3, -1, 1);
+    controller.step(PHYSICS_STEP);
+    if (airplane.position.y > peak) {
+      peak = airplane.position.y;
+      peakDensity = controller.telemetry.density;
+    }
+    if (i >= settleFrom) settled += airplane.position.y / (steps - settleFrom);
+  }
+
+  return { peak, peakDensity, settled };
+}
+
+// Same pose over flat ground, skimming the surface and well clear of it
+function runGroundEffect() {
+  const fly = (height) => {
+    const { controller } = createRig();
+    const ground = new GroundCollision(() => 0);
+    controller.setGround(ground);
+    controller.setPose(
+      new THREE.Vector3(0, ground.clearance + height, 0),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(THREE.MathUtils.degToRad(4), 0, 0, 'YXZ')),
+      new THREE.Vector3(0, 0, -150)
+    );
+    controller.step(PHYSICS_STEP);
+    return controller;
+  };
+
+  const wingspan = getAircraftProfile().handling.wingspan;
+  const near = fly(wingspan * 0.1);
+  const far = fly(wingspan * 3);
+  const induced = (controller) => {
     const t = controller.telemetry;
-    stats.speed.min = Math.min(stats.speed.min, t.speed);
-    stats.speed.max = Math.max(stats.speed.max, t.speed);
-    stats.speed.sum += t.speed;
+    return (t.cd - controller.cd0 - controller.cdAlpha * Math.abs(t.aoa)) / (controller.cdInduced * t.cl * t.cl);
+  };
 
-    stats.g.min = Math.min(stats.g.min, t.gForce);
-    stats.g.max = Math.max(stats.g.max, t.gForce);
-    stats.g.sum += t.gForce;
+  return {
+    liftRatio: near.telemetry.cl / far.telemetry.cl,
+    inducedNear: induced(near),
+    inducedFar: induced(far),
+    farEffect: far.telemetry.groundEffect
+  };
+}
+
+// Autopilot modes flown to their targets, terrain following over real terrain, and pilot override
+function runAutopilot() {
+  const fly = (rig, autopilot, seconds, each) => {
+    for (let i = 0; i < Math.round(seconds / PHYSICS_STEP); i += 1) {
+      autopilot.update(PHYSICS_STEP);
+      rig.controller.step(PHYSICS_STEP);
+      if (each) each();
+    }
+  };
+
+  const climb = createRig();
+  const altitudeHold = new Autopilot(climb.controller, () => 0);
+  altitudeHold.toggle('altitude');
+  altitudeHold.targetAltitude += 300;
+  fly(climb, altitudeHold, 40);
+
+  // Turn to the west holding height and speed; track the worst height excursion on the way
+  const turn = createRig();
+  const headingHold = new Autopilot(turn.controller, () => 0);
+  for (const mode of ['altitude', 'heading', 'speed']) headingHold.toggle(mode);
+  headingHold.targetHeading = Math.PI * 1.5;
+  let turnAltitudeError = 0;
+  fly(turn, headingHold, 60, () => {
+    turnAltitudeError = Math.max(turnAltitudeError, Math.abs(turn.airplane.position.y - headingHold.targetAltitude));
+  });
+  const headingError = Math.abs(wrapDegrees((headingHold.currentHeading() - headingHold.targetHeading) * DEG));
+
+  const accelerate = createRig();
+  const speedHold = new Autopilot(accelerate.controller, () => 0);
+  speedHold.toggle('altitude');
+  speedHold.toggle('speed');
+  speedHold.targetSpeed += 30;
+  fly(accelerate, speedHold, 60);
+
+  setTerrainSeed(1337);
+  const follow = createRig();
+  follow.controller.setGround(new GroundCollision(getTerrainHeight));
+  follow.controller.respawn();
+  const terrainFollow = new Autopilot(follow.controller, getTerrainHeight);
+  for (const mode of ['terrain', 'heading', 'speed']) terrainFollow.toggle(mode);
+  let minClearance = Infinity;
+  let clearanceSum = 0;
+  let clearanceSamples = 0;
+  fly(follow, terrainFollow, 90, () => {
+    const { x, y, z } = follow.airplane.position;
+    const clearance = y - getTerrainHeight(x, z);
+    minClearance = Math.min(minClearance, clearance);
+    clearanceSum += clearance;
+    clearanceSamples += 1;
+  });
+
+  // Stick input on an axis hands back just that axis
+  const override = createRig();
+  const overridden = new Autopilot(override.controller, () => 0);
+  for (const mode of ['altitude', 'heading', 'speed']) overridden.toggle(mode);
+  fly(override, overridden, 1);
+  override.controller.stickY = 0.5;
+  fly(override, overridden, PHYSICS_STEP);
+  const pitchOverride = !overridden.altitude && overridden.heading && overridden.speed && override.controller.autopilotPitch === null;
+  override.controller.throttle = 1;
+  fly(override, overridden, PHYSICS_STEP);
+  const throttleOverride = !overridden.speed && overridden.heading;
+  override.controller.stickX = 0.5;
+  fly(override, overridden, PHYSICS_STEP);
+  const rollOverride = !overridden.engaged && override.controller.autopilotRoll === null && overridden.alert > 0;
+
+  return {
+    altitudeError: Math.abs(climb.airplane.position.y - altitudeHold.targetAltitude),
+    headingError,
+    turnAltitudeError,
+    speedError: Math.abs(accelerate.controller.airspeed - speedHold.targetSpeed),
+    terrainCrashed: follow.controller.crashed || follow.controller.lastImpact ? 1 : 0,
+    minClearance,
+    meanClearance: clearanceSum / clearanceSamples,
+    clearance: terrainFollow.clearance,
+    overrides: [pitchOverride, throttleOverride, rollOverride].filter(Boolean).length
+  };
+}
+
+// Ground proximity warning: alert lead time in a dive and toward a cliff, and no nuisance
+// alerts cruising, flying low over flat ground or terrain following
+function runGroundProximity() {
+  const velocity = new THREE.Vector3();
+  const fly = (rig, gpws, seconds, each) => {
+    let alertSteps = 0;
+    for (let i = 0; i < Math.round(seconds / PHYSICS_STEP); i += 1) {
+      if (each && each(i * PHYSICS_STEP) === false) break;
+      rig.controller.step(PHYSICS_STEP);
+      const level = gpws.update(PHYSICS_STEP, rig.airplane.position, rig.controller.getVelocity(velocity), rig.controller.crashed);
+      if (level !== GPWS_CLEAR) alertSteps += 1;
+    }
+    return alertSteps;
+  };
+  const firstAlerts = (rig, gpws, seconds, each) => {
+    const times = { caution: Infinity, warning: Infinity, impact: Infinity, conflict: Infinity };
+    fly(rig, gpws, seconds, (time) => {
+      if (each) each();
+      if (rig.controller.crashed) {
+        times.impact = time;
+        return false;
+      }
+      if (gpws.level >= GPWS_CAUTION) times.caution = Math.min(times.caution, time);
+      if (gpws.level === GPWS_WARNING && times.warning === Infinity) {
+        times.warning = time;
+        times.conflict = gpws.timeToConflict;
+      }
+      return true;
+    });
+    return times;
+  };
+
+  // A 15° glide into flat ground from 600 m, hands off
+  const dive = createRig();
+  const glide = THREE.MathUtils.degToRad(-15);
+  dive.controller.setGround(new GroundCollision(() => 0));
+  dive.controller.setPose(
+    new THREE.Vector3(0, 600, 0),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(glide, 0, 0, 'YXZ')),
+    new THREE.Vector3(0, Math.sin(glide), -Math.cos(glide)).multiplyScalar(260)
+  );
+  const diveWarning = new GroundProximityWarning(() => 0);
+  const diveTimes = firstAlerts(dive, diveWarning, 20);
+
+  // Level toward a 400 m cliff 3 km north
+  const cliff = (x, z) => (z < -3000 ? 400 : 0);
+  const wall = createRig();
+  wall.controller.setGround(new GroundCollision(cliff));
+  const wallWarning = new GroundProximityWarning(cliff);
+  const wallTimes = firstAlerts(wall, wallWarning, 15);
+
+  const cruise = createRig();
+  const cruiseAlerts = fly(cruise, new GroundProximityWarning(() => 0), 20);
 
-    stats.aoa.min = Math.min(stats.aoa.min, t.aoa * DEG);
-    stats.aoa.max = Math.max(stats.aoa.max, t.aoa * DEG);
-    stats.aoa.sum += t.aoa * DEG;
+  // Flying 15 m over flat ground is deliberate; the floor shrinks with the radar altitude
+  const low = createRig();
+  low.controller.setGround(new GroundCollision(() => 0));
+  const lowPilot = new Autopilot(low.controller, () => 0);
+  low.airplane.position.y = 15;
+  lowPilot.toggle('altitude');
+  lowPilot.targetAltitude = 15;
+  const lowWarning = new GroundProximityWarning(() => 0);
+  const lowAlerts = fly(low, lowWarning, 20, () => lowPilot.update(PHYSICS_STEP));
 
-    stats.rollRate.min = Math.min(stats.rollRate.min, t.rollRate * DEG);
-    stats.rollRate.max = Math.max(stats.rollRate.max, t.rollRate * DEG);
-    stats.rollRate.sum += t.rollRate * DEG;
+  setTerrainSeed(1337);
+  const follow = createRig();
+  follow.controller.setGround(new GroundCollision(getTerrainHeight));
+  follow.controller.respawn();
+  const followPilot = new Autopilot(follow.controller, getTerrainHeight);
+  for (const mode of ['terrain', 'heading', 'speed']) followPilot.toggle(mode);
+  const followWarning = new GroundProximityWarning(getTerrainHeight);
+  let followWarnings = 0;
+  fly(follow, followWarning, 60, () => {
+    followPilot.update(PHYSICS_STEP);
+    if (followWarning.level === GPWS_WARNING) followWarnings += 1;
+  });
 
-    stats.pitchRate.min = Math.min(stats.pitchRate.min, t.pitchRate * DEG);
-    stats.pitchRate.max = Math.max(stats.pitchRate.max, t.pitchRate * DEG);
-    stats.pitchRate.sum += t.pitchRate * DEG;
+  // Switched off, the same dive raises nothing
+  setTerrainSeed(1337);
+  const quiet = createRig();
+  quiet.controller.setGround(new GroundCollision(getTerrainHeight));
+  quiet.controller.respawn();
+  const quietAlerts = fly(quiet, new GroundProximityWarning(getTerrainHeight, { enabled: false }), 12, () => {
+    quiet.controller.stickY = -0.6;
+    return !quiet.controller.crashed;
+  });
 
-    stats.stall.min = Math.min(stats.stall.min, t.stall);
-    stats.stall.max = Math.max(stats.stall.max, t.stall);
-    stats.stall.sum += t.stall;
+  return {
+    diveCautionLead: diveTimes.warning - diveTimes.caution,
+    diveWarningConflict: diveTimes.conflict,
+    diveWarningLead: diveTimes.impact - diveTimes.warning,
+    wallCautionLead: wallTimes.warning - wallTimes.caution,
+    wallWarningConflict: wallTimes.conflict,
+    wallWarningLead: wallTimes.impact - wallTimes.warning,
+    cruiseAlerts,
+    lowAlerts,
+    lowRadarAltitude: lowWarning.radarAltitude,
+    followWarnings,
+    quietAlerts
+  };
+}
+
+// Audio mix follows the flight state: engine with thrust, wind with speed, buffet with stall.
+// Each flight reports its final mix and the loudest value every layer reached
+function runAudioMix() {
+  const fly = (seconds, input, speed) => {
+    const { airplane, controller } = createRig();
+    if (speed) controller.setPose(airplane.position, airplane.quaternion, new THREE.Vector3(0, 0, -speed));
+    const peak = {};
+    let mix = null;
+    for (let i = 0; i < Math.round(seconds / PHYSICS_STEP); i += 1) {
+      Object.assign(controller, input);
+      controller.step(PHYSICS_STEP);
+      mix = audioMix(controller, engineSpoolTarget(controller));
+      for (const [key, value] of Object.entries(mix)) peak[key] = Math.max(peak[key] ?? 0, value);
+    }
+    return { ...mix, peak };
+  };
+
+  const idle = fly(4, { throttle: -1 });
+  const full = fly(4, { throttle: 1 });
+  const burner = fly(8, { throttle: 1, boost: true });
+  const stalled = fly(3, { throttle: -1, stickY: 1 }, 110);
+
+  const crashed = createRig().controller;
+  crashed.crash({ point: new THREE.Vector3(), normal: new THREE.Vector3(0, 1, 0), impactSpeed: 50, impactAngle: 1 });
+  const crashMix = audioMix(crashed, engineSpoolTarget(crashed));
+
+  return {
+    engineRise: full.engineFrequency / idle.engineFrequency,
+    afterburnerIdle: full.peak.afterburnerGain,
+    afterburnerOn: burner.peak.afterburnerGain,
+    windRise: burner.windGain / Math.max(idle.windGain, 1e-6),
+    buffetTrim: full.peak.buffetGain,
+    buffetStall: stalled.peak.buffetGain,
+    crashedGain: crashMix.engineGain + crashMix.windGain + crashMix.buffetGain + crashMix.afterburnerGain
+  };
+}
+
+// Sonar wavefronts over the seeded terrain: features tagged as the front reaches them,
+// moving targets heard on time, concurrent pings capped and expired, uniforms written
+function runSonar() {
+  setTerrainSeed(1337);
+  const uniforms = {
+    sonarPings: { value: Array.from({ length: MAX_SONAR_PINGS }, () => new THREE.Vector4()) },
+    sonarFade: { value: new Array(MAX_SONAR_PINGS).fill(0) }
+  };
+  const sonar = new Sonar(getTerrainHeight, uniforms, { range: 1500, speed: 500 });
+  const origin = new THREE.Vector3(0, getTerrainHeight(0, 0) + 150, 0);
+  const target = { id: 'gate', type: 'gate', label: 'GATE 1', position: new THREE.Vector3(600, origin.y, 0) };
+  sonar.targets = () => [target];
+
+  const dt = 1 / 60;
+  sonar.ping(origin);
+  const features = sonar.pings[0].features;
+  let lateness = 0;
+  let targetHeard = -1;
+  let midFade = 0;
+  let time = 0;
+  while (sonar.pings.length > 0 && time < 10) {
+    const before = sonar.contacts.length;
+    sonar.update(dt);
+    time += dt;
+    if (Math.abs(time - 1.5) < dt / 2) midFade = uniforms.sonarFade.value[0];
+    // Each new contact should have been reached by the front within this step
+    for (const contact of sonar.contacts.slice(before)) {
+      const distance = contact.position.distanceTo(origin);
+      lateness = Math.max(lateness, time - distance / 500);
+      if (contact.type === 'gate') targetHeard = time;
+    }
   }
 
-  const avg = {
-    speed: stats.speed.sum / steps,
-    g: stats.g.sum / steps,
-    aoa: stats.aoa.sum / steps,
-    rollRate: stats.rollRate.sum / steps,
-    pitchRate: stats.pitchRate.sum / steps,
-    stall: stats.stall.sum / steps
+  const lifetime = time;
+  const clearedRadius = uniforms.sonarPings.value[0].w;
+  const crowded = new Sonar(getTerrainHeight, uniforms);
+  for (let i = 0; i < MAX_SONAR_PINGS + 2; i++) crowded.ping(origin);
+  const untrusted = new Sonar(getTerrainHeight, uniforms, { range: 'far', speed: 0 });
+
+  return {
+    peaks: features.filter((feature) => feature.type === 'peak').length,
+    valleys: features.filter((feature) => feature.type === 'valley').length,
+    featuresInRange: features.every((feature) => Math.hypot(feature.position.x, feature.position.z) <= 1500) ? 1 : 0,
+    lateness,
+    targetHeard,
+    lifetime,
+    midFade,
+    clearedRadius,
+    crowded: crowded.pings.length,
+    untrustedDuration: untrusted.duration
   };
+}
+
+// Particle pool: capped and expired bursts, even spacing along a path, teleports, pausing, cone spray
+function runParticleEffects() {
+  const dt = 1 / 60;
+  const effects = new ParticleEffects(null, { capacity: 500 });
+  for (let i = 0; i < 3; i++) effects.burst('crash', new THREE.Vector3());
+  const cappedLive = effects.live;
+  effects.update(3);
+  const expiredLive = effects.live;
 
-  return { name, stats, avg };
+  // Continuous emission from a moving object, spread evenly along its path
+  const carrier = new THREE.Object3D();
+  const pool = new ParticleEffects(null, { capacity: 2000 });
+  const vapor = pool.emitter('vapor', carrier);
+  vapor.intensity = 1;
+  for (let i = 0; i < 60; i++) {
+    carrier.position.x = i * dt * 200;
+    pool.update(dt);
+  }
+  const vaporSpawned = pool.spawned;
+  const origins = pool.attributes.position.array;
+  let trailGap = 0;
+  for (let i = 1; i < vaporSpawned; i++) trailGap = Math.max(trailGap, origins[i * 3] - origins[(i - 1) * 3]);
+
+  // A respawn jump leaves no particles along the teleport
+  carrier.position.x = 5000;
+  pool.update(dt);
+  let strays = 0;
+  for (let i = vaporSpawned; i < pool.spawned; i++) if (origins[i * 3] < 4900) strays++;
+
+  // Paused: the clock and the emitters stop
+  pool.paused = true;
+  const pausedFrom = { time: pool.time, spawned: pool.spawned };
+  for (let i = 0; i < 30; i++) pool.update(dt);
+  const pausedSpawns = pool.spawned - pausedFrom.spawned;
+  const pausedTime = pool.time - pausedFrom.time;
+  pool.paused = false;
+  vapor.intensity = 0.5;
+  const halfFrom = pool.spawned;
+  for (let i = 0; i < 60; i++) pool.update(dt);
+  const halfSpawned = pool.spawned - halfFrom;
+
+  // Exhaust from a nose-east airframe sprays west within the cone
+  const jet = new THREE.Object3D();
+  jet.rotation.y = -Math.PI / 2;
+  const sprayPool = new ParticleEffects(null);
+  const exhaust = sprayPool.emitter('exhaust', jet, new THREE.Vector3(0, 0, 1.5), new THREE.Vector3(0, 0, 1));
+  exhaust.intensity = 1;
+  for (let i = 0; i < 60; i++) sprayPool.update(dt);
+  const west = new THREE.Vector3(-1, 0, 0);
+  const spray = new THREE.Vector3();
+  let coneError = 0;
+  for (let i = 0; i < sprayPool.spawned; i++) {
+    spray.fromArray(sprayPool.attributes.velocity.array, i * 3);
+    coneError = Math.max(coneError, spray.angleTo(west));
+  }
+
+  return {
+    cappedLive,
+    expiredLive,
+    vaporSpawned,
+    trailGap,
+    strays,
+    pausedSpawns,
+    pausedTime,
+    halfSpawned,
+    exhaustSpawned: sprayPool.spawned,
+    coneError,
+    vaporLow: vaporIntensity(2),
+    vaporHigh: vaporIntensity(8)
+  };
 }
 
-function check(label, value, min, max) {
-  const ok = value >= min && value <= max;
-  return { label, value, min, max, ok };
+// Longest drawn ribbon segment, m
+function longestSegment(trail) {
+  const positions = trail.geometry.attributes.position.array;
+  const index = trail.geometry.index.array;
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  let longest = 0;
+  for (let i = 0; i < trail.geometry.drawRange.count; i += 3) {
+    for (let j = 0; j < 3; j++) {
+      a.fromArray(positions, index[i + j] * 3);
+      b.fromArray(positions, index[i + (j + 1) % 3] * 3);
+      longest = Math.max(longest, a.distanceTo(b));
+    }
+  }
+  return longest;
 }
 
-function reportScenario(result) {
-  const { name, stats, avg } = result;
-  const lines = [];
-  lines.push(`\n[${name}]`);
-  lines.push(`speed avg ${avg.speed.toFixed(1)} (min ${stats.speed.min.toFixed(1)} max ${stats.speed.max.toFixed(1)})`);
-  lines.push(`g avg ${avg.g.toFixed(2)} (min ${stats.g.min.toFixed(2)} max ${stats.g.max.toFixed(2)})`);
-  lines.push(`aoa avg ${avg.aoa.toFixed(1)}° (min ${stats.aoa.min.toFixed(1)} max ${stats.aoa.max.toFixed(1)})`);
-  lines.push(`rollRate avg ${avg.rollRate.toFixed(0)}°/s (min ${stats.rollRate.min.toFixed(0)} max ${stats.rollRate.max.toFixed(0)})`);
-  lines.push(`pitchRate avg ${avg.pitchRate.toFixed(0)}°/s (min ${stats.pitchRate.min.toFixed(0)} max ${stats.pitchRate.max.toFixed(0)})`);
-  lines.push(`stall avg ${(avg.stall * 100).toFixed(0)}% (max ${(stats.stall.max * 100).toFixed(0)}%)`);
-  return lines.join('\n');
+// Ribbon trails: samples age out, teleports break the strip, the path keeps its length and pauses
+function runTrails() {
+  const dt = 1 / 60;
+  const point = new THREE.Vector3();
+
+  // Wingtip ribbon: samples age out after the lifetime
+  const wingtip = new RibbonTrail({ lifetime: 1.5, interval: 1 / 30 });
+  for (let i = 0; i < 180; i++) wingtip.update(dt, point.set(0, 100, -i * dt * 200));
+  const wingtipSamples = wingtip.count;
+  const oldestAge = wingtip.time - wingtip.births[wingtip._slot(0)];
+
+  // Teleports and gaps start a new strip instead of a streak across the world
+  wingtip.update(dt, point.set(5000, 100, 0));
+  for (let i = 1; i < 10; i++) wingtip.update(dt, point.set(5000, 100, -i * dt * 200));
+  wingtip.update(dt, null);
+  for (let i = 0; i < 10; i++) wingtip.update(dt, point.set(-5000, 100, -i * dt * 200));
+  const joinedSegment = longestSegment(wingtip);
+
+  // Flight path: a 400 m circle at 100 m/s, kept for the configured length
+  const trails = new FlightTrails(new THREE.Scene(), { wingtips: false, path: true, pathLength: 10 });
+  const model = new THREE.Object3D();
+  const radius = 400;
+  let time = 0;
+  for (let i = 0; i < 15 * 60; i++) {
+    time += dt;
+    const angle = (time * 100) / radius;
+    model.position.set(Math.sin(angle) * radius, 300, -Math.cos(angle) * radius);
+    trails.update(dt, model, 0);
+  }
+  const path = trails.path;
+  const pathAge = path.time - path.births[path._slot(0)];
+  const pathSamples = path.count;
+  const headError = path.samplePosition(path.count - 1).distanceTo(model.position);
+
+  trails.paused = true;
+  for (let i = 0; i < 60; i++) trails.update(dt, model, 0);
+  const pausedChange = path.count - pathSamples + (path.time - time);
+  trails.paused = false;
+
+  trails.set({ pathLength: 60 });
+  const resizedCapacity = path.capacity;
+  for (const pathLength of [0, null, 1e9]) trails.set({ pathLength });
+
+  return {
+    wingtipSamples,
+    oldestAge,
+    joinedSegment,
+    pathAge,
+    pathSamples,
+    headError,
+    pausedChange: Math.abs(pausedChange),
+    resizedCapacity,
+    untrustedLifetime: path.lifetime,
+    strengthCruise: wingtipStrength(1, 0.05),
+    strengthPull: wingtipStrength(6, 0.1),
+    strengthHighAoa: wingtipStrength(1, THREE.MathUtils.degToRad(20))
+  };
 }
 
-function run() {
-  const results = [];
+// Camera views around a scripted flight: orbit, blends, spring lag, flyby placement, free flight
+function runCameraRig() {
+  const dt = 1 / 60;
+  const { controller } = createRig('paper-jet');
+  const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 5000);
+  const rig = new CameraRig(camera, controller, {}, () => 0);
+  const target = new THREE.Object3D();
+  const toPlane = new THREE.Vector3();
+  const forward = new THREE.Vector3();
 
-  // Trimmed level flight
-  results.push(runScenario('trim-level', 8, (time, controller) => {
-    controller.throttle = 0;
-    controller.boost = false;
-    controller.stickX = 0;
-    controller.stickY = 0;
-  }));
+  // Straight and level north at 150 m/s, or a level turn at rate (rad/s)
+  let heading = 0;
+  const fly = (seconds, rate = 0, after = null) => {
+    for (let i = 0; i < Math.round(seconds / dt); i++) {
+      heading += rate * dt;
+      target.rotation.set(0, heading, 0);
+      forward.set(0, 0, -1).applyQuaternion(target.quaternion);
+      target.position.addScaledVector(forward, 150 * dt);
+      target.position.y = 300;
+      rig.update(dt, target);
+      if (after) after();
+    }
+  };
+  const behind = () => toPlane.subVectors(target.position, camera.position).normalize().dot(forward);
+  const yawOffset = () => {
+    toPlane.subVectors(target.position, camera.position).setY(0).normalize();
+    return toPlane.angleTo(forward.clone().setY(0).normalize()) * DEG;
+  };
 
-  // Max pitch pull for 2s, then neutral
-  results.push(runScenario('pitch-pull', 4, (time, controller) => {
-    controller.throttle = 0;
-    controller.boost = false;
-    controller.stickX = 0;
-    controller.stickY = time < 2 ? 0.9 : 0;
-  }));
+  fly(3);
+  const chaseBehind = behind();
 
-  // Max roll for 2s
-  results.push(runScenario('roll-right', 3, (time, controller) => {
-    controller.throttle = 0;
-    controller.boost = false;
-    controller.stickX = time < 2 ? 1 : 0;
-    controller.stickY = 0;
-  }));
+  // Orbit round to the side, then let go: the camera settles back behind the tail
+  rig.orbiting = true;
+  rig.look(-300, 0);
+  fly(0.5);
+  const orbitOffset = yawOffset();
+  rig.orbiting = false;
+  fly(3);
+  const orbitReturned = yawOffset();
 
-  // Afterburner acceleration
-  results.push(runScenario('afterburner', 5, (time, controller) => {
-    controller.throttle = 1;
-    controller.boost = true;
-    controller.stickX = 0;
-    controller.stickY = 0;
-  }));
+  // Mode blend: half way the camera is between the two shots, then it lands on the new one
+  rig.setMode('side');
+  const start = camera.position.clone().sub(target.position);
+  fly(BLEND_TIME / 2);
+  const midOffset = camera.position.clone().sub(target.position);
+  fly(BLEND_TIME / 2 + 0.5);
+  const blendDone = rig.blend;
+  const sideOffset = camera.position.clone().sub(target.position);
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(target.quaternion);
+  const blendMid = midOffset.distanceTo(start) / sideOffset.distanceTo(start);
+
+  // Spring chase lags outside the turn; the rigid chase lags less
+  rig.setMode('chase', false);
+  fly(2);
+  fly(3, 0.5);
+  const chaseTurnLag = yawOffset();
+  rig.setMode('spring', false);
+  fly(6, 0);
+  const springSettle = camera.position.distanceTo(target.position.clone()
+    .addScaledVector(forward, -rig.options.spring.distance).add(new THREE.Vector3(0, rig.options.spring.height, 0)));
+  fly(3, 0.5);
+  const springTurnLag = yawOffset();
+
+  // Cinematic: holds still while the aircraft flies past, then sets up ahead again
+  rig.setMode('cinematic', false);
+  fly(dt);
+  let moves = 0;
+  let maxFov = 0;
+  const cinematic = rig.views.cinematic;
+  const placedFrom = cinematic.placed;
+  const last = camera.position.clone();
+  fly(10, 0, () => {
+    if (camera.position.distanceToSquared(last) > 1e-6) moves += 1;
+    last.copy(camera.position);
+    maxFov = Math.max(maxFov, camera.fov);
+  });
+  const placements = cinematic.placed - placedFrom;
+
+  // Free camera: starts where the last shot was and flies on its own input
+  fly(0.2);
+  const before = camera.position.clone();
+  rig.setMode('free');
+  fly(dt);
+  const freeJump = camera.position.distanceTo(before);
+  const look = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+  const from = camera.position.clone();
+  rig.move.set(0, 0, 1);
+  fly(1);
+  rig.move.set(0, 0, 0);
+  const freeTravel = camera.position.clone().sub(from);
+
+  // A teleport cuts instead of swooping
+  rig.setMode('chase', false);
+  fly(1);
+  target.position.x += 5000;
+  fly(dt);
+  const teleportGap = camera.position.distanceTo(target.position);
+
+  // Afterburner widens the chase FOV
+  controller.afterburnerActive = true;
+  fly(2);
+  const afterburnerFov = camera.fov;
+  controller.afterburnerActive = false;
+
+  // Stored settings only reach the controller's listed camera fields, as numbers
+  const untrusted = createRig('paper-jet').controller;
+  const { chaseDistance, maxSpeed } = untrusted;
+  new CameraRig(camera, untrusted, { chase: { crashed: true, chaseDistance: '80', maxSpeed: 1 } });
+
+  return {
+    chaseBehind,
+    orbitOffset,
+    orbitReturned,
+    blendMid,
+    blendDone,
+    sideError: sideOffset.dot(right) - rig.options.side.distance,
+    chaseTurnLag,
+    springTurnLag,
+    springSettle,
+    cinematicMoves: moves - placements,
+    placements,
+    maxFov,
+    freeJump,
+    freeTravel: freeTravel.length(),
+    freeAlong: freeTravel.normalize().dot(look),
+    teleportGap,
+    afterburnerFov,
+    json: JSON.stringify(rig.toJSON()) === JSON.stringify(new CameraRig(camera, controller, rig.toJSON()).toJSON()) ? 1 : 0,
+    untrusted: untrusted.crashed === false && untrusted.chaseDistance === chaseDistance && untrusted.maxSpeed === maxSpeed ? 1 : 0
+  };
+}
+
+// Photo mode: takes over a chase shot without a jump, frames it, and restores everything on exit
+function runPhotoMode() {
+  const dt = 1 / 60;
+  const { controller } = createRig('paper-jet');
+  const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 5000);
+  const rig = new CameraRig(camera, controller, {}, () => 0);
+  const uniforms = {
+    fogNear: { value: 100 },
+    fogFar: { value: 1900 },
+    highlight: { value: 1 },
+    pointScale: { value: 1 }
+  };
+  const photo = new PhotoMode(rig, uniforms);
+  const target = new THREE.Object3D();
+  target.position.set(0, 300, 0);
+  for (let i = 0; i < 120; i++) {
+    target.position.z -= 150 * dt;
+    rig.update(dt, target);
+  }
+
+  const shot = camera.position.clone();
+  const shotFov = camera.fov;
+  photo.enter(target);
+  const enterJump = camera.position.distanceTo(shot);
+  const enterFov = photo.options.fov - shotFov;
+
+  photo.set({ fov: 35, roll: 30, focus: 400, depth: 200, colors: 'plain' });
+  rig.update(dt, target);
+  // Roll: banked right, the camera's right side dips
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+  const horizontalUp = up.clone().projectOnPlane(forward);
+  const level = new THREE.Vector3(0, 1, 0).projectOnPlane(forward);
+  const roll = horizontalUp.angleTo(level) * DEG * -Math.sign(right.y);
+  const framedFov = camera.fov;
+  const fogBand = [uniforms.fogNear.value, uniforms.fogFar.value];
+  const framedHighlight = uniforms.highlight.value;
+
+  rig.move.set(0, 0, 1);
+  for (let i = 0; i < 60; i++) rig.update(dt, target);
+  rig.move.set(0, 0, 0);
+  const moved = camera.position.distanceTo(shot);
+
+  photo.exit();
+  for (let i = 0; i < 60; i++) rig.update(dt, target);
+
+  return {
+    enterJump,
+    enterFov,
+    framedFov,
+    roll,
+    fogBand,
+    framedHighlight,
+    moved,
+    restoredMode: rig.mode === 'chase' ? 1 : 0,
+    restoredFog: uniforms.fogNear.value === 100 && uniforms.fogFar.value === 1900 ? 1 : 0,
+    restoredHighlight: uniforms.highlight.value,
+    restoredFov: camera.fov,
+    freeRoll: rig.views.free.roll,
+    capture: photoSize(1920, 1080, 4, 16384),
+    clampedCapture: photoSize(1920, 1080, 4, 4096)
+  };
+}
+
+// Terrain-driven lift, Dryden intensity, and calm air matching no atmosphere at all
+function runAtmosphere() {
+  const slope = (x) => x * 0.3; // Rising to the east
+  const windward = new Atmosphere(slope, { windSpeed: 20, windDirection: 270 }).ridgeLiftAt(0, 0, 0);
+  const leeward = new Atmosphere(slope, { windSpeed: 20, windDirection: 90 }).ridgeLiftAt(0, 0, 0);
+  const aloft = new Atmosphere(slope, { windSpeed: 20, windDirection: 270 }).ridgeLiftAt(0, 0, 1000);
+
+  const thermals = new Atmosphere(() => 0, { thermals: true }, 'thermals');
+  let core = null;
+  for (let i = 0; !core && i < 50; i += 1) core = thermals.thermalCell(i, 0);
+  const coreLift = thermals.thermalAt(core.x, core.z, 500);
+  const ringSink = thermals.thermalAt(core.x + core.radius * 1.75, core.z, 500);
+
+  // Vertical gust RMS over a long run against the model's sigma
+  const turbulent = new Atmosphere(() => 0, { turbulence: 2 }, 'rms');
+  const position = new THREE.Vector3(0, 300, 0);
+  let sum = 0;
+  const steps = 120 * 120;
+  for (let i = 0; i < steps; i += 1) sum += turbulent.update(PHYSICS_STEP, position, 250).y ** 2;
+  const rmsRatio = Math.sqrt(sum / steps) / turbulent.turbulenceScales(300).sigmaW;
+
+  // Calm atmosphere flies exactly like still air
+  const still = createRig();
+  const calm = createRig();
+  calm.controller.setAtmosphere(new Atmosphere(() => 0));
+  for (const rig of [still, calm]) {
+    rig.controller.stickY = 0.5;
+    rig.controller.stickX = 0.3;
+    for (let i = 0; i < 240; i += 1) rig.controller.step(PHYSICS_STEP);
+  }
+
+  return {
+    windward,
+    leeward,
+    aloftRatio: aloft / windward,
+    coreLift,
+    ringSink,
+    rmsRatio,
+    calmError: calm.airplane.position.distanceTo(still.airplane.position)
+  };
+}
+
+function check(label, value, min, max) {
+  const ok = value >= min && value <= max;
+  return { label, value, min, max, ok };
+}
 
+function run() {
   const checks = [];
-  const trim = results[0];
-  checks.push(check('trim-speed', trim.avg.speed, 220, 300));
-  checks.push(check('trim-g', trim.avg.g, 0.85, 1.25));
-  checks.push(check('trim-aoa', trim.avg.aoa, -2, 6));
+  const drift = [];
+  const baselines = loadBaselines();
+  const scenarios = SCENARIOS.filter((definition) => !only || only.includes(definition.name));
 
-  const pull = results[1];
-  checks.push(check('pull-max-g', pull.stats.g.max, 3.5, 9));
-  checks.push(check('pull-stall', pull.stats.stall.max, 0, 0.45));
+  console.log('Flight dynamics regression suite');
+  for (const definition of scenarios) {
+    const summary = runScenario(definition);
+    const scenarioChecks = evaluate(definition, summary);
+    checks.push(...scenarioChecks);
 
-  const roll = results[2];
-  checks.push(check('roll-rate', roll.stats.rollRate.max, 140, 260));
+    console.log(`\n[${definition.name}] ${definition.duration}s`);
+    console.log(`speed ${summary.speed.min.toFixed(1)}-${summary.speed.max.toFixed(1)}  ` +
+      `g ${summary.g.min.toFixed(2)}-${summary.g.max.toFixed(2)}  ` +
+      `aoa ${summary.aoa.min.toFixed(1)}-${summary.aoa.max.toFixed(1)}°  ` +
+      `alt ${summary.altitudeChange >= 0 ? '+' : ''}${summary.altitudeChange.toFixed(0)} m  ` +
+      `stall max ${(summary.stall.max * 100).toFixed(0)}%`);
 
-  const ab = results[3];
-  checks.push(check('afterburner-speed', ab.stats.speed.max, 360, 520));
+    if (updateBaselines) {
+      baselines.scenarios[definition.name] = toBaseline(summary);
+      continue;
+    }
 
-  let pass = true;
-  for (const entry of checks) {
-    if (!entry.ok) pass = false;
+    const baseline = baselines.scenarios[definition.name];
+    if (!baseline) {
+      drift.push(`[${definition.name}] no baseline stored (run with --update-baselines)`);
+      continue;
+    }
+    for (const line of diffBaseline(summary, baseline)) drift.push(`[${definition.name}] ${line}`);
   }
 
-  console.log('Flight control physics smoke test');
-  for (const result of results) {
-    console.log(reportScenario(result));
+  if (updateBaselines) {
+    baselines.step = PHYSICS_STEP;
+    baselines.interval = BASELINE_INTERVAL;
+    saveBaselines(baselines);
+    console.log(`\nBaselines written to ${BASELINE_PATH}`);
   }
 
+  if (only) {
+    finish(checks, drift);
+    return;
+  }
+
+  const dive = runTerrainDive(12);
+  checks.push(check('dive-impact-time', dive.impactTime, 0.1, 8));
+  checks.push(check('dive-impact-fatal', dive.impact && dive.impact.fatal ? 1 : 0, 1, 1));
+  checks.push(check('dive-min-clearance', dive.minClearance, 0, Infinity));
+  checks.push(check('dive-respawn-delay', dive.respawnDelay, 2.5, 3.5));
+  checks.push(check('dive-respawn-clearance', dive.respawnClearance, 50, Infinity));
+
+  const roundTrip = runReplayRoundTrip(3);
+  checks.push(check('replay-position-error', roundTrip.positionError, 0, 0.05));
+  checks.push(check('replay-angle-error', roundTrip.angleError, 0, 0.1));
+  checks.push(check('replay-input-roll', roundTrip.midRoll, 0.8, 1));
+  checks.push(check('replay-broken-files-rejected', roundTrip.rejected, roundTrip.brokenCount, roundTrip.brokenCount));
+
+  const ghost = runGhostRace(4);
+  checks.push(check('ghost-max-delta', ghost.maxDelta, 0, 0.1));
+  checks.push(check('ghost-off-course-frames', ghost.offCourse, 0, 0));
+
+  const cadence = runCadenceInvariance();
+  checks.push(check('cadence-position-error', cadence.positionError, 0, 0));
+  checks.push(check('cadence-angle-error', cadence.angleError, 0, 0));
+  checks.push(check('cadence-speed-error', cadence.speedError, 0, 0));
+
+  const trial = runTimeTrial(15);
+  checks.push(check('course-finished', trial.finished, 1, 1));
+  checks.push(check('course-missed-gates', trial.missed, 1, 1));
+  checks.push(check('course-penalty', trial.penalty, MISSED_GATE_PENALTY, MISSED_GATE_PENALTY));
+  checks.push(check('course-elapsed', trial.elapsed, 5, 9));
+
+  const wide = runTimeTrial(15, 600);
+  checks.push(check('course-wide-finish-ends', wide.finished, 1, 1));
+  checks.push(check('course-wide-finish-missed', wide.missed, 2, 2));
+
+  const profiles = runProfileValidation();
+  checks.push(check('profiles-valid', profiles.valid, AIRCRAFT_PROFILES.length, AIRCRAFT_PROFILES.length));
+  checks.push(check('profiles-broken-rejected', profiles.rejected, profiles.brokenCount, profiles.brokenCount));
+
+  const bindings = runBindingValidation();
+  checks.push(check('bindings-stored-loaded', bindings.swapped, 1, 1));
+  checks.push(check('bindings-bad-restored', bindings.restored, bindings.brokenCount, bindings.brokenCount));
+
+  const tuning = runTuningRoundTrip();
+  checks.push(check('tuning-uncovered-params', tuning.uncovered, 0, 0));
+  checks.push(check('tuning-round-trip-mismatch', tuning.mismatch, 0, 0));
+  checks.push(check('tuning-bad-files-rejected', tuning.rejected, 3, 3));
+
+  const air = runAtmosphere();
+  checks.push(check('ridge-lift-windward', air.windward, 5.9, 6.1));
+  checks.push(check('ridge-sink-leeward', air.leeward, -6.1, -5.9));
+  checks.push(check('ridge-lift-decay-aloft', air.aloftRatio, 0, 0.05));
+  checks.push(check('thermal-core-lift', air.coreLift, 1, 10));
+  checks.push(check('thermal-ring-sink', air.ringSink, -3, -0.1));
+  checks.push(check('turbulence-rms-ratio', air.rmsRatio, 0.7, 1.3));
+  checks.push(check('calm-air-error', air.calmError, 0, 0));
+
+  checks.push(check('density-sea-level', densityRatio(0), 1, 1));
+  checks.push(check('density-tropopause', densityRatio(11000 / ALTITUDE_SCALE), 0.296, 0.298));
+  const ceiling = runServiceCeiling(240);
+  checks.push(check('ceiling-peak-altitude', ceiling.peak, 2500, 8000));
+  checks.push(check('ceiling-settled-altitude', ceiling.settled, 2500, 6000));
+  checks.push(check('ceiling-peak-density', ceiling.peakDensity, 0, 0.2));
+
+  const groundEffect = runGroundEffect();
+  checks.push(check('ground-effect-lift-ratio', groundEffect.liftRatio, 1.1, 1.2));
+  checks.push(check('ground-effect-induced-drag', groundEffect.inducedNear, 0.5, 0.85));
+  checks.push(check('ground-effect-clear-induced', groundEffect.inducedFar, 0.999, 1.001));
+  checks.push(check('ground-effect-clear', groundEffect.farEffect, 0, 0));
+
+  const autopilot = runAutopilot();
+  checks.push(check('ap-altitude-error', autopilot.altitudeError, 0, 3));
+  checks.push(check('ap-heading-error', autopilot.headingError, 0, 1));
+  checks.push(check('ap-turn-altitude-error', autopilot.turnAltitudeError, 0, 40));
+  checks.push(check('ap-speed-error', autopilot.speedError, 0, 3));
+  checks.push(check('ap-terrain-impacts', autopilot.terrainCrashed, 0, 0));
+  checks.push(check('ap-terrain-min-clearance', autopilot.minClearance, autopilot.clearance * 0.3, Infinity));
+  checks.push(check('ap-terrain-mean-clearance', autopilot.meanClearance, autopilot.clearance * 0.8, autopilot.clearance * 2));
+  checks.push(check('ap-overrides', autopilot.overrides, 3, 3));
+
+  const proximity = runGroundProximity();
+  checks.push(check('gpws-dive-caution-lead', proximity.diveCautionLead, 3, 8));
+  checks.push(check('gpws-dive-warning-conflict', proximity.diveWarningConflict, 3.5, 4));
+  checks.push(check('gpws-dive-warning-lead', proximity.diveWarningLead, 4, 10));
+  checks.push(check('gpws-wall-caution-lead', proximity.wallCautionLead, 3, 4.5));
+  checks.push(check('gpws-wall-warning-conflict', proximity.wallWarningConflict, 3.5, 4));
+  checks.push(check('gpws-wall-warning-lead', proximity.wallWarningLead, 3.5, 5));
+  checks.push(check('gpws-cruise-alerts', proximity.cruiseAlerts, 0, 0));
+  checks.push(check('gpws-low-alerts', proximity.lowAlerts, 0, 0));
+  checks.push(check('gpws-low-radar-altitude', proximity.lowRadarAltitude, 10, 20));
+  checks.push(check('gpws-follow-warnings', proximity.followWarnings, 0, 0));
+  checks.push(check('gpws-disabled-alerts', proximity.quietAlerts, 0, 0));
+
+  const mix = runAudioMix();
+  checks.push(check('audio-engine-rise', mix.engineRise, 1.5, 4));
+  checks.push(check('audio-afterburner-off', mix.afterburnerIdle, 0, 0));
+  checks.push(check('audio-afterburner-on', mix.afterburnerOn, 0.3, 0.5));
+  checks.push(check('audio-wind-rise', mix.windRise, 1.5, Infinity));
+  checks.push(check('audio-buffet-trim', mix.buffetTrim, 0, 0.01));
+  checks.push(check('audio-buffet-stall', mix.buffetStall, 0.05, 0.6));
+  checks.push(check('audio-crashed-silent', mix.crashedGain, 0, 0));
+
+  const scan = runSonar();
+  checks.push(check('sonar-peaks', scan.peaks, 1, 6));
+  checks.push(check('sonar-valleys', scan.valleys, 1, 4));
+  checks.push(check('sonar-features-in-range', scan.featuresInRange, 1, 1));
+  checks.push(check('sonar-contact-lateness', scan.lateness, 0, 0.02));
+  checks.push(check('sonar-target-heard', scan.targetHeard, 1.19, 1.22));
+  checks.push(check('sonar-lifetime', scan.lifetime, 2.99, 3.02));
+  checks.push(check('sonar-mid-fade', scan.midFade, 0.74, 0.76));
+  checks.push(check('sonar-cleared-radius', scan.clearedRadius, -1e6, -1e6));
+  checks.push(check('sonar-max-pings', scan.crowded, MAX_SONAR_PINGS, MAX_SONAR_PINGS));
+  checks.push(check('sonar-settings-untrusted', scan.untrustedDuration, 10, 10));
+
+  const particles = runParticleEffects();
+  checks.push(check('particles-capped', particles.cappedLive, 500, 500));
+  checks.push(check('particles-expired', particles.expiredLive, 0, 0));
+  checks.push(check('particles-trail-rate', particles.vaporSpawned, EMITTERS.vapor.rate - 1, EMITTERS.vapor.rate + 1));
+  checks.push(check('particles-trail-gap', particles.trailGap, 0, 200 / EMITTERS.vapor.rate + 0.01));
+  checks.push(check('particles-teleport-strays', particles.strays, 0, 0));
+  checks.push(check('particles-paused-spawns', particles.pausedSpawns, 0, 0));
+  checks.push(check('particles-paused-time', particles.pausedTime, 0, 0));
+  checks.push(check('particles-half-rate', particles.halfSpawned, EMITTERS.vapor.rate / 2 - 1, EMITTERS.vapor.rate / 2 + 1));
+  checks.push(check('particles-exhaust-rate', particles.exhaustSpawned, EMITTERS.exhaust.rate - 1, EMITTERS.exhaust.rate + 1));
+  checks.push(check('particles-exhaust-cone', particles.coneError, 0, EMITTERS.exhaust.angle + 1e-4));
+  checks.push(check('particles-vapor-low-g', particles.vaporLow, 0, 0));
+  checks.push(check('particles-vapor-high-g', particles.vaporHigh, 1, 1));
+
+  const view = runCameraRig();
+  checks.push(check('camera-chase-behind', view.chaseBehind, 0.95, 1));
+  checks.push(check('camera-orbit-offset', view.orbitOffset, 30, 180));
+  checks.push(check('camera-orbit-return', view.orbitReturned, 0, 5));
+  checks.push(check('camera-blend-mid', view.blendMid, 0.3, 0.7));
+  checks.push(check('camera-blend-done', view.blendDone, 1, 1));
+  checks.push(check('camera-side-offset', Math.abs(view.sideError), 0, 1));
+  checks.push(check('camera-spring-settle', view.springSettle, 0, 0.1));
+  checks.push(check('camera-spring-turn-lag', view.springTurnLag - view.chaseTurnLag, 2, Infinity));
+  checks.push(check('camera-cinematic-holds', view.cinematicMoves, 0, 0));
+  checks.push(check('camera-cinematic-placements', view.placements, 2, 6));
+  checks.push(check('camera-cinematic-fov', view.maxFov, 1, 45));
+  checks.push(check('camera-free-no-jump', view.freeJump, 0, 1e-6));
+  checks.push(check('camera-free-travel', view.freeTravel, 59, 61));
+  checks.push(check('camera-free-direction', view.freeAlong, 0.999, 1.001));
+  checks.push(check('camera-teleport-cut', view.teleportGap, 0, 60));
+  checks.push(check('camera-afterburner-fov', view.afterburnerFov, 81, 82));
+  checks.push(check('camera-settings-round-trip', view.json, 1, 1));
+  checks.push(check('camera-settings-untrusted', view.untrusted, 1, 1));
+
+  const photo = runPhotoMode();
+  checks.push(check('photo-enter-no-jump', photo.enterJump, 0, 1e-6));
+  checks.push(check('photo-enter-fov', Math.abs(photo.enterFov), 0, 0.5));
+  checks.push(check('photo-fov', photo.framedFov, 35, 35));
+  checks.push(check('photo-roll', photo.roll, 29.5, 30.5));
+  checks.push(check('photo-fog-start', photo.fogBand[0], 400, 400));
+  checks.push(check('photo-fog-end', photo.fogBand[1], 600, 600));
+  checks.push(check('photo-colors', photo.framedHighlight, 0, 0));
+  checks.push(check('photo-free-move', photo.moved, 59, 61));
+  checks.push(check('photo-exit-mode', photo.restoredMode, 1, 1));
+  checks.push(check('photo-exit-fog', photo.restoredFog, 1, 1));
+  checks.push(check('photo-exit-colors', photo.restoredHighlight, 1, 1));
+  checks.push(check('photo-exit-fov', photo.restoredFov, 75, 75));
+  checks.push(check('photo-exit-roll', photo.freeRoll, 0, 0));
+  checks.push(check('photo-capture-width', photo.capture.width, 7680, 7680));
+  checks.push(check('photo-capture-height', photo.capture.height, 4320, 4320));
+  checks.push(check('photo-capture-clamped', photo.clampedCapture.width, 4096, 4096));
+  checks.push(check('photo-capture-aspect', photo.clampedCapture.width / photo.clampedCapture.height, 1.777, 1.778));
+
+  const trails = runTrails();
+  checks.push(check('trails-wingtip-samples', trails.wingtipSamples, 44, 47));
+  checks.push(check('trails-wingtip-oldest', trails.oldestAge, 1.4, 1.5));
+  checks.push(check('trails-no-teleport-streak', trails.joinedSegment, 0, 10));
+  checks.push(check('trails-path-age', trails.pathAge, 9.8, 10));
+  checks.push(check('trails-path-samples', trails.pathSamples, 98, 101));
+  checks.push(check('trails-path-head', trails.headError, 0, 10));
+  checks.push(check('trails-paused', trails.pausedChange, 0, 0));
+  checks.push(check('trails-path-resized', trails.resizedCapacity, 602, 602));
+  checks.push(check('trails-settings-untrusted', trails.untrustedLifetime, 60, 60));
+  checks.push(check('trails-cruise-strength', trails.strengthCruise, 0, 0));
+  checks.push(check('trails-pull-strength', trails.strengthPull, 1, 1));
+  checks.push(check('trails-high-aoa-strength', trails.strengthHighAoa, 1, 1));
+
+  const telemetry = runTelemetryHistory();
+  checks.push(check('telemetry-buffer-count', telemetry.count, 100, 100));
+  checks.push(check('telemetry-csv-rows', telemetry.rows, 100, 100));
+  checks.push(check('telemetry-csv-columns', telemetry.columns, TELEMETRY_CHANNELS.length + 1, TELEMETRY_CHANNELS.length + 1));
+  checks.push(check('telemetry-csv-span-error', Math.abs(telemetry.span - 99 * PHYSICS_STEP), 0, 0.001));
+  checks.push(check('telemetry-csv-ordered', telemetry.ordered, 1, 1));
+  checks.push(check('telemetry-latest-error', telemetry.latestError, 0, 0.01));
+  checks.push(check('telemetry-frozen-updates', telemetry.frozenUpdated, 0, 0));
+
+  console.log('\n[terrain-dive]');
+  console.log(`impact at ${dive.impactTime.toFixed(2)}s, ${dive.impact ? dive.impact.impactSpeed.toFixed(1) : '-'} m/s into ground`);
+  console.log(`respawn after ${dive.respawnDelay.toFixed(2)}s, ${dive.respawnClearance.toFixed(1)} m above ground`);
+
+  console.log('\n[service-ceiling]');
+  console.log(`peak ${ceiling.peak.toFixed(0)} m at density ${ceiling.peakDensity.toFixed(3)}, settled ${ceiling.settled.toFixed(0)} m`);
+
+  finish(checks, drift);
+}
+
+function finish(checks, drift) {
   console.log('\nChecks');
   for (const entry of checks) {
     console.log(`${entry.ok ? 'OK ' : 'FAIL'} ${entry.label}: ${entry.value.toFixed(2)} (expected ${entry.min}-${entry.max})`);
   }
 
-  if (!pass) {
+  if (!updateBaselines) {
+    console.log('\nBaselines');
+    if (drift.length === 0) console.log('OK  all scenarios within tolerance');
+    for (const line of drift) console.log(`DRIFT ${line}`);
+  }
+
+  const failed = checks.filter((entry) => !entry.ok).length;
+  if (failed > 0 || drift.length > 0) {
+    console.log(`\n${failed} check(s) failed, ${drift.length} baseline difference(s)`);
     process.exitCode = 1;
   }
 }
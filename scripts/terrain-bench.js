@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import { createTerrain, updateTerrain, getTerrainHeight, setTerrainSeed } from '../src/terrain.js';
+
+// Headless per-frame terrain cost: LOD ring strip recycling vs the original full-grid walk
+
+const PARTICLE_COUNT = 200000;
+const TERRAIN_SIZE = 1500;
+const FRAMES = Number(process.argv[2]) || 300;
+const DT = 1 / 60;
+const SPEED = 260;
+
+// The original implementation, kept here as the baseline
+function createLegacyTerrain() {
+  const positions = new Float32Array(PARTICLE_COUNT * 3);
+  const heightNorms = new Float32Array(PARTICLE_COUNT);
+  const gridSize = Math.sqrt(PARTICLE_COUNT);
+  const spacing = TERRAIN_SIZE / gridSize;
+
+  for (let i = 0; i < PARTICLE_COUNT; i++) {
+    const x = (i % gridSize - gridSize / 2) * spacing;
+    const z = (Math.floor(i / gridSize) - gridSize / 2) * spacing;
+    const y = getTerrainHeight(x, z);
+    positions[i * 3] = x;
+    positions[i * 3 + 1] = y;
+    positions[i * 3 + 2] = z;
+    heightNorms[i] = Math.max(0, Math.min(1, (y + 40) / 120));
+  }
+
+  return { positions, heightNorms };
+}
+
+function updateLegacyTerrain(terrain, playerPos) {
+  const { positions, heightNorms } = terrain;
+  const gridSize = Math.sqrt(PARTICLE_COUNT);
+  const spacing = TERRAIN_SIZE / gridSize;
+  const halfTerrain = TERRAIN_SIZE / 2;
+  let needsUpdate = false;
+
+  for (let i = 0; i < PARTICLE_COUNT; i++) {
+    let x = positions[i * 3];
+    let z = positions[i * 3 + 2];
+    const dx = x - playerPos.x;
+    const dz = z - playerPos.z;
+
+    if (Math.abs(dx) > halfTerrain) {
+      x = playerPos.x - Math.sign(dx) * halfTerrain + (dx % spacing);
+      const y = getTerrainHeight(x, z);
+      positions[i * 3] = x;
+      positions[i * 3 + 1] = y;
+      heightNorms[i] = Math.max(0, Math.min(1, (y + 40) / 120));
+      needsUpdate = true;
+    }
+
+    if (Math.abs(dz) > halfTerrain) {
+      z = playerPos.z - Math.sign(dz) * halfTerrain + (dz % spacing);
+      const y = getTerrainHeight(x, z);
+      positions[i * 3 + 2] = z;
+      positions[i * 3 + 1] = y;
+      heightNorms[i] = Math.max(0, Math.min(1, (y + 40) / 120));
+      needsUpdate = true;
+    }
+  }
+
+  // Position and heightNorm buffers re-uploaded in full
+  return needsUpdate ? PARTICLE_COUNT * 4 * 4 : 0;
+}
+
+function runPath(label, step) {
+  const position = new THREE.Vector3();
+  const heading = new THREE.Vector3(1, 0, -0.6).normalize();
+  const times = [];
+  let bytes = 0;
+
+  for (let i = 0; i < FRAMES; i++) {
+    position.addScaledVector(heading, SPEED * DT);
+    const start = performance.now();
+    bytes += step(position);
+    times.push(performance.now() - start);
+  }
+
+  times.sort((a, b) => a - b);
+  const avg = times.reduce((sum, t) => sum + t, 0) / times.length;
+  const p95 = times[Math.floor(times.length * 0.95)];
+  return { label, avg, p95, max: times[times.length - 1], bytes: bytes / FRAMES };
+}
+
+function verify(terrain) {
+  let maxError = 0;
+
+  for (let i = 0; i < 2000; i++) {
+    const { rings } = terrain.userData;
+    const grid = rings[i % rings.length].userData.grid;
+    const ix = Math.floor(Math.random() * grid.size);
+    const iz = Math.floor(Math.random() * grid.size);
+    const cx = grid.originX + (((ix - grid.originX) % grid.size) + grid.size) % grid.size;
+    const cz = grid.originZ + (((iz - grid.originZ) % grid.size) + grid.size) % grid.size;
+    const expected = getTerrainHeight(cx * grid.spacing, cz * grid.spacing);
+    maxError = Math.max(maxError, Math.abs(grid.texels[(iz * grid.size + ix) * 4] - expected));
+  }
+
+  return maxError;
+}
+
+function report(result) {
+  console.log(
+    `${result.label.padEnd(8)} avg ${result.avg.toFixed(3)} ms  p95 ${result.p95.toFixed(3)} ms  ` +
+    `max ${result.max.toFixed(3)} ms  upload ${(result.bytes / 1024).toFixed(1)} KiB/frame`
+  );
+}
+
+function run() {
+  setTerrainSeed(1337);
+  console.log(`Terrain update benchmark (${FRAMES} frames at ${SPEED} m/s)`);
+
+  const legacy = createLegacyTerrain();
+  const legacyResult = runPath('legacy', (pos) => updateLegacyTerrain(legacy, pos));
+
+  const scene = new THREE.Scene();
+  const terrain = createTerrain(scene, { particleBudget: PARTICLE_COUNT });
+  const ringResult = runPath('rings', (pos) => updateTerrain(terrain, pos) * 4);
+
+  report(legacyResult);
+  report(ringResult);
+  console.log(`speedup ${(legacyResult.avg / ringResult.avg).toFixed(1)}x`);
+
+  const error = verify(terrain);
+  console.log(`${error < 1e-3 ? 'OK ' : 'FAIL'} height map matches getTerrainHeight (max error ${error.toExponential(2)})`);
+  if (error >= 1e-3) process.exitCode = 1;
+}
+
+run();
@@ -0,0 +1,234 @@
+import { createAirplane } from './airplane.js';
+
+// Aircraft profiles: handling parameters, model builder and colors for each flyable airframe.
+// Angles and angular rates are in degrees (per second); FlightController.applyProfile converts them.
+
+export const DEFAULT_AIRCRAFT = 'paper-jet';
+
+// Handling parameters every profile must define
+export const HANDLING_KEYS = [
+  'minSpeed', 'stallSpeed', 'cruiseSpeed', 'maxSpeed', 'afterburnerSpeed',
+  'maxPitchRate', 'maxRollRate', 'maxYawRate',
+  'pitchResponse', 'rollResponse', 'yawResponse',
+  'rollStability', 'alphaStability', 'betaStability', 'rollToYaw',
+  'yawDamping', 'pitchDamping', 'rollDamping',
+  'flightPathHoldGain', 'flightPathHoldMax',
+  'aoaLimit', 'aoaLimiterGain',
+  'liftScalar', 'dragScalar', 'sideScalar',
+  'cl0', 'clAlpha', 'clMax', 'cd0', 'cdAlpha', 'cdInduced',
+  'stallAoA', 'stallFade', 'stallDrag', 'cyBeta', 'cyMax',
+  'wingspan', 'groundEffectLift',
+  'trimThrottle', 'throttleRate', 'idleThrust', 'maxThrust', 'afterburnerThrust', 'thrustLapse',
+  'afterburnerBurnRate', 'afterburnerRegenRate',
+  'velocityAlign'
+];
+
+export const ANGLE_KEYS = ['maxPitchRate', 'maxRollRate', 'maxYawRate', 'flightPathHoldMax', 'aoaLimit', 'stallAoA', 'stallFade'];
+
+// May be zero (no afterburner, neutral lift at zero AoA, ...); everything else must be positive
+const NON_NEGATIVE_KEYS = [
+  'cl0', 'idleThrust', 'afterburnerThrust', 'afterburnerBurnRate', 'velocityAlign', 'rollToYaw',
+  'groundEffectLift', 'thrustLapse'
+];
+
+const PAPER_JET = {
+  id: 'paper-jet',
+  name: 'Paper Jet',
+  description: 'Agile all-rounder with an afterburner',
+  model: (options) => createAirplane({ shape: 'paper', ...options }),
+  colors: { color: 0xff6600, fillColor: 0xff4400, edgeColor: 0xff9900 },
+  handling: {
+    // Speed targets (m/s)
+    minSpeed: 70,
+    stallSpeed: 95,
+    cruiseSpeed: 260,
+    maxSpeed: 360,
+    afterburnerSpeed: 470,
+
+    // Rate limits
+    maxPitchRate: 220,
+    maxRollRate: 300,
+    maxYawRate: 120,
+
+    // Control response (rate controller)
+    pitchResponse: 7.5,
+    rollResponse: 9.0,
+    yawResponse: 5.5,
+
+    // Stability and damping
+    rollStability: 2.6,
+    alphaStability: 2.2,
+    betaStability: 2.0,
+    rollToYaw: 0.9,
+    yawDamping: 1.8,
+    pitchDamping: 2.8,
+    rollDamping: 2.4,
+
+    // Flight path hold
+    flightPathHoldGain: 1.6,
+    flightPathHoldMax: 10,
+
+    // AoA limiter
+    aoaLimit: 18,
+    aoaLimiterGain: 14.0,
+
+    // Aerodynamics
+    liftScalar: 0.0010,
+    dragScalar: 0.00125,
+    sideScalar: 0.0007,
+    cl0: 0.2,
+    clAlpha: 4.8,
+    clMax: 1.5,
+    cd0: 0.02,
+    cdAlpha: 0.3,
+    cdInduced: 0.12,
+    stallAoA: 18,
+    stallFade: 12,
+    stallDrag: 0.7,
+    cyBeta: 0.8,
+    cyMax: 1.0,
+
+    // Ground effect: lift boost at zero height, fading out over two wingspans (m)
+    wingspan: 3.6,
+    groundEffectLift: 0.15,
+
+    // Thrust / throttle
+    trimThrottle: 0.6,
+    throttleRate: 0.55,
+    idleThrust: 2.0,
+    maxThrust: 15.0,
+    afterburnerThrust: 12.0,
+    thrustLapse: 0.7, // Thrust scales with density ratio ^ thrustLapse
+
+    // Afterburner fuel (fraction per second)
+    afterburnerBurnRate: 0.28,
+    afterburnerRegenRate: 0.18,
+
+    // Alignment helper
+    velocityAlign: 0.35
+  }
+};
+
+export const AIRCRAFT_PROFILES = [
+  {
+    id: 'glider',
+    name: 'Glider',
+    description: 'Slow and floaty, long wings, gentle rolls',
+    model: (options) => createAirplane({ shape: 'glider', ...options }),
+    colors: { color: 0x40e0ff, fillColor: 0x00a0d0, edgeColor: 0xa0f4ff },
+    handling: {
+      ...PAPER_JET.handling,
+      minSpeed: 25,
+      stallSpeed: 35,
+      cruiseSpeed: 95,
+      maxSpeed: 150,
+      afterburnerSpeed: 190,
+      maxPitchRate: 110,
+      maxRollRate: 120,
+      maxYawRate: 60,
+      pitchResponse: 5.0,
+      rollResponse: 5.0,
+      yawResponse: 4.0,
+      rollStability: 3.2,
+      aoaLimit: 14,
+      liftScalar: 0.0045,
+      dragScalar: 0.0030,
+      cd0: 0.012,
+      cdInduced: 0.05,
+      stallAoA: 15,
+      stallFade: 10,
+      sideScalar: 0.0025,
+      wingspan: 6.8,
+      groundEffectLift: 0.25,
+      trimThrottle: 0.4,
+      idleThrust: 0,
+      maxThrust: 5.0,
+      afterburnerThrust: 4.0,
+      afterburnerBurnRate: 0.2,
+      afterburnerRegenRate: 0.1
+    }
+  },
+  PAPER_JET,
+  {
+    id: 'interceptor',
+    name: 'Interceptor',
+    description: 'Heavy and fast, wide turns, huge afterburner',
+    model: (options) => createAirplane({ shape: 'delta', ...options }),
+    colors: { color: 0xff3060, fillColor: 0xc01040, edgeColor: 0xff90a8 },
+    handling: {
+      ...PAPER_JET.handling,
+      minSpeed: 110,
+      stallSpeed: 150,
+      cruiseSpeed: 340,
+      maxSpeed: 480,
+      afterburnerSpeed: 680,
+      maxPitchRate: 140,
+      maxRollRate: 240,
+      maxYawRate: 80,
+      pitchResponse: 5.0,
+      rollResponse: 7.0,
+      yawResponse: 4.0,
+      pitchDamping: 3.4,
+      aoaLimit: 15,
+      liftScalar: 0.0006,
+      dragScalar: 0.0008,
+      stallAoA: 16,
+      stallFade: 8,
+      sideScalar: 0.0004,
+      wingspan: 3.2,
+      groundEffectLift: 0.1,
+      trimThrottle: 0.4,
+      idleThrust: 3.0,
+      maxThrust: 22.0,
+      afterburnerThrust: 24.0,
+      afterburnerBurnRate: 0.2,
+      afterburnerRegenRate: 0.12,
+      velocityAlign: 0.25
+    }
+  }
+];
+
+export function getAircraftProfile(id) {
+  return AIRCRAFT_PROFILES.find((profile) => profile.id === id) ??
+    AIRCRAFT_PROFILES.find((profile) => profile.id === DEFAULT_AIRCRAFT);
+}
+
+// Throws on the first problem so a broken profile never reaches the flight model
+export function validateAircraftProfile(profile) {
+  const label = profile && profile.id ? `Aircraft ${profile.id}` : 'Aircraft';
+  if (!profile || typeof profile.id !== 'string' || !profile.id) {
+    throw new Error(`${label}: needs an id`);
+  }
+  if (typeof profile.model !== 'function') {
+    throw new Error(`${label}: model must be a builder function`);
+  }
+  if (!profile.colors || !Number.isInteger(profile.colors.color)) {
+    throw new Error(`${label}: needs colors.color`);
+  }
+
+  const handling = profile.handling || {};
+  for (const key of HANDLING_KEYS) {
+    const value = handling[key];
+    if (!Number.isFinite(value)) throw new Error(`${label}: ${key} must be a number`);
+    if (value < 0 || (value === 0 && !NON_NEGATIVE_KEYS.includes(key))) {
+      throw new Error(`${label}: ${key} must be ${NON_NEGATIVE_KEYS.includes(key) ? 'zero or more' : 'positive'}`);
+    }
+  }
+
+  const speeds = ['minSpeed', 'stallSpeed', 'cruiseSpeed', 'maxSpeed', 'afterburnerSpeed'];
+  for (let i = 1; i < speeds.length; i++) {
+    if (handling[speeds[i]] < handling[speeds[i - 1]]) {
+      throw new Error(`${label}: ${speeds[i]} must not be below ${speeds[i - 1]}`);
+    }
+  }
+  if (handling.trimThrottle > 1) throw new Error(`${label}: trimThrottle must be 0-1`);
+  if (handling.idleThrust > handling.maxThrust) throw new Error(`${label}: idleThrust exceeds maxThrust`);
+  if (handling.aoaLimit > handling.stallAoA + handling.stallFade) {
+    throw new Error(`${label}: aoaLimit is past the end of the stall`);
+  }
+  return profile;
+}
+
+export function createAircraftModel(profile, options = {}) {
+  return profile.model({ ...profile.colors, ...options });
+}
@@ -1,68 +1,96 @@
 import * as THREE from 'three';
 
-export function createAirplane() {
+// Wireframe airframes; each is a closed paper-fold mesh around the origin, nose towards -Z
+const SHAPES = {
+  // Classic dart: swept wings folded up to a center ridge
+  paper: {
+    vertices: [
+      0, 0, -2, // Nose
+      -1.8, 0.1, 1.2, // Left wing top
+      -1.8, -0.05, 1.2, // Left wing bottom
+      1.8, 0.1, 1.2, // Right wing top
+      1.8, -0.05, 1.2, // Right wing bottom
+      0, 0.3, 0.8, // Center top (fuselage ridge)
+      0, 0.15, 1.5, // Center back
+      0, 0.6, 1.3 // Tail fin top
+    ],
+    tail: [0, 0.15, 1.5],
+    wingtips: [[-1.8, 0.02, 1.2], [1.8, 0.02, 1.2]],
+    indices: [
+      0, 5, 1, 1, 5, 6, // Left wing top surface
+      0, 2, 5, 2, 6, 5, // Left wing bottom surface
+      0, 3, 5, 3, 6, 5, // Right wing top surface
+      0, 5, 4, 4, 5, 6, // Right wing bottom surface
+      1, 2, 0, 1, 6, 2, // Left wing edge
+      3, 0, 4, 3, 4, 6, // Right wing edge
+      5, 7, 6, 5, 6, 7 // Tail fin
+    ]
+  },
+
+  // Long straight wings on a slim boom with a T-tail
+  glider: {
+    vertices: [
+      0, 0, -2.2, // Nose
+      -3.4, 0.18, 0.1, // Left wingtip leading edge
+      -3.4, 0.18, 0.5, // Left wingtip trailing edge
+      3.4, 0.18, 0.1, // Right wingtip leading edge
+      3.4, 0.18, 0.5, // Right wingtip trailing edge
+      0, 0.12, -0.5, // Wing root leading edge
+      0, 0.12, 0.6, // Wing root trailing edge
+      0, 0.05, 2.2, // Tail boom end
+      0, 0.75, 2.0, // Fin top
+      -0.9, 0.75, 2.1, // Left tailplane tip
+      0.9, 0.75, 2.1 // Right tailplane tip
+    ],
+    tail: [0, 0.05, 2.2],
+    wingtips: [[-3.4, 0.18, 0.5], [3.4, 0.18, 0.5]],
+    indices: [
+      5, 1, 2, 5, 2, 6, // Left wing
+      5, 4, 3, 5, 6, 4, // Right wing
+      0, 5, 6, 0, 6, 7, // Fuselage and boom
+      6, 8, 7, 6, 7, 8, // Fin
+      8, 9, 10, 8, 10, 9 // Tailplane
+    ]
+  },
+
+  // Sharp delta with a raised spine and twin canted fins
+  delta: {
+    vertices: [
+      0, 0, -2.6, // Nose
+      -1.6, -0.05, 1.4, // Left wingtip
+      1.6, -0.05, 1.4, // Right wingtip
+      0, 0.35, 0.4, // Spine
+      0, 0.1, 1.6, // Tail
+      -0.55, 0.05, 1.5, // Left fin root
+      0.55, 0.05, 1.5, // Right fin root
+      -0.8, 0.75, 1.8, // Left fin top
+      0.8, 0.75, 1.8 // Right fin top
+    ],
+    tail: [0, 0.1, 1.6],
+    wingtips: [[-1.6, -0.05, 1.4], [1.6, -0.05, 1.4]],
+    indices: [
+      0, 3, 1, 1, 3, 4, // Left wing top
+      0, 2, 3, 2, 4, 3, // Right wing top
+      0, 1, 2, 1, 4, 2, // Belly
+      5, 7, 4, 5, 4, 7, // Left fin
+      6, 4, 8, 6, 8, 4 // Right fin
+    ]
+  }
+};
+
+export const AIRPLANE_SHAPES = Object.keys(SHAPES);
+
+// options.shape picks the airframe; options.color / fillColor / edgeColor tint the model,
+// options.opacity fades it (ghosts)
+export function createAirplane(options = {}) {
+  const opacity = options.opacity ?? 1;
+  const shape = SHAPES[options.shape] ?? SHAPES.paper;
+
   const group = new THREE.Group();
 
-  // 3D Paper airplane geometry
   const geometry = new THREE.BufferGeometry();
-
-  // Vertices for a 3D paper airplane
-  const vertices = new Float32Array([
-    // Nose (front point)
-    0, 0, -2,
-
-    // Left wing top
-    -1.8, 0.1, 1.2,
-
-    // Left wing bottom
-    -1.8, -0.05, 1.2,
-
-    // Right wing top
-    1.8, 0.1, 1.2,
-
-    // Right wing bottom
-    1.8, -0.05, 1.2,
-
-    // Center top (fuselage ridge)
-    0, 0.3, 0.8,
-
-    // Center back
-    0, 0.15, 1.5,
-
-    // Tail fin top
-    0, 0.6, 1.3,
-  ]);
-
-  // Indices for triangles
-  const indices = [
-    // Left wing top surface
-    0, 5, 1,
-    1, 5, 6,
-
-    // Left wing bottom surface
-    0, 2, 5,
-    2, 6, 5,
-
-    // Right wing top surface
-    0, 3, 5,
-    3, 6, 5,
-
-    // Right wing bottom surface
-    0, 5, 4,
-    4, 5, 6,
-
-    // Left wing edge
-    1, 2, 0,
-    1, 6, 2,
-
-    // Right wing edge
-    3, 0, 4,
-    3, 4, 6,
-
-    // Tail fin
-    5, 7, 6,
-    5, 6, 7,
-  ];
+  const vertices = new Float32Array(shape.vertices);
+  const indices = shape.indices;
 
   geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
   geometry.setIndex(indices);
@@ -70,18 +98,19 @@ export function createAirplane() {
 
   // Wireframe for that digital look
   const wireMaterial = new THREE.MeshBasicMaterial({
-    color: 0xff6600,
+    color: options.color ?? 0xff6600,
     wireframe: true,
     transparent: true,
-    opacity: 0.9
+    opacity: 0.9 * opacity
   });
 
   // Solid fill with transparency
   const solidMaterial = new THREE.MeshBasicMaterial({
-    color: 0xff4400,
+    color: options.fillColor ?? options.color ?? 0xff4400,
     transparent: true,
-    opacity: 0.3,
-    side: THREE.DoubleSide
+    opacity: 0.3 * opacity,
+    side: THREE.DoubleSide,
+    depthWrite: opacity >= 1
   });
 
   const wireframe = new THREE.Mesh(geometry, wireMaterial);
@@ -93,13 +122,19 @@ export function createAirplane() {
   // Add edge lines for cleaner look
   const edges = new THREE.EdgesGeometry(geometry, 15);
   const lineMaterial = new THREE.LineBasicMaterial({
-    color: 0xff9900,
+    color: options.edgeColor ?? options.color ?? 0xff9900,
     transparent: true,
-    opacity: 1
+    opacity
   });
   const edgeLines = new THREE.LineSegments(edges, lineMaterial);
   group.add(edgeLines);
 
+  // Attachment points for effects, in model space
+  group.userData.anchors = {
+    tail: new THREE.Vector3(...shape.tail),
+    wingtips: shape.wingtips.map((tip) => new THREE.Vector3(...tip))
+  };
+
   // Initial position
   group.position.set(0, 50, 0);
 
@@ -0,0 +1,261 @@
+import * as THREE from 'three';
+import { createRandom, normalizeSeed } from './random.js';
+
+// Moving air mass: steady wind, gusts, Dryden-style turbulence, ridge lift and thermals.
+// Directions follow the compass (0 = north = -Z, 90 = east = +X); wind direction is where it blows from.
+
+export const DEFAULT_WEATHER = {
+  windSpeed: 0, // m/s
+  windDirection: 270, // Degrees, blowing from
+  gusts: 0, // Peak gust as a fraction of the wind speed
+  turbulence: 0, // 0 calm, 1 light, 2 moderate, 3 severe
+  thermals: false
+};
+
+// International Standard Atmosphere. The world is vertically compressed: each world metre
+// counts as ALTITUDE_SCALE metres of standard altitude so service ceilings sit a few km up
+export const ALTITUDE_SCALE = 5;
+const SEA_LEVEL_TEMPERATURE = 288.15; // K
+const LAPSE_RATE = 0.0065; // K/m
+const TROPOPAUSE = 11000; // m
+const TROPOPAUSE_DENSITY = 0.2971; // Density ratio at the tropopause
+const STRATOSPHERE_SCALE_HEIGHT = 6341.6; // m
+
+// Air density relative to sea level at a world altitude
+export function densityRatio(altitude) {
+  const h = Math.max(altitude * ALTITUDE_SCALE, -1000);
+  if (h <= TROPOPAUSE) {
+    return Math.pow(1 - (LAPSE_RATE * h) / SEA_LEVEL_TEMPERATURE, 4.2559);
+  }
+  return TROPOPAUSE_DENSITY * Math.exp(-(h - TROPOPAUSE) / STRATOSPHERE_SCALE_HEIGHT);
+}
+
+const GUST_MIN_INTERVAL = 3; // Seconds between gusts
+const GUST_MAX_INTERVAL = 9;
+const GUST_MIN_DURATION = 1.5;
+const GUST_MAX_DURATION = 4;
+
+const TURBULENCE_W20 = 7.5; // Wind at 20 ft (m/s) per turbulence level step
+const TURBULENCE_CEILING = 600; // Above this the length scales and intensities stop changing
+const TURBULENCE_FLOOR = 10;
+
+const RIDGE_DEPTH = 250; // Ridge lift decays over this height above the slope
+const SLOPE_SAMPLE = 30; // Metres between height samples for the terrain gradient
+
+const THERMAL_CELL = 1400; // One candidate thermal per grid cell
+const THERMAL_CHANCE = 0.45;
+const THERMAL_RADIUS = 180; // Core radius; the ring around it sinks
+const THERMAL_STRENGTH = 6; // Peak updraft (m/s)
+const THERMAL_CEILING = 1200; // Thermals top out this far above the ground
+
+export class Atmosphere {
+  constructor(getHeight, weather = {}, seed = 0) {
+    this.getHeight = getHeight;
+    this.weather = { ...DEFAULT_WEATHER };
+    this.seed = normalizeSeed(seed);
+    this.random = createRandom(normalizeSeed(`${this.seed}:atmosphere`));
+    this.steady = new THREE.Vector3();
+    this.set(weather);
+
+    this.time = 0;
+    this.gust = 0; // Current gust factor, 0..1 of the peak
+    this._gustStart = 0;
+    this._gustDuration = 0;
+    this._gustPeak = 0;
+    this._nextGust = this._gustInterval();
+
+    // Dryden filter states (m/s) along wind, across wind and vertical
+    this.turbulenceU = 0;
+    this.turbulenceV = 0;
+    this.turbulenceW = 0;
+
+    this.wind = new THREE.Vector3(); // Total air velocity at the aircraft after update()
+    this.ridgeLift = 0;
+    this.thermalLift = 0;
+
+    this._thermalCells = new Map();
+    this._along = new THREE.Vector3();
+    this._across = new THREE.Vector3();
+  }
+
+  set(weather) {
+    Object.assign(this.weather, weather);
+    const direction = THREE.MathUtils.degToRad(this.weather.windDirection);
+    this.steady.set(-Math.sin(direction), 0, Math.cos(direction)).multiplyScalar(this.weather.windSpeed);
+  }
+
+  // Thermal placement depends on the terrain; call after the world changes
+  setTerrain(getHeight, seed) {
+    this.getHeight = getHeight;
+    this.seed = normalizeSeed(seed);
+    this._thermalCells.clear();
+  }
+
+  // Calm air with no gust or turbulence state to carry between steps
+  get calm() {
+    const { windSpeed, turbulence, thermals } = this.weather;
+    return windSpeed === 0 && turbulence === 0 && !thermals;
+  }
+
+  // Advance gusts and turbulence at the aircraft and return the wind it flies through
+  update(dt, position, airspeed) {
+    this.time += dt;
+    const wind = this.wind.copy(this.steady);
+    if (this.calm) {
+      this.ridgeLift = 0;
+      this.thermalLift = 0;
+      return wind;
+    }
+
+    const ground = this.getHeight(position.x, position.z);
+    const altitude = Math.max(position.y - ground, 0);
+    const speed = this.weather.windSpeed;
+
+    // Axes: along the wind (or north in still air), across it, and up
+    if (speed > 0) this._along.copy(this.steady).divideScalar(speed);
+    else this._along.set(0, 0, -1);
+    this._across.set(-this._along.z, 0, this._along.x);
+
+    // Gusts: 1-cos pulses along the wind at random intervals
+    this._updateGust();
+    wind.addScaledVector(this._along, this.gust * this._gustPeak * speed);
+
+    // Turbulence
+    this._updateTurbulence(dt, altitude, Math.max(airspeed, 1));
+    wind.addScaledVector(this._along, this.turbulenceU);
+    wind.addScaledVector(this._across, this.turbulenceV);
+    wind.y += this.turbulenceW;
+
+    // Vertical air from the terrain
+    this.ridgeLift = this.ridgeLiftAt(position.x, position.z, altitude);
+    this.thermalLift = this.weather.thermals ? this.thermalAt(position.x, position.z, altitude) : 0;
+    wind.y += this.ridgeLift + this.thermalLift;
+    return wind;
+  }
+
+  _gustInterval() {
+    return GUST_MIN_INTERVAL + this.random() * (GUST_MAX_INTERVAL - GUST_MIN_INTERVAL);
+  }
+
+  _updateGust() {
+    if (this.weather.gusts <= 0) {
+      this.gust = 0;
+      return;
+    }
+
+    if (this._gustDuration === 0 && this.time >= this._nextGust) {
+      this._gustStart = this.time;
+      this._gustDuration = GUST_MIN_DURATION + this.random() * (GUST_MAX_DURATION - GUST_MIN_DURATION);
+      this._gustPeak = this.weather.gusts * (0.5 + this.random() * 0.5);
+    }
+
+    if (this._gustDuration > 0) {
+      const t = (this.time - this._gustStart) / this._gustDuration;
+      if (t >= 1) {
+        this.gust = 0;
+        this._gustDuration = 0;
+        this._nextGust = this.time + this._gustInterval();
+      } else {
+        this.gust = (1 - Math.cos(t * Math.PI * 2)) / 2;
+      }
+    }
+  }
+
+  // Gaussian white noise (Box-Muller) from the seeded source
+  _gaussian() {
+    const u = Math.max(this.random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+  }
+
+  // Low-altitude Dryden model (MIL-F-8785C) in metres: intensities and length scales
+  // grow with height above ground; each axis is a first-order shaping filter
+  turbulenceScales(altitude) {
+    const h = THREE.MathUtils.clamp(altitude, TURBULENCE_FLOOR, TURBULENCE_CEILING) * 3.281; // feet
+    const sigmaW = 0.1 * TURBULENCE_W20 * this.weather.turbulence;
+    const factor = 0.177 + 0.000823 * h;
+    return {
+      sigmaU: sigmaW / Math.pow(factor, 0.4),
+      sigmaW,
+      lengthU: h / Math.pow(factor, 1.2) / 3.281,
+      lengthW: h / 3.281
+    };
+  }
+
+  _updateTurbulence(dt, altitude, airspeed) {
+    if (this.weather.turbulence <= 0) {
+      this.turbulenceU = 0;
+      this.turbulenceV = 0;
+      this.turbulenceW = 0;
+      return;
+    }
+
+    const { sigmaU, sigmaW, lengthU, lengthW } = this.turbulenceScales(altitude);
+    this.turbulenceU = this._shape(this.turbulenceU, sigmaU, lengthU, airspeed, dt);
+    this.turbulenceV = this._shape(this.turbulenceV, sigmaU, lengthU, airspeed, dt);
+    this.turbulenceW = this._shape(this.turbulenceW, sigmaW, lengthW, airspeed, dt);
+  }
+
+  // Exact discretization of x' = -(V/L) x + sigma sqrt(2V/L) noise
+  _shape(state, sigma, length, airspeed, dt) {
+    const decay = Math.exp(-(airspeed / length) * dt);
+    return state * decay + sigma * Math.sqrt(1 - decay * decay) * this._gaussian();
+  }
+
+  // Wind blowing up a slope rises with it: w = wind . grad(h), fading with height
+  ridgeLiftAt(x, z, altitude) {
+    if (this.weather.windSpeed === 0) return 0;
+    const dhdx = (this.getHeight(x + SLOPE_SAMPLE, z) - this.getHeight(x - SLOPE_SAMPLE, z)) / (2 * SLOPE_SAMPLE);
+    const dhdz = (this.getHeight(x, z + SLOPE_SAMPLE) - this.getHeight(x, z - SLOPE_SAMPLE)) / (2 * SLOPE_SAMPLE);
+    const lift = this.steady.x * dhdx + this.steady.z * dhdz;
+    return lift * Math.exp(-altitude / RIDGE_DEPTH);
+  }
+
+  // Thermal columns on a seeded grid; steep sun-facing (south) slopes trigger the strongest.
+  // Each core is ringed by gentle sink
+  thermalAt(x, z, altitude) {
+    if (altitude > THERMAL_CEILING) return 0;
+    const cellX = Math.floor(x / THERMAL_CELL);
+    const cellZ = Math.floor(z / THERMAL_CELL);
+    let lift = 0;
+
+    for (let i = cellX - 1; i <= cellX + 1; i++) {
+      for (let j = cellZ - 1; j <= cellZ + 1; j++) {
+        const thermal = this.thermalCell(i, j);
+        if (!thermal) continue;
+        const distance = Math.hypot(x - thermal.x, z - thermal.z) / thermal.radius;
+        if (distance > 2.5) continue;
+        const profile = distance < 1 ? 1 - distance * distance : -0.25 * Math.sin((distance - 1) / 1.5 * Math.PI);
+        lift += thermal.strength * profile;
+      }
+    }
+
+    // Strongest mid-column, fading near the ground and at the top
+    const height = altitude / THERMAL_CEILING;
+    return lift * Math.min(1, height * 8) * (1 - height * height);
+  }
+
+  thermalCell(i, j) {
+    const key = `${i},${j}`;
+    if (!this._thermalCells.has(key)) {
+      if (this._thermalCells.size > 512) this._thermalCells.clear();
+      this._thermalCells.set(key, this._createThermal(i, j));
+    }
+    return this._thermalCells.get(key);
+  }
+
+  _createThermal(i, j) {
+    const random = createRandom(normalizeSeed(`${this.seed}:thermal:${i}:${j}`));
+    if (random() > THERMAL_CHANCE) return null;
+
+    const x = (i + 0.2 + random() * 0.6) * THERMAL_CELL;
+    const z = (j + 0.2 + random() * 0.6) * THERMAL_CELL;
+    const southSlope = (this.getHeight(x, z - SLOPE_SAMPLE) - this.getHeight(x, z + SLOPE_SAMPLE)) / (2 * SLOPE_SAMPLE);
+    const trigger = THREE.MathUtils.clamp(0.5 + southSlope * 2, 0.3, 1.5);
+    return {
+      x,
+      z,
+      radius: THERMAL_RADIUS * (0.7 + random() * 0.6),
+      strength: THERMAL_STRENGTH * (0.5 + random() * 0.5) * trigger
+    };
+  }
+}
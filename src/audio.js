@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+
+// Procedural flight audio on Web Audio: engine, afterburner roar, wind, stall buffet and the
+// sonar ping, all synthesized from oscillators and a looped noise buffer and driven by
+// controller.telemetry. Alerts (GPWS callouts, the ping) share their own bus.
+
+const clamp = THREE.MathUtils.clamp;
+const lerp = THREE.MathUtils.lerp;
+
+export const DEFAULT_AUDIO = {
+  muted: false,
+  master: 0.7,
+  engine: 0.8,
+  wind: 0.8,
+  alerts: 0.9
+};
+
+export const AUDIO_BUSES = ['engine', 'wind', 'alerts'];
+
+const SPOOL_UP = 1.2; // Seconds for the engine note to follow a throttle change
+const SPOOL_DOWN = 2.0;
+const SMOOTHING = 0.08; // Time constant for parameter changes, seconds
+const NOISE_SECONDS = 2;
+const BUFFET_RATE = 9; // Hz
+const SUB_OCTAVE = 0.5;
+
+// Sound targets for one flight state; spool is the lagged 0..1 engine speed
+export function audioMix(controller, spool) {
+  const t = controller.telemetry;
+  const speed = clamp(t.airspeed / controller.afterburnerSpeed, 0, 1.5);
+  const aoa = Math.min(Math.abs(t.aoa), 0.6);
+  const running = !controller.crashed;
+  const burner = running && controller.afterburnerActive;
+
+  return {
+    engineFrequency: lerp(48, 150, spool),
+    engineCutoff: lerp(300, 2400, spool),
+    engineGain: running ? lerp(0.12, 0.35, spool) : 0,
+    whineFrequency: lerp(900, 3200, spool),
+    whineGain: running ? 0.025 * spool * spool : 0,
+    afterburnerGain: burner ? 0.3 + 0.2 * spool : 0,
+    windFrequency: 250 + speed * 1400,
+    windGain: running ? Math.min(0.6, speed * speed * (0.5 + aoa * 3)) : 0,
+    buffetGain: running ? clamp(t.stall, 0, 1) * clamp(speed * 2, 0.3, 1) * 0.6 : 0
+  };
+}
+
+// Engine speed target from the thrust actually produced
+export function engineSpoolTarget(controller) {
+  if (controller.crashed) return 0;
+  return clamp(controller.telemetry.thrust / Math.max(controller.maxThrust, 1e-6), 0, 1);
+}
+
+export class FlightAudio {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_AUDIO };
+    this.context = null;
+    this.spool = 0;
+    this.set(options);
+  }
+
+  get ready() {
+    return this.context !== null && this.context.state === 'running';
+  }
+
+  // Level 0..1 for a bus after the master volume and mute
+  level(bus) {
+    return this.options.muted ? 0 : this.options.master * this.options[bus];
+  }
+
+  set(options) {
+    Object.assign(this.options, options);
+    if (!this.context) return;
+    const now = this.context.currentTime;
+    this.master.gain.setTargetAtTime(this.options.muted ? 0 : this.options.master, now, SMOOTHING);
+    for (const bus of AUDIO_BUSES) this.buses[bus].gain.setTargetAtTime(this.options[bus], now, SMOOTHING);
+  }
+
+  // Browsers only start audio from a user gesture; builds the graph on first call
+  resume() {
+    if (!this.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return;
+      this.context = new AudioContext();
+      this._build();
+      this.set({});
+    }
+    if (this.context.state === 'suspended') this.context.resume();
+  }
+
+  suspend() {
+    if (this.context && this.context.state === 'running') this.context.suspend();
+  }
+
+  _build() {
+    const context = this.context;
+    this.master = context.createGain();
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.value = -6;
+    limiter.ratio.value = 12;
+    this.master.connect(limiter).connect(context.destination);
+
+    this.buses = {};
+    for (const bus of AUDIO_BUSES) {
+      this.buses[bus] = context.createGain();
+      this.buses[bus].connect(this.master);
+    }
+
+    this.noise = context.createBuffer(1, context.sampleRate * NOISE_SECONDS, context.sampleRate);
+    const data = this.noise.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+    // Engine: sawtooth core and a square sub-octave through a lowpass, plus a turbine whine
+    this.engineGain = this._gain(this.buses.engine);
+    this.engineFilter = this._filter('lowpass', 300, 0.9, this.engineGain);
+    this.engineCore = this._oscillator('sawtooth', this.engineFilter);
+    this.engineSub = this._oscillator('square', this.engineFilter);
+    this.whineGain = this._gain(this.buses.engine);
+    this.whine = this._oscillator('sine', this.whineGain);
+
+    // Afterburner: low rumbling noise
+    this.afterburnerGain = this._gain(this.buses.engine);
+    this._noise(this._filter('lowpass', 500, 0.7, this.afterburnerGain));
+
+    // Wind: a band of noise rising in pitch with airspeed
+    this.windGain = this._gain(this.buses.wind);
+    this.windFilter = this._filter('bandpass', 600, 0.8, this.windGain);
+    this._noise(this.windFilter);
+
+    // Stall buffet: sub-bass noise chopped on and off by a square LFO
+    this.buffetGain = this._gain(this.buses.wind);
+    const chopper = this._gain(this.buffetGain, 0.5);
+    const depth = this._gain(chopper.gain, 0.5);
+    this._oscillator('square', depth, BUFFET_RATE);
+    this._noise(this._filter('lowpass', 90, 1, chopper));
+  }
+
+  _gain(destination, value = 0) {
+    const gain = this.context.createGain();
+    gain.gain.value = value;
+    gain.connect(destination);
+    return gain;
+  }
+
+  _filter(type, frequency, q, destination) {
+    const filter = this.context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = q;
+    filter.connect(destination);
+    return filter;
+  }
+
+  _oscillator(type, destination, frequency = 100) {
+    const oscillator = this.context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    oscillator.connect(destination);
+    oscillator.start();
+    return oscillator;
+  }
+
+  // Looped noise from a random offset so layers don't share a phase
+  _noise(destination) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.noise;
+    source.loop = true;
+    source.connect(destination);
+    source.start(0, Math.random() * NOISE_SECONDS);
+    return source;
+  }
+
+  // Follow the flight state; call once per frame
+  update(dt, controller) {
+    const target = engineSpoolTarget(controller);
+    const time = target > this.spool ? SPOOL_UP : SPOOL_DOWN;
+    this.spool += (target - this.spool) * Math.min(1, dt / time);
+    if (!this.ready) return;
+
+    const mix = audioMix(controller, this.spool);
+    const now = this.context.currentTime;
+    const to = (param, value) => param.setTargetAtTime(value, now, SMOOTHING);
+    to(this.engineCore.frequency, mix.engineFrequency);
+    to(this.engineSub.frequency, mix.engineFrequency * SUB_OCTAVE);
+    to(this.engineFilter.frequency, mix.engineCutoff);
+    to(this.engineGain.gain, mix.engineGain);
+    to(this.whine.frequency, mix.whineFrequency);
+    to(this.whineGain.gain, mix.whineGain);
+    to(this.afterburnerGain.gain, mix.afterburnerGain);
+    to(this.windFilter.frequency, mix.windFrequency);
+    to(this.windGain.gain, mix.windGain);
+    to(this.buffetGain.gain, mix.buffetGain);
+  }
+
+  // Fade the flight layers out (menus, replay pauses) without dropping the spool state
+  silence() {
+    if (!this.ready) return;
+    const now = this.context.currentTime;
+    for (const gain of [this.engineGain, this.whineGain, this.afterburnerGain, this.windGain, this.buffetGain]) {
+      gain.gain.setTargetAtTime(0, now, SMOOTHING);
+    }
+  }
+
+  // Sonar ping: a falling chirp whose echoes repeat and fade over the ring's lifetime
+  ping(duration) {
+    if (!this.ready) return;
+    const context = this.context;
+    const now = context.currentTime;
+
+    const oscillator = context.createOscillator();
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(1900, now);
+    oscillator.frequency.exponentialRampToValueAtTime(1150, now + 0.3);
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0, now);
+    envelope.gain.linearRampToValueAtTime(0.4, now + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+
+    const delay = context.createDelay(1);
+    delay.delayTime.value = 0.42;
+    const feedback = context.createGain();
+    feedback.gain.value = Math.pow(0.001, delay.delayTime.value / duration); // Echoes die out with the ring
+    const damping = context.createBiquadFilter();
+    damping.type = 'lowpass';
+    damping.frequency.value = 2200;
+
+    oscillator.connect(envelope);
+    envelope.connect(this.buses.alerts);
+    envelope.connect(delay);
+    delay.connect(damping).connect(feedback).connect(delay);
+    feedback.connect(this.buses.alerts);
+
+    oscillator.start(now);
+    oscillator.stop(now + 0.4);
+    // Break the feedback loop once the echoes are inaudible so the nodes can be collected
+    setTimeout(() => feedback.disconnect(), (duration + 0.5) * 1000);
+  }
+
+  // Short synthesized tone on the alerts bus
+  tone(from, to, start, duration, volume = 0.25) {
+    if (!this.ready) return;
+    const context = this.context;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'square';
+    oscillator.frequency.setValueAtTime(from, start);
+    oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + 0.02);
+    gain.gain.setValueAtTime(volume, start + duration - 0.04);
+    gain.gain.linearRampToValueAtTime(0, start + duration);
+    oscillator.connect(gain).connect(this.buses.alerts);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
+}
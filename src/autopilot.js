@@ -0,0 +1,263 @@
+import * as THREE from 'three';
+
+// Autopilot on top of FlightController: altitude hold, heading hold, speed hold and terrain following.
+// It flies through the controller's autopilotPitch/autopilotRoll stick channels and throttleSetting;
+// moving a control the autopilot is flying hands that axis back to the pilot.
+
+const clamp = THREE.MathUtils.clamp;
+const DEG2RAD = THREE.MathUtils.DEG2RAD;
+const TAU = Math.PI * 2;
+
+export const AUTOPILOT_MODES = ['altitude', 'heading', 'speed', 'terrain'];
+
+// Target steps for the adjust keys
+const ALTITUDE_STEP = 50; // m
+const CLEARANCE_STEP = 20; // m
+const HEADING_STEP = 5; // Degrees
+const SPEED_STEP = 10; // m/s
+
+const MIN_CLEARANCE = 30;
+const DISENGAGE_INPUT = 0.15; // Stick deflection that takes an axis back
+const ALERT_TIME = 2; // Seconds the disengage warning shows
+
+function wrapAngle(angle) {
+  return ((angle % TAU) + TAU + Math.PI) % TAU - Math.PI;
+}
+
+export class Autopilot {
+  constructor(controller, getHeight) {
+    this.controller = controller;
+    this.getHeight = getHeight;
+
+    this.altitude = false;
+    this.heading = false;
+    this.speed = false;
+    this.terrain = false;
+
+    this.targetAltitude = 0; // m
+    this.targetHeading = 0; // rad, compass
+    this.targetSpeed = 0; // Airspeed, m/s
+    this.clearance = 120; // Terrain following height above ground, m
+
+    // Vertical: altitude error -> vertical speed -> flight path angle -> pitch rate
+    this.altitudeGain = 0.4; // (m/s) per m
+    this.maxClimb = 40; // m/s, altitude hold
+    this.maxPathAngle = 20 * DEG2RAD;
+    this.pathGain = 1.5; // (rad/s) per rad
+    this.pathIntegral = 0.2; // Trims out the controller's own pitch stability
+    this._pitchTrim = 0;
+
+    // Lateral: heading error -> turn rate -> bank -> roll stick
+    this.headingGain = 0.2; // (rad/s) turn per rad heading error
+    this.maxTurnRate = 3 * DEG2RAD; // Standard rate turn
+    this.maxBank = 60 * DEG2RAD;
+    this.bankGain = 1.5;
+    this.sideslipGain = 3.0; // (rad/s) yaw per rad sideslip
+
+    // Speed: PI on airspeed
+    this.speedGain = 0.03; // Throttle per m/s
+    this.speedIntegral = 0.005; // Throttle per m/s per s
+    this._throttleBase = 0;
+
+    // Terrain following looks ahead along the ground track, closely enough spaced to catch spikes
+    this.lookAhead = 10; // Seconds
+    this.lookAheadSpacing = 30; // m
+    this.maxLookAheadSamples = 120;
+    this.climbReserve = 0.5; // Fraction of the climb limit the look-ahead counts on
+    this.descentLimit = 0.4; // Fraction of the climb limit used going down
+    this.pathClearance = 0.5; // Fraction of the clearance a descent's straight path must keep over the ground ahead
+    this._minVerticalSpeed = -Infinity;
+
+    this.alert = 0; // Seconds left on the disengage warning
+    this.commandAltitude = 0; // Altitude the vertical mode is flying to this step
+
+    this._velocity = new THREE.Vector3();
+  }
+
+  get engaged() {
+    return this.altitude || this.heading || this.speed || this.terrain;
+  }
+
+  get vertical() {
+    return this.altitude || this.terrain;
+  }
+
+  // Engage a mode on the current state, or drop it if already on
+  toggle(mode) {
+    if (this[mode]) {
+      this.disengage([mode]);
+      return;
+    }
+
+    const controller = this.controller;
+    if (controller.crashed) return;
+    if (mode === 'altitude' || mode === 'terrain') {
+      if (!this.vertical) this._pitchTrim = 0;
+      this.altitude = false;
+      this.terrain = false;
+    }
+    if (mode === 'altitude') {
+      this.targetAltitude = Math.round(controller.airplane.position.y / 10) * 10;
+    } else if (mode === 'heading') {
+      this.targetHeading = this.currentHeading();
+    } else if (mode === 'speed') {
+      this.targetSpeed = Math.round(controller.airspeed);
+      this._throttleBase = controller.throttleSetting;
+    }
+    this[mode] = true;
+    this.alert = 0;
+  }
+
+  disengage(modes = AUTOPILOT_MODES) {
+    for (const mode of modes) this[mode] = false;
+    if (!this.vertical) this.controller.autopilotPitch = null;
+    if (!this.heading) {
+      this.controller.autopilotRoll = null;
+      this.controller.autopilotYaw = null;
+    }
+  }
+
+  // Step the active targets: direction is +1 / -1
+  adjustVertical(direction) {
+    if (this.terrain) this.clearance = Math.max(MIN_CLEARANCE, this.clearance + direction * CLEARANCE_STEP);
+    else if (this.altitude) this.targetAltitude += direction * ALTITUDE_STEP;
+  }
+
+  adjustHeading(direction) {
+    if (!this.heading) return;
+    const heading = Math.round(this.targetHeading / DEG2RAD / HEADING_STEP) * HEADING_STEP + direction * HEADING_STEP;
+    this.targetHeading = ((heading % 360 + 360) % 360) * DEG2RAD;
+  }
+
+  adjustSpeed(direction) {
+    if (this.speed) this.targetSpeed = Math.max(this.controller.minSpeed, this.targetSpeed + direction * SPEED_STEP);
+  }
+
+  // Nose heading on the compass, 0..2PI
+  currentHeading() {
+    return (-this.controller.yaw % TAU + TAU) % TAU;
+  }
+
+  // Run before each physics step
+  update(dt) {
+    const controller = this.controller;
+    this.alert = Math.max(0, this.alert - dt);
+
+    if (controller.crashed) {
+      if (this.engaged) this.alert = ALERT_TIME;
+      this.disengage();
+      return;
+    }
+
+    this._checkOverride();
+    if (this.vertical) this._flyVertical(dt);
+    if (this.heading) this._flyHeading();
+    if (this.speed) this._flySpeed(dt);
+  }
+
+  // Pilot input on an axis the autopilot is flying hands it back
+  _checkOverride() {
+    const c = this.controller;
+    const dropped = [];
+    if (this.vertical && Math.max(Math.abs(c.stickY), Math.abs(c.analogPitch)) > DISENGAGE_INPUT) {
+      dropped.push('altitude', 'terrain');
+    }
+    const rollInput = Math.max(Math.abs(c.stickX), Math.abs(c.analogRoll));
+    if (this.heading && (rollInput > DISENGAGE_INPUT || c.yawInput !== 0 || Math.abs(c.analogYaw) > DISENGAGE_INPUT)) {
+      dropped.push('heading');
+    }
+    if (this.speed && (c.throttle !== 0 || c.analogThrottle !== 0 || c.boost || c.analogBoost)) {
+      dropped.push('speed');
+    }
+    if (dropped.length > 0) {
+      this.disengage(dropped);
+      this.alert = ALERT_TIME;
+    }
+  }
+
+  // Highest ground along the next few seconds of track, less the height we can climb by then.
+  // Also bounds the descent so the straight path never dips toward ground it will have to climb over
+  terrainTarget() {
+    const c = this.controller;
+    const position = c.airplane.position;
+    const velocity = c.getVelocity(this._velocity);
+    const climb = this._climbLimit() * this.climbReserve;
+    const distance = Math.hypot(velocity.x, velocity.z) * this.lookAhead;
+    const samples = clamp(Math.ceil(distance / this.lookAheadSpacing), 1, this.maxLookAheadSamples);
+    let target = -Infinity;
+    this._minVerticalSpeed = -Infinity;
+
+    for (let i = 0; i <= samples; i++) {
+      const t = (i / samples) * this.lookAhead;
+      const ground = this.getHeight(position.x + velocity.x * t, position.z + velocity.z * t);
+      target = Math.max(target, ground + this.clearance - climb * Math.max(t - 1, 0));
+      if (t >= 1) {
+        const floor = ground + this.clearance * this.pathClearance;
+        this._minVerticalSpeed = Math.max(this._minVerticalSpeed, (floor - position.y) / t);
+      }
+    }
+    return target;
+  }
+
+  // Terrain following may use the full path angle; altitude changes stay gentle
+  _climbLimit() {
+    const limit = this.controller.airspeed * Math.sin(this.maxPathAngle);
+    return this.terrain ? limit : Math.min(this.maxClimb, limit);
+  }
+
+  _flyVertical(dt) {
+    const c = this.controller;
+    const target = this.terrain ? this.terrainTarget() : this.targetAltitude;
+    this.commandAltitude = target;
+
+    const climb = this._climbLimit();
+    const descent = this.terrain ? climb * this.descentLimit : climb;
+    let verticalSpeed = clamp((target - c.airplane.position.y) * this.altitudeGain, -descent, climb);
+    if (this.terrain) verticalSpeed = Math.min(Math.max(verticalSpeed, this._minVerticalSpeed), climb);
+    const velocity = c.getVelocity(this._velocity);
+    const pathAngle = Math.atan2(velocity.y, Math.max(Math.hypot(velocity.x, velocity.z), 1));
+    const targetPath = Math.asin(clamp(verticalSpeed / Math.max(c.airspeed, 1), -1, 1));
+
+    // Banked, the nose has to keep pulling round the turn to hold the path
+    const bank = clamp(Math.abs(c.roll), 0, 60 * DEG2RAD);
+    const turnRate = (c.gravity / Math.max(c.airspeed, 1)) * Math.sin(bank) * Math.tan(bank);
+    const error = targetPath - pathAngle;
+    this._pitchTrim = clamp(this._pitchTrim + error * this.pathIntegral * dt, -0.5, 0.5);
+    const pitchRate = error * this.pathGain + this._pitchTrim + turnRate;
+
+    // Stick that holds this pitch rate against the controller's damping and AoA stability
+    const authority = Math.max(c.telemetry.authority, 0.35);
+    const command = pitchRate * (1 + c.pitchDamping / c.pitchResponse) + (c.telemetry.aoa * c.alphaStability) / c.pitchResponse;
+    c.autopilotPitch = clamp(command / (c.maxPitchRate * authority), -1, 1);
+  }
+
+  _flyHeading() {
+    const c = this.controller;
+    const error = wrapAngle(this.targetHeading - this.currentHeading());
+    const turnRate = clamp(error * this.headingGain, -this.maxTurnRate, this.maxTurnRate);
+    const bank = clamp(Math.atan((c.airspeed * turnRate) / c.gravity), -this.maxBank, this.maxBank);
+    // Positive roll stick banks right, to a negative roll angle
+    c.autopilotRoll = clamp((c.roll + bank) * this.bankGain, -1, 1);
+
+    // Rudder keeps the turn coordinated: yaw rate g sin(bank) / V held against the yaw damping,
+    // plus sideslip feedback (positive yaw stick turns the nose left)
+    const yawRate = (c.gravity / Math.max(c.airspeed, 1)) * Math.sin(c.roll);
+    const authority = Math.max(c.telemetry.authority, 0.35);
+    const command = yawRate * (1 + c.yawDamping / c.yawResponse) - c.telemetry.beta * this.sideslipGain;
+    c.autopilotYaw = clamp(command / (c.maxYawRate * authority), -1, 1);
+  }
+
+  _flySpeed(dt) {
+    const c = this.controller;
+    const error = this.targetSpeed - c.airspeed;
+    const proportional = error * this.speedGain;
+    // Only integrate while the throttle has room, so a long acceleration doesn't wind up an overshoot
+    const unclamped = this._throttleBase + proportional;
+    if (unclamped > 0 && unclamped < 1) {
+      this._throttleBase = clamp(this._throttleBase + error * this.speedIntegral * dt, 0, 1);
+    }
+    const throttle = clamp(this._throttleBase + proportional, 0, 1);
+    const maxChange = c.throttleRate * dt;
+    c.throttleSetting = clamp(throttle, c.throttleSetting - maxChange, c.throttleSetting + maxChange);
+  }
+}
@@ -0,0 +1,170 @@
+// Terrain biomes: named height functions with their own color ramps.
+// A height function receives the world's seeded noise and returns metres;
+// `range` is the [low, high] span the color ramp is stretched over.
+
+export const MAX_BIOMES = 8;
+
+const biomes = new Map();
+
+export function registerBiome(name, definition) {
+  if (typeof definition.height !== 'function') {
+    throw new Error(`Biome "${name}" needs a height(noise, x, z) function`);
+  }
+  if (!Array.isArray(definition.range) || definition.range[1] <= definition.range[0]) {
+    throw new Error(`Biome "${name}" needs a [low, high] range`);
+  }
+
+  biomes.set(name, {
+    name,
+    height: definition.height,
+    range: definition.range,
+    colors: {
+      low: definition.colors?.low ?? 0x00ccff,
+      high: definition.colors?.high ?? 0xff4d33
+    }
+  });
+}
+
+export function getBiome(name) {
+  return biomes.get(name);
+}
+
+export function listBiomes() {
+  return Array.from(biomes.keys());
+}
+
+function ridged(noise, x, z, octaves) {
+  let value = 0;
+  let amplitude = 0.5;
+  let frequency = 1;
+  let weight = 1;
+
+  for (let i = 0; i < octaves; i++) {
+    let n = 1 - Math.abs(noise.noise2D(x * frequency, z * frequency));
+    n *= n * weight;
+    weight = Math.min(1, n * 2);
+    value += n * amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+
+  return value;
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+// Built-in presets
+
+registerBiome('hills', {
+  height(noise, x, z) {
+    const base = noise.fbm(x * 0.002, z * 0.002, 6) * 80;
+    const ridges = Math.abs(noise.noise2D(x * 0.001, z * 0.001)) * 40;
+    return base + ridges;
+  },
+  range: [-40, 80],
+  colors: { low: 0x00ccff, high: 0xff4d33 }
+});
+
+registerBiome('canyons', {
+  height(noise, x, z) {
+    const plateau = 50 + noise.fbm(x * 0.0015, z * 0.0015, 4) * 20;
+    const channel = Math.abs(noise.noise2D(x * 0.0012 + 31.7, z * 0.0012 - 12.3));
+    const carve = 1 - Math.min(1, channel / 0.18);
+    return plateau - carve * carve * 110;
+  },
+  range: [-60, 70],
+  colors: { low: 0x7a2cff, high: 0xffb04d }
+});
+
+registerBiome('mountains', {
+  height(noise, x, z) {
+    return ridged(noise, x * 0.0012 - 57.1, z * 0.0012 + 8.9, 5) * 240 - 40;
+  },
+  range: [-40, 180],
+  colors: { low: 0x2f5bff, high: 0xf2f6ff }
+});
+
+const SEA_LEVEL = -10;
+
+registerBiome('islands', {
+  height(noise, x, z) {
+    const land = noise.fbm(x * 0.0018 + 100, z * 0.0018 - 100, 5) * 110 + 5;
+    return Math.max(land, SEA_LEVEL);
+  },
+  range: [SEA_LEVEL, 80],
+  colors: { low: 0x0050ff, high: 0x5dff9a }
+});
+
+registerBiome('mesas', {
+  height(noise, x, z) {
+    const steps = 4;
+    const base = (noise.fbm(x * 0.0016 - 73.3, z * 0.0016 + 41.9, 4) * 0.5 + 0.5) * steps;
+    const terrace = Math.floor(base) + smoothstep(0.8, 1, base - Math.floor(base));
+    return (terrace / steps) * 130 - 30;
+  },
+  range: [-30, 100],
+  colors: { low: 0xb02a10, high: 0xffc266 }
+});
+
+export const DEFAULT_BIOMES = ['islands', 'hills', 'canyons', 'mesas', 'mountains'];
+
+// Blend the named biomes along a low-frequency biome noise axis.
+// Neighbouring entries in the list transition into each other.
+export function createTerrainGenerator(noise, names = DEFAULT_BIOMES, options = {}) {
+  if (names.length === 0 || names.length > MAX_BIOMES) {
+    throw new Error(`A terrain generator needs 1-${MAX_BIOMES} biomes`);
+  }
+
+  const active = names.map((name) => {
+    const biome = biomes.get(name);
+    if (!biome) throw new Error(`Unknown biome "${name}"`);
+    return biome;
+  });
+
+  const biomeScale = options.biomeScale ?? 0.00025;
+  const blendWidth = options.blendWidth ?? 0.35;
+  const last = active.length - 1;
+
+  // Fills { height, primary, secondary, blend } for the shader
+  function sample(x, z, out) {
+    let primary = 0;
+    let secondary = 0;
+    let blend = 0;
+
+    if (last > 0) {
+      const b = noise.noise2D(x * biomeScale + 913.1, z * biomeScale - 377.7);
+      const t = Math.min(last, Math.max(0, (b * 0.5 + 0.5) * 1.1 - 0.05) * last);
+      primary = Math.min(Math.floor(t), last - 1);
+      secondary = primary + 1;
+      blend = smoothstep(0.5 - blendWidth, 0.5 + blendWidth, t - primary);
+    }
+
+    let height = active[primary].height(noise, x, z);
+    if (blend > 0) {
+      height += (active[secondary].height(noise, x, z) - height) * blend;
+    }
+
+    out.height = height;
+    out.primary = primary;
+    out.secondary = secondary;
+    out.blend = blend;
+    return out;
+  }
+
+  const scratch = { height: 0, primary: 0, secondary: 0, blend: 0 };
+
+  return {
+    biomes: active,
+    range: [
+      Math.min(...active.map((biome) => biome.range[0])),
+      Math.max(...active.map((biome) => biome.range[1]))
+    ],
+    sample,
+    height(x, z) {
+      return sample(x, z, scratch).height;
+    }
+  };
+}
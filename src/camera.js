@@ -0,0 +1,485 @@
+import * as THREE from 'three';
+import { TELEPORT_SPEED } from './controls.js';
+
+// Camera rig: one view per mode, each producing a pose (position, orientation, FOV) from the
+// displayed aircraft every frame; switching modes blends from where the camera was. The chase
+// view flies on the controller's camera tuning (cameraLag, chaseDistance, chaseHeight,
+// cameraFov, afterburnerFov) so tuning files keep driving it; the other views have their own
+// settings.
+
+const clamp = THREE.MathUtils.clamp;
+
+export const CAMERA_MODES = ['chase', 'spring', 'cockpit', 'side', 'cinematic', 'free'];
+
+export const CAMERA_LABELS = {
+  chase: 'Chase',
+  spring: 'Spring chase',
+  cockpit: 'Cockpit',
+  side: 'Side',
+  cinematic: 'Cinematic',
+  free: 'Free'
+};
+
+export const DEFAULT_CAMERA = {
+  mode: 'chase',
+  spring: { fov: 75, distance: 42, height: 9, stiffness: 2.5 },
+  cockpit: { fov: 80, forward: 1.8, height: 1.2 },
+  side: { fov: 70, distance: 18, height: 6 },
+  cinematic: { fov: 45, lead: 400, height: 25 },
+  free: { fov: 75, speed: 60 }
+};
+
+// Per-mode settings: [key, label, min, max, step]; the chase keys live on the controller
+export const CAMERA_SETTINGS = {
+  chase: [
+    ['cameraFov', 'FOV', 40, 110, 1],
+    ['chaseDistance', 'Distance', 5, 120, 1],
+    ['chaseHeight', 'Height', -10, 60, 0.5]
+  ],
+  spring: [
+    ['fov', 'FOV', 40, 110, 1],
+    ['distance', 'Distance', 10, 120, 1],
+    ['height', 'Height', -10, 60, 0.5],
+    ['stiffness', 'Stiffness', 1, 20, 0.5]
+  ],
+  cockpit: [
+    ['fov', 'FOV', 50, 120, 1],
+    ['forward', 'Forward', -2, 3, 0.1],
+    ['height', 'Height', 0, 3, 0.1]
+  ],
+  side: [
+    ['fov', 'FOV', 30, 110, 1],
+    ['distance', 'Distance', 5, 80, 1],
+    ['height', 'Height', -20, 40, 0.5]
+  ],
+  cinematic: [
+    ['fov', 'Max FOV', 15, 90, 1],
+    ['lead', 'Lead', 100, 1500, 50],
+    ['height', 'Height', 0, 150, 5]
+  ],
+  free: [
+    ['fov', 'FOV', 20, 120, 1],
+    ['speed', 'Speed', 5, 300, 5]
+  ]
+};
+
+export const BLEND_TIME = 0.8; // Seconds to ease between modes
+const ORBIT_RATE = 0.005; // rad per pixel of mouse movement
+const ORBIT_RETURN = 3; // Rate the orbit eases back behind the tail once released
+const SPRING_DAMPING = 0.6; // Damping ratio; under 1 so the camera overshoots a little
+const SPRING_STEP = 1 / 120;
+const CINEMATIC_FRAME = 24; // m of scene kept across the cinematic view
+const CINEMATIC_CLEARANCE = 10; // m the cinematic camera keeps above the terrain
+const BOOST = 4;
+
+function damp(value, target, lambda, dt) {
+  return THREE.MathUtils.damp(value, target, lambda, dt);
+}
+
+function dampVector(current, target, lambda, dt) {
+  return current.lerp(target, 1 - Math.exp(-lambda * dt));
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// Scratch pose for views to fill
+class CameraPose {
+  constructor() {
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    this.fov = 75;
+  }
+
+  copy(pose) {
+    this.position.copy(pose.position);
+    this.quaternion.copy(pose.quaternion);
+    this.fov = pose.fov;
+    return this;
+  }
+}
+
+const _matrix = new THREE.Matrix4();
+const _right = new THREE.Vector3(1, 0, 0);
+const _up = new THREE.Vector3(0, 1, 0);
+
+// Orientation looking from eye to target with the given up
+function lookRotation(eye, target, up, quaternion) {
+  _matrix.lookAt(eye, target, up);
+  return quaternion.setFromRotationMatrix(_matrix);
+}
+
+// Behind the tail at the tuned distance and height, eased by the camera lag; the mouse can
+// swing it around the aircraft while orbiting
+class ChaseView {
+  constructor() {
+    this.position = new THREE.Vector3();
+    this.yaw = 0;
+    this.pitch = 0;
+    this._offset = new THREE.Vector3();
+    this._look = new THREE.Vector3();
+    this._ahead = new THREE.Vector3();
+  }
+
+  reset(rig) {
+    this._goal(rig, this.position);
+  }
+
+  _goal(rig, target) {
+    const { controller } = rig;
+    this._offset.set(2, controller.chaseHeight, controller.chaseDistance * rig.zoom)
+      .applyAxisAngle(_right, -this.pitch)
+      .applyAxisAngle(_up, this.yaw);
+    return target.copy(this._offset).applyQuaternion(rig.target.quaternion).add(rig.target.position);
+  }
+
+  update(dt, rig, pose) {
+    if (!rig.orbiting) {
+      this.yaw = damp(this.yaw, 0, ORBIT_RETURN, dt);
+      this.pitch = damp(this.pitch, 0, ORBIT_RETURN, dt);
+    }
+    const goal = this._goal(rig, this._look);
+    dampVector(this.position, goal, rig.controller.cameraLag, dt);
+    pose.position.copy(this.position);
+
+    // Look ahead of the nose normally, at the aircraft itself when swung round
+    const swing = clamp(Math.hypot(this.yaw, this.pitch) / 0.5, 0, 1);
+    this._ahead.set(0, 0, -40).applyQuaternion(rig.target.quaternion).add(rig.target.position);
+    this._look.lerpVectors(this._ahead, rig.target.position, swing);
+    lookRotation(pose.position, this._look, _up, pose.quaternion);
+    pose.fov = rig.controller.cameraFov;
+  }
+}
+
+// Spring-damped chase on a level horizon: the camera swings wide and lags in turns
+class SpringView {
+  constructor() {
+    this.position = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this._goal = new THREE.Vector3();
+    this._look = new THREE.Vector3();
+    this._force = new THREE.Vector3();
+  }
+
+  reset(rig) {
+    this._target(rig, this.position);
+    this.velocity.copy(rig.velocity);
+  }
+
+  _target(rig, target) {
+    const { distance, height } = rig.options.spring;
+    const forward = rig.forward;
+    return target.copy(rig.target.position).addScaledVector(forward, -distance).addScaledVector(_up, height);
+  }
+
+  update(dt, rig, pose) {
+    const { stiffness, fov } = rig.options.spring;
+    const damping = 2 * SPRING_DAMPING * Math.sqrt(stiffness);
+    this._target(rig, this._goal);
+
+    // Semi-implicit substeps keep stiff springs stable at low frame rates; the goal moves on
+    // with the aircraft through them
+    const steps = Math.ceil(dt / SPRING_STEP);
+    const h = dt / steps;
+    this._goal.addScaledVector(rig.velocity, -dt);
+    for (let i = 0; i < steps; i++) {
+      this._force.subVectors(this._goal, this.position).multiplyScalar(stiffness)
+        .addScaledVector(this.velocity, -damping)
+        .addScaledVector(rig.velocity, damping); // Damp relative to the aircraft, not the ground
+      this.velocity.addScaledVector(this._force, h);
+      this.position.addScaledVector(this.velocity, h);
+      this._goal.addScaledVector(rig.velocity, h);
+    }
+
+    pose.position.copy(this.position);
+    this._look.copy(rig.target.position).addScaledVector(rig.forward, 20);
+    lookRotation(pose.position, this._look, _up, pose.quaternion);
+    pose.fov = fov;
+  }
+}
+
+// Pilot's eye, turning with the airframe
+class CockpitView {
+  reset() {}
+
+  update(dt, rig, pose) {
+    const { forward, height, fov } = rig.options.cockpit;
+    pose.position.set(0, height, -forward).applyQuaternion(rig.target.quaternion).add(rig.target.position);
+    pose.quaternion.copy(rig.target.quaternion);
+    pose.fov = fov;
+  }
+}
+
+// Off the right wing, looking slightly ahead
+class SideView {
+  constructor() {
+    this.position = new THREE.Vector3();
+    this._goal = new THREE.Vector3();
+    this._look = new THREE.Vector3();
+  }
+
+  _target(rig, target) {
+    const { distance, height } = rig.options.side;
+    return target.set(distance, height, 6).applyQuaternion(rig.target.quaternion).add(rig.target.position);
+  }
+
+  reset(rig) {
+    this._target(rig, this.position);
+  }
+
+  update(dt, rig, pose) {
+    dampVector(this.position, this._target(rig, this._goal), rig.controller.cameraLag, dt);
+    pose.position.copy(this.position);
+    this._look.set(0, 0, -30).applyQuaternion(rig.target.quaternion).add(rig.target.position);
+    lookRotation(pose.position, this._look, _up, pose.quaternion);
+    pose.fov = rig.options.side.fov;
+  }
+}
+
+// A camera set up ahead on the flight path that holds still and tracks the aircraft past,
+// zooming to keep it framed, then leapfrogs ahead again
+class CinematicView {
+  constructor() {
+    this.position = new THREE.Vector3();
+    this.side = 1;
+    this.placed = 0; // Placements so far
+    this._look = new THREE.Vector3();
+    this._toCamera = new THREE.Vector3();
+    this._across = new THREE.Vector3();
+  }
+
+  reset(rig) {
+    this._place(rig);
+    this._look.copy(rig.target.position);
+  }
+
+  _place(rig) {
+    const { lead, height } = rig.options.cinematic;
+    const speed = rig.velocity.length();
+    const heading = speed > 1 ? this._toCamera.copy(rig.velocity).divideScalar(speed) : this._toCamera.copy(rig.forward);
+    const across = this._across.crossVectors(heading, _up);
+    if (across.lengthSq() < 1e-6) across.set(1, 0, 0);
+    across.normalize();
+
+    this.side = -this.side;
+    this.position.copy(rig.target.position)
+      .addScaledVector(heading, lead)
+      .addScaledVector(across, this.side * lead * 0.15)
+      .addScaledVector(_up, height);
+    if (rig.getHeight) {
+      const ground = rig.getHeight(this.position.x, this.position.z) + CINEMATIC_CLEARANCE;
+      this.position.y = Math.max(this.position.y, ground);
+    }
+    this.placed++;
+  }
+
+  update(dt, rig, pose) {
+    // Once the aircraft is well past (or far off), set up ahead again
+    const { lead } = rig.options.cinematic;
+    this._toCamera.subVectors(this.position, rig.target.position);
+    const distance = this._toCamera.length();
+    const passed = this._toCamera.dot(rig.velocity) < 0 && distance > lead * 0.5;
+    if ((passed && rig.velocity.lengthSq() > 1) || distance > lead * 3) this._place(rig);
+
+    pose.position.copy(this.position);
+    dampVector(this._look, rig.target.position, 12, dt);
+    lookRotation(pose.position, this._look, _up, pose.quaternion);
+    const framed = 2 * THREE.MathUtils.radToDeg(Math.atan(CINEMATIC_FRAME / 2 / Math.max(this.position.distanceTo(rig.target.position), 1)));
+    pose.fov = clamp(framed, 5, rig.options.cinematic.fov);
+  }
+}
+
+// Detached: flies from where the camera was with mouse look and the move input
+class FreeView {
+  constructor() {
+    this.position = new THREE.Vector3();
+    this.yaw = 0;
+    this.pitch = 0;
+    this.roll = 0;
+    this.fov = null; // Overrides the free camera setting while photo mode frames a shot
+    this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    this._move = new THREE.Vector3();
+  }
+
+  reset(rig) {
+    this.position.copy(rig.camera.position);
+    this._euler.setFromQuaternion(rig.camera.quaternion, 'YXZ');
+    this.pitch = this._euler.x;
+    this.yaw = this._euler.y;
+    this.roll = 0;
+  }
+
+  look(dx, dy) {
+    this.yaw -= dx * ORBIT_RATE;
+    this.pitch = clamp(this.pitch - dy * ORBIT_RATE, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+  }
+
+  update(dt, rig, pose) {
+    pose.quaternion.setFromEuler(this._euler.set(this.pitch, this.yaw, this.roll, 'YXZ'));
+    const speed = rig.options.free.speed * (rig.boost ? BOOST : 1);
+    // move: x right, y up, z forward
+    this._move.set(rig.move.x, 0, -rig.move.z).applyQuaternion(pose.quaternion);
+    this._move.y += rig.move.y;
+    this.position.addScaledVector(this._move, speed * dt);
+    pose.position.copy(this.position);
+    pose.fov = this.fov ?? rig.options.free.fov;
+  }
+}
+
+export class CameraRig {
+  constructor(camera, controller, options = {}, getHeight = null) {
+    this.camera = camera;
+    this.controller = controller;
+    this.getHeight = getHeight;
+    this.options = structuredClone(DEFAULT_CAMERA);
+    this.views = {
+      chase: new ChaseView(),
+      spring: new SpringView(),
+      cockpit: new CockpitView(),
+      side: new SideView(),
+      cinematic: new CinematicView(),
+      free: new FreeView()
+    };
+
+    // Inputs, set by the page each frame
+    this.orbiting = false; // Mouse swings the chase camera while set
+    this.zoom = 1; // Chase distance multiplier
+    this.move = new THREE.Vector3(); // Free camera: x right, y up, z forward, each -1..1
+    this.boost = false;
+
+    // Aircraft state the views read
+    this.target = null;
+    this.velocity = new THREE.Vector3();
+    this.forward = new THREE.Vector3();
+
+    this.mode = this.options.mode;
+    this.blend = 1;
+    this._from = new CameraPose(); // Pose the blend starts from, relative to the aircraft
+    this._fromPosition = new THREE.Vector3();
+    this._pose = new CameraPose();
+    this._afterburnerFov = 0;
+    this._lastPosition = new THREE.Vector3();
+    this._placed = false;
+    this._needsReset = true;
+    this.set(options);
+  }
+
+  get view() {
+    return this.views[this.mode];
+  }
+
+  // Options may come straight from storage, so only the listed settings are taken, as numbers.
+  // The chase values live on the controller next to its other tuning
+  set(options) {
+    for (const [mode, rows] of Object.entries(CAMERA_SETTINGS)) {
+      const values = options[mode];
+      if (!values || typeof values !== 'object') continue;
+      const target = mode === 'chase' ? this.controller : this.options[mode];
+      for (const [key] of rows) {
+        if (Number.isFinite(values[key])) target[key] = values[key];
+      }
+    }
+    if (options.mode && CAMERA_MODES.includes(options.mode)) this.setMode(options.mode, false);
+  }
+
+  // Current values for a mode's settings
+  settings(mode) {
+    const source = mode === 'chase' ? this.controller : this.options[mode];
+    return Object.fromEntries(CAMERA_SETTINGS[mode].map(([key]) => [key, source[key]]));
+  }
+
+  toJSON() {
+    const json = { mode: this.mode };
+    for (const mode of CAMERA_MODES) json[mode] = this.settings(mode);
+    return json;
+  }
+
+  // Switch views; blended eases over from the current shot, otherwise it cuts. The free
+  // camera always starts exactly where the last view was
+  setMode(mode, blended = true) {
+    if (!CAMERA_MODES.includes(mode) || mode === this.mode) return;
+    this.mode = mode;
+    this.options.mode = mode;
+    if (blended && this.target && mode !== 'free') {
+      this._from.copy(this.camera);
+      this._from.fov = this.camera.fov - this._afterburnerFov;
+      this._from.position.sub(this.target.position);
+      this.blend = 0;
+    } else {
+      this.blend = 1;
+    }
+    this._needsReset = true;
+  }
+
+  cycle(step = 1) {
+    const index = CAMERA_MODES.indexOf(this.mode);
+    this.setMode(CAMERA_MODES[(index + step + CAMERA_MODES.length) % CAMERA_MODES.length]);
+  }
+
+  // Mouse movement: swings the chase camera while orbiting, steers the free camera
+  look(dx, dy) {
+    if (this.mode === 'free') {
+      this.views.free.look(dx, dy);
+    } else if (this.mode === 'chase') {
+      const chase = this.views.chase;
+      chase.yaw -= dx * ORBIT_RATE;
+      chase.pitch = clamp(chase.pitch + dy * ORBIT_RATE, -1.3, 1.3);
+    }
+  }
+
+  // Wheel: chase distance
+  zoomBy(steps) {
+    this.zoom = clamp(this.zoom * Math.pow(1.1, steps), 0.4, 3);
+  }
+
+  // Skip the easing: views start from their goal on the next update. The page calls this on
+  // respawns, race restarts and replay seeks; teleports it detects itself
+  snap() {
+    this._needsReset = true;
+    this.blend = 1;
+  }
+
+  update(dt, target) {
+    this.target = target;
+    this.forward.set(0, 0, -1).applyQuaternion(target.quaternion);
+
+    if (dt > 0) {
+      const step = this._lastPosition.distanceTo(target.position) / dt;
+      if (this._placed && step > TELEPORT_SPEED) this.snap();
+      if (this._placed && step <= TELEPORT_SPEED) {
+        this.velocity.subVectors(target.position, this._lastPosition).divideScalar(dt);
+      }
+    }
+    this._lastPosition.copy(target.position);
+    this._placed = true;
+
+    if (this._needsReset) {
+      this.view.reset(this);
+      this._needsReset = false;
+    }
+
+    const pose = this._pose;
+    this.view.update(dt, this, pose);
+
+    if (this.blend < 1) {
+      this.blend = Math.min(1, this.blend + dt / BLEND_TIME);
+      const s = smoothstep(this.blend);
+      this._fromPosition.copy(this._from.position).add(target.position);
+      pose.position.lerp(this._fromPosition, 1 - s);
+      pose.quaternion.slerpQuaternions(this._from.quaternion, pose.quaternion, s);
+      pose.fov = THREE.MathUtils.lerp(this._from.fov, pose.fov, s);
+    }
+
+    // Afterburner widens the chase views
+    const kick = (this.mode === 'chase' || this.mode === 'spring') && this.controller.afterburnerActive
+      ? this.controller.afterburnerFov - this.controller.cameraFov
+      : 0;
+    this._afterburnerFov = damp(this._afterburnerFov, kick, 4, dt);
+
+    this.camera.position.copy(pose.position);
+    this.camera.quaternion.copy(pose.quaternion);
+    this.camera.fov = clamp(pose.fov + this._afterburnerFov, 1, 170);
+    this.camera.updateProjectionMatrix();
+  }
+}
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+
+const clamp = THREE.MathUtils.clamp;
+
+// Ground contact against a height function (x, z) => y
+export class GroundCollision {
+  constructor(getHeight, options = {}) {
+    this.getHeight = getHeight;
+
+    // Aircraft half-height kept between the fuselage and the ground
+    this.clearance = options.clearance ?? 1.5;
+
+    // Swept samples per step so fast aircraft can't tunnel through ridges
+    this.sweepSamples = options.sweepSamples ?? 6;
+
+    // Look-ahead along the velocity vector (seconds)
+    this.lookAheadTime = options.lookAheadTime ?? 1.5;
+
+    // Impact thresholds: exceeding either is a crash, below both is a scrape
+    this.maxImpactSpeed = options.maxImpactSpeed ?? 12;
+    this.maxImpactAngle = THREE.MathUtils.degToRad(options.maxImpactAngle ?? 12);
+
+    // Last sampled state
+    this.groundHeight = 0;
+    this.heightAboveGround = Infinity;
+    this.lookAheadHeight = 0;
+    this.lookAheadClearance = Infinity;
+
+    this._point = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+    this._ahead = new THREE.Vector3();
+  }
+
+  getNormal(x, z, target = this._normal) {
+    const e = 1.0;
+    const hL = this.getHeight(x - e, z);
+    const hR = this.getHeight(x + e, z);
+    const hD = this.getHeight(x, z - e);
+    const hU = this.getHeight(x, z + e);
+    return target.set(hL - hR, 2 * e, hD - hU).normalize();
+  }
+
+  // Sample the ground under and ahead of the aircraft
+  sample(position, velocity) {
+    this.groundHeight = this.getHeight(position.x, position.z);
+    this.heightAboveGround = position.y - this.groundHeight - this.clearance;
+
+    this._ahead.copy(position).addScaledVector(velocity, this.lookAheadTime);
+    this.lookAheadHeight = this.getHeight(this._ahead.x, this._ahead.z);
+    this.lookAheadClearance = this._ahead.y - this.lookAheadHeight - this.clearance;
+
+    return this.heightAboveGround;
+  }
+
+  // Sweep the step from -> to and return the first ground contact, or null
+  sweep(from, to, velocity) {
+    const samples = Math.max(1, this.sweepSamples);
+
+    for (let i = 1; i <= samples; i++) {
+      const t = i / samples;
+      this._point.lerpVectors(from, to, t);
+      const ground = this.getHeight(this._point.x, this._point.z);
+      if (this._point.y - this.clearance > ground) continue;
+
+      this.getNormal(this._point.x, this._point.z);
+      this._point.y = ground;
+
+      const speed = velocity.length();
+      const impactSpeed = Math.max(0, -velocity.dot(this._normal));
+      const impactAngle = speed > 0 ? Math.asin(clamp(impactSpeed / speed, 0, 1)) : 0;
+      const fatal = impactSpeed > this.maxImpactSpeed || impactAngle > this.maxImpactAngle;
+
+      return {
+        point: this._point.clone(),
+        normal: this._normal.clone(),
+        groundHeight: ground,
+        impactSpeed,
+        impactAngle,
+        fatal
+      };
+    }
+
+    return null;
+  }
+}
@@ -1,15 +1,27 @@
 import * as THREE from 'three';
+import { ANGLE_KEYS, DEFAULT_AIRCRAFT, getAircraftProfile } from './aircraft.js';
+import { densityRatio } from './atmosphere.js';
 
 const clamp = THREE.MathUtils.clamp;
 const lerp = THREE.MathUtils.lerp;
 
+// m/s; no airframe gets near this, so anything that moved faster between frames was teleported
+// (respawn, race start, replay seek)
+export const TELEPORT_SPEED = 1000;
+
+// Body axes; the orientation integrates rates about these in the airplane's own frame
+const BODY_RIGHT = new THREE.Vector3(1, 0, 0);
+const BODY_UP = new THREE.Vector3(0, 1, 0);
+const BODY_FORWARD = new THREE.Vector3(0, 0, -1);
+
 function damp(value, target, lambda, dt) {
   return THREE.MathUtils.damp(value, target, lambda, dt);
 }
 
-function dampVector(current, target, lambda, dt) {
-  const t = 1 - Math.exp(-lambda * dt);
-  current.lerp(target, t);
+// Deadzone then expo curve, shared by mouse stick and analog axes
+function shapeAxis(value, deadzone, expo) {
+  if (Math.abs(value) < deadzone) return 0;
+  return Math.sign(value) * Math.pow(Math.abs(value), 1 + expo);
 }
 
 function toDeg(value) {
@@ -17,9 +29,8 @@ function toDeg(value) {
 }
 
 export class FlightController {
-  constructor(airplane, camera) {
+  constructor(airplane, profile = getAircraftProfile(DEFAULT_AIRCRAFT)) {
     this.airplane = airplane;
-    this.camera = camera;
 
     // Inputs
     this.throttle = 0;
@@ -31,19 +42,23 @@ export class FlightController {
     this.stickX = 0;
     this.stickY = 0;
 
+    // Analog input (gamepad / HOTAS), combined with keyboard and mouse
+    this.analogRoll = 0;
+    this.analogPitch = 0;
+    this.analogYaw = 0;
+    this.analogThrottle = 0;
+    this.analogBoost = false;
+
+    // Autopilot stick commands (see Autopilot); null leaves the axis to the pilot
+    this.autopilotPitch = null;
+    this.autopilotRoll = null;
+    this.autopilotYaw = null;
+
     // Flight state
     this.pitch = 0;
     this.roll = 0;
     this.yaw = 0;
 
-    // Speed targets
-    this.minSpeed = 70;
-    this.stallSpeed = 95;
-    this.cruiseSpeed = 260;
-    this.maxSpeed = 360;
-    this.afterburnerSpeed = 470;
-    this.speed = this.cruiseSpeed;
-
     // Angular rates (rad/s)
     this.pitchRate = 0;
     this.rollRate = 0;
@@ -52,85 +67,63 @@ export class FlightController {
     // Input shaping
     this.mouseSensitivity = 0.0022;
     this.stickReturn = 7.0;
+    this.stickDeadzone = 0.02;
     this.inputExpo = 0.35;
 
-    // Rate limits
-    this.maxPitchRate = THREE.MathUtils.degToRad(220);
-    this.maxRollRate = THREE.MathUtils.degToRad(300);
-    this.maxYawRate = THREE.MathUtils.degToRad(120);
-
-    // Control response (rate controller)
-    this.pitchResponse = 7.5;
-    this.rollResponse = 9.0;
-    this.yawResponse = 5.5;
-
-    // Stability and damping
-    this.rollStability = 2.6;
-    this.alphaStability = 2.2;
-    this.betaStability = 2.0;
-    this.rollToYaw = 0.9;
-    this.yawDamping = 1.8;
-    this.pitchDamping = 2.8;
-    this.rollDamping = 2.4;
-
-    // Flight path hold
-    this.flightPathHoldGain = 1.6;
-    this.flightPathHoldMax = THREE.MathUtils.degToRad(10);
-
-    // AoA limiter
-    this.aoaLimit = THREE.MathUtils.degToRad(18);
-    this.aoaLimiterGain = 14.0;
-
-    // Aerodynamics
+    // Airframe handling (speeds, rates, stability, aerodynamics, thrust)
     this.gravity = 9.81;
-    this.liftScalar = 0.0010;
-    this.dragScalar = 0.00125;
-    this.sideScalar = 0.0007;
-    this.cl0 = 0.2;
-    this.clAlpha = 4.8;
-    this.clMax = 1.5;
-    this.cd0 = 0.02;
-    this.cdAlpha = 0.3;
-    this.cdInduced = 0.12;
-    this.stallAoA = THREE.MathUtils.degToRad(18);
-    this.stallFade = THREE.MathUtils.degToRad(12);
-    this.stallDrag = 0.7;
-    this.cyBeta = 0.8;
-    this.cyMax = 1.0;
-
-    // Thrust / throttle
-    this.throttleSetting = 0.6;
-    this.throttleRate = 0.55;
-    this.idleThrust = 2.0;
-    this.maxThrust = 15.0;
-    this.afterburnerThrust = 12.0;
+    this.applyProfile(profile);
+    this.speed = this.cruiseSpeed; // Ground speed
+    this.airspeed = this.cruiseSpeed;
+    this.throttleSetting = this.trimThrottle;
+
+    // Moving air mass (see Atmosphere); null is still air
+    this.atmosphere = null;
 
     // Afterburner
     this.afterburnerFuel = 1.0;
     this.afterburnerActive = false;
-    this.afterburnerBurnRate = 0.28;
-    this.afterburnerRegenRate = 0.18;
-
-    // Alignment helper
-    this.velocityAlign = 0.35;
 
     // G-force
     this.gForceSmoothed = 1.0;
 
-    // Camera
-    this.cameraMode = 0;
+    // Chase camera tuning, flown by the CameraRig (camera.js)
     this.cameraLag = 6.0;
-    this.cameraOffset = new THREE.Vector3();
-    this.cameraTarget = new THREE.Vector3();
+    this.chaseDistance = 38;
+    this.chaseHeight = 12;
+    this.cameraFov = 75;
+    this.afterburnerFov = 82;
+
+    // Display model posed between physics steps (see interpolate)
+    this.display = null;
+    this.previousPosition = airplane.position.clone();
+    this.previousQuaternion = airplane.quaternion.clone();
+
+    // Ground contact
+    this.ground = null;
+    this.crashed = false;
+    this.crashTime = 0;
+    this.respawnDelay = 3.0;
+    this.respawnAltitude = 150;
+    this.lastImpact = null;
 
     // Telemetry
     this.telemetry = {
       speed: this.speed,
+      airspeed: this.airspeed,
+      windSpeed: 0,
+      windFrom: 0,
+      windVertical: 0,
+      density: 1,
+      groundEffect: 0,
       throttle: this.throttleSetting,
       thrust: 0,
       aoa: 0,
+      aoaTrim: 0,
+      aoaTarget: 0,
       beta: 0,
       gForce: 1,
+      gCommand: 1,
       cl: 0,
       cd: 0,
       cy: 0,
@@ -141,7 +134,9 @@ export class FlightController {
       authority: 0,
       pitchRate: 0,
       rollRate: 0,
-      yawRate: 0
+      yawRate: 0,
+      heightAboveGround: Infinity,
+      crashed: false
     };
 
     // Internal caches
@@ -150,6 +145,9 @@ export class FlightController {
     this._right = new THREE.Vector3();
     this._velocity = new THREE.Vector3(0, 0, -1).multiplyScalar(this.cruiseSpeed);
     this._prevVelocity = this._velocity.clone();
+    this._prevPosition = new THREE.Vector3();
+    this._airVelocity = new THREE.Vector3();
+    this._wind = new THREE.Vector3();
     this._accel = new THREE.Vector3();
     this._temp = new THREE.Vector3();
     this._temp2 = new THREE.Vector3();
@@ -161,16 +159,110 @@ export class FlightController {
     this._quat = new THREE.Quaternion();
     this._invQuat = new THREE.Quaternion();
     this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
+  }
 
-    this.setCameraMode(0);
+  // Copy an aircraft profile's handling onto the controller; angles arrive in degrees
+  applyProfile(profile) {
+    this.profile = profile;
+    for (const [key, value] of Object.entries(profile.handling)) {
+      this[key] = ANGLE_KEYS.includes(key) ? THREE.MathUtils.degToRad(value) : value;
+    }
   }
 
   setInvertY(enabled) {
     this.invertY = Boolean(enabled);
   }
 
-  setCameraMode(mode) {
-    this.cameraMode = mode;
+  setGround(ground) {
+    this.ground = ground;
+  }
+
+  setAtmosphere(atmosphere) {
+    this.atmosphere = atmosphere;
+    this._wind.set(0, 0, 0);
+  }
+
+  // Air velocity at the aircraft from the last step
+  getWind(target) {
+    return target.copy(this._wind);
+  }
+
+  crash(impact) {
+    this.crashed = true;
+    this.crashTime = 0;
+    this.lastImpact = impact;
+
+    this.airplane.position.copy(impact.point);
+    this.airplane.position.y += this.ground ? this.ground.clearance : 0;
+    this.airplane.visible = false;
+
+    this._velocity.set(0, 0, 0);
+    this._prevVelocity.set(0, 0, 0);
+    this.speed = 0;
+    this.airspeed = 0;
+    this.stickX = 0;
+    this.stickY = 0;
+    this.pitchRate = 0;
+    this.rollRate = 0;
+    this.yawRate = 0;
+    this.afterburnerActive = false;
+
+    this.telemetry.speed = 0;
+    this.telemetry.heightAboveGround = 0;
+    this.telemetry.crashed = true;
+  }
+
+  // Level the aircraft at a safe altitude above the ground, keeping heading
+  respawn() {
+    const { x, z } = this.airplane.position;
+    const groundHeight = this.ground ? this.ground.getHeight(x, z) : 0;
+
+    this.airplane.position.y = groundHeight + this.respawnAltitude;
+    this._euler.set(0, this.yaw, 0, 'YXZ');
+    this.airplane.quaternion.setFromEuler(this._euler);
+    this.airplane.visible = true;
+
+    this.pitch = 0;
+    this.roll = 0;
+    this.pitchRate = 0;
+    this.rollRate = 0;
+    this.yawRate = 0;
+    this.stickX = 0;
+    this.stickY = 0;
+    this.gForceSmoothed = 1.0;
+    this.afterburnerFuel = 1.0;
+
+    this._forward.set(0, 0, -1).applyQuaternion(this.airplane.quaternion);
+    this._up.set(0, 1, 0).applyQuaternion(this.airplane.quaternion);
+    this._right.set(1, 0, 0).applyQuaternion(this.airplane.quaternion);
+    this._velocity.copy(this._forward).multiplyScalar(this.cruiseSpeed);
+    this._prevVelocity.copy(this._velocity);
+    this.speed = this.cruiseSpeed;
+    this.airspeed = this.cruiseSpeed;
+
+    this.crashed = false;
+    this.crashTime = 0;
+    this.telemetry.crashed = false;
+    this.snapPose();
+  }
+
+  // Analog sticks map straight to roll/pitch, bypassing the mouse re-centering
+  setAnalogInput({ roll = 0, pitch = 0, yaw = 0, throttle = 0, boost = false }) {
+    this.analogRoll = clamp(roll, -1, 1);
+    this.analogPitch = clamp(pitch, -1, 1);
+    this.analogYaw = clamp(yaw, -1, 1);
+    this.analogThrottle = clamp(throttle, -1, 1);
+    this.analogBoost = Boolean(boost);
+  }
+
+  // The inputs the airframe flies: analog axes win over the mouse stick, keys add to them
+  pilotInput(target = {}) {
+    target.roll = this.analogRoll !== 0 ? this.analogRoll : this.stickX;
+    target.pitch = this.analogPitch !== 0 ? this.analogPitch : this.stickY;
+    target.yaw = this.yawInput + this.analogYaw;
+    target.throttle = this.throttle + this.analogThrottle;
+    target.boost = this.boost || this.analogBoost;
+    return target;
   }
 
   handleMouseMove(dx, dy) {
@@ -179,45 +271,114 @@ export class FlightController {
     this.stickY = clamp(this.stickY + dy * this.mouseSensitivity * pitchDir, -1, 1);
   }
 
+  getVelocity(target) {
+    return target.copy(this._velocity);
+  }
+
+  // Place the aircraft directly (replays); physics state follows the pose
+  setPose(position, quaternion, velocity) {
+    this.airplane.position.copy(position);
+    this.airplane.quaternion.copy(quaternion);
+    this._velocity.copy(velocity);
+    this._prevVelocity.copy(velocity);
+    this.speed = velocity.length();
+    this.airspeed = this._airVelocity.subVectors(velocity, this._wind).length();
+
+    this._euler.setFromQuaternion(quaternion, 'YXZ');
+    this.pitch = this._euler.x;
+    this.yaw = this._euler.y;
+    this.roll = this._euler.z;
+
+    this._forward.set(0, 0, -1).applyQuaternion(quaternion);
+    this._up.set(0, 1, 0).applyQuaternion(quaternion);
+    this._right.set(1, 0, 0).applyQuaternion(quaternion);
+
+    this.telemetry.speed = this.speed;
+    this.snapPose();
+  }
+
+  // Forget the previous physics state so the display doesn't blend across a teleport
+  snapPose() {
+    this.previousPosition.copy(this.airplane.position);
+    this.previousQuaternion.copy(this.airplane.quaternion);
+  }
+
+  // Pose the display model between the last two physics steps (alpha in [0, 1])
+  interpolate(alpha) {
+    if (!this.display) return;
+    this.display.position.lerpVectors(this.previousPosition, this.airplane.position, alpha);
+    this.display.quaternion.slerpQuaternions(this.previousQuaternion, this.airplane.quaternion, alpha);
+    this.display.visible = this.airplane.visible;
+  }
+
   getAfterburnerPercent() {
     return this.afterburnerFuel;
   }
 
+  // Variable-step convenience: one physics step with the display model snapped to it
   update(delta) {
     if (!delta || !Number.isFinite(delta)) return;
     const dt = Math.min(delta, 0.05);
+    this.step(dt);
+    this.interpolate(1);
+  }
+
+  // Advance the flight model by one physics step
+  step(dt) {
+    this.previousPosition.copy(this.airplane.position);
+    this.previousQuaternion.copy(this.airplane.quaternion);
+
+    // Controls are frozen while crashed
+    if (this.crashed) {
+      this.crashTime += dt;
+      if (this.crashTime >= this.respawnDelay) this.respawn();
+      return;
+    }
 
     // Re-center virtual stick
     this.stickX = damp(this.stickX, 0, this.stickReturn, dt);
     this.stickY = damp(this.stickY, 0, this.stickReturn, dt);
 
-    const deadzone = 0.02;
-    const rollInput = Math.abs(this.stickX) < deadzone ? 0 : this.stickX;
-    const pitchInput = Math.abs(this.stickY) < deadzone ? 0 : this.stickY;
-    const rollShaped = Math.sign(rollInput) * Math.pow(Math.abs(rollInput), 1 + this.inputExpo);
-    const pitchShaped = Math.sign(pitchInput) * Math.pow(Math.abs(pitchInput), 1 + this.inputExpo);
+    const rollInput = this.analogRoll !== 0 ? this.analogRoll : this.stickX;
+    const pitchInput = this.analogPitch !== 0 ? this.analogPitch : this.stickY;
+    const rollShaped = this.autopilotRoll ?? shapeAxis(rollInput, this.stickDeadzone, this.inputExpo);
+    const pitchShaped = this.autopilotPitch ?? shapeAxis(pitchInput, this.stickDeadzone, this.inputExpo);
+    const yawInput = this.autopilotYaw ?? clamp(this.yawInput + this.analogYaw, -1, 1);
+    const throttleInput = clamp(this.throttle + this.analogThrottle, -1, 1);
 
     // Axes and local velocity for AoA/beta
     this._right.set(1, 0, 0).applyQuaternion(this.airplane.quaternion);
     this._up.set(0, 1, 0).applyQuaternion(this.airplane.quaternion);
     this._forward.set(0, 0, -1).applyQuaternion(this.airplane.quaternion);
 
-    const speed = this._velocity.length();
+    // AoA, sideslip and aerodynamic forces all see the velocity relative to the air
+    if (this.atmosphere) this._wind.copy(this.atmosphere.update(dt, this.airplane.position, this.airspeed));
+    this._airVelocity.subVectors(this._velocity, this._wind);
+    const speed = this._airVelocity.length();
     this._invQuat.copy(this.airplane.quaternion).invert();
-    this._velLocal.copy(this._velocity).applyQuaternion(this._invQuat);
+    this._velLocal.copy(this._airVelocity).applyQuaternion(this._invQuat);
     const aoa = Math.atan2(-this._velLocal.y, -this._velLocal.z);
     const beta = Math.atan2(this._velLocal.x, -this._velLocal.z);
 
-    const authority = clamp(speed / this.cruiseSpeed, 0.35, 1.4);
+    // Thinner air loses control authority: scale by equivalent airspeed
+    const density = densityRatio(this.airplane.position.y);
+    const authority = clamp((speed * Math.sqrt(density)) / this.cruiseSpeed, 0.35, 1.4);
 
     // Rate command control
     const desiredRollRate = rollShaped * this.maxRollRate * authority;
     let desiredPitchRate = pitchShaped * this.maxPitchRate * authority;
-    const desiredYawRate = this.yawInput * this.maxYawRate * authority;
+    const desiredYawRate = yawInput * this.maxYawRate * authority;
 
     if (aoa > this.aoaLimit) desiredPitchRate = Math.min(desiredPitchRate, 0);
     if (aoa < -this.aoaLimit) desiredPitchRate = Math.max(desiredPitchRate, 0);
 
+    // What the pitch command asks of the wing: the load factor of pulling at that rate, and the
+    // AoA that carries it next to the one that carries 1 G at this dynamic pressure
+    const clPerG = this.gravity / Math.max(this.liftScalar * density * speed * speed, 1e-6);
+    const gCommand = clamp(1 + desiredPitchRate * speed / this.gravity, -2, 9); // The G meter's range
+    const aoaTrim = (clPerG - this.cl0) / this.clAlpha;
+    const aoaTarget = clamp((clPerG * gCommand - this.cl0) / this.clAlpha, -this.aoaLimit, this.aoaLimit);
+
     let rollAccel = (desiredRollRate - this.rollRate) * this.rollResponse;
     let pitchAccel = (desiredPitchRate - this.pitchRate) * this.pitchResponse;
     let yawAccel = (desiredYawRate - this.yawRate) * this.yawResponse;
@@ -230,10 +391,10 @@ export class FlightController {
     // Coordinated yaw
     yawAccel += this.rollRate * this.rollToYaw * authority;
 
-    // Flight path hold when neutral
+    // Flight path hold when neutral; the autopilot flies its own path
     const horizSpeed = Math.max(Math.hypot(this._velocity.x, this._velocity.z), 1);
     const flightPathAngle = Math.atan2(this._velocity.y, horizSpeed);
-    const holdBlend = clamp(1 - Math.abs(pitchShaped) * 1.6, 0, 1);
+    const holdBlend = this.autopilotPitch === null ? clamp(1 - Math.abs(pitchShaped) * 1.6, 0, 1) : 0;
     const holdCorrection = clamp(-flightPathAngle * this.flightPathHoldGain, -this.flightPathHoldMax, this.flightPathHoldMax);
     pitchAccel += holdCorrection * holdBlend;
 
@@ -255,17 +416,19 @@ export class FlightController {
 
     // Update orientation
     if (this.pitchRate !== 0) {
-      this._quat.setFromAxisAngle(this._right, this.pitchRate * dt);
+      this._quat.setFromAxisAngle(BODY_RIGHT, this.pitchRate * dt);
       this.airplane.quaternion.multiply(this._quat);
     }
     if (this.rollRate !== 0) {
-      this._quat.setFromAxisAngle(this._forward, this.rollRate * dt);
+      this._quat.setFromAxisAngle(BODY_FORWARD, this.rollRate * dt);
       this.airplane.quaternion.multiply(this._quat);
     }
     if (this.yawRate !== 0) {
-      this._quat.setFromAxisAngle(this._up, this.yawRate * dt);
+      this._quat.setFromAxisAngle(BODY_UP, this.yawRate * dt);
       this.airplane.quaternion.multiply(this._quat);
     }
+    // Repeated products drift off unit length
+    this.airplane.quaternion.normalize();
 
     // Extract angles for HUD
     this._euler.setFromQuaternion(this.airplane.quaternion, 'YXZ');
@@ -274,7 +437,7 @@ export class FlightController {
     this.roll = this._euler.z;
 
     // Afterburner and throttle
-    const wantsAfterburner = this.boost && this.afterburnerFuel > 0.02;
+    const wantsAfterburner = (this.boost || this.analogBoost) && this.afterburnerFuel > 0.02;
     this.afterburnerActive = wantsAfterburner;
     if (wantsAfterburner) {
       this.afterburnerFuel = Math.max(0, this.afterburnerFuel - this.afterburnerBurnRate * dt);
@@ -282,10 +445,8 @@ export class FlightController {
       this.afterburnerFuel = Math.min(1, this.afterburnerFuel + this.afterburnerRegenRate * dt);
     }
 
-    if (this.throttle > 0) {
-      this.throttleSetting = clamp(this.throttleSetting + this.throttleRate * dt, 0, 1);
-    } else if (this.throttle < 0) {
-      this.throttleSetting = clamp(this.throttleSetting - this.throttleRate * dt, 0, 1);
+    if (throttleInput !== 0) {
+      this.throttleSetting = clamp(this.throttleSetting + throttleInput * this.throttleRate * dt, 0, 1);
     }
 
     // Recompute axes after rotation
@@ -294,11 +455,11 @@ export class FlightController {
     this._forward.set(0, 0, -1).applyQuaternion(this.airplane.quaternion);
 
     // Aerodynamic forces
-    const newSpeed = Math.max(this._velocity.length(), 1);
-    const q = newSpeed * newSpeed;
+    const newSpeed = Math.max(this._airVelocity.length(), 1);
+    const q = density * newSpeed * newSpeed;
 
     this._invQuat.copy(this.airplane.quaternion).invert();
-    this._velLocal.copy(this._velocity).applyQuaternion(this._invQuat);
+    this._velLocal.copy(this._airVelocity).applyQuaternion(this._invQuat);
     const aoaNow = Math.atan2(-this._velLocal.y, -this._velLocal.z);
     const betaNow = Math.atan2(this._velLocal.x, -this._velLocal.z);
 
@@ -308,10 +469,25 @@ export class FlightController {
     cl = clamp(cl, -this.clMax, this.clMax);
     cl = lerp(cl, cl * 0.35, stallT);
 
-    const cd = this.cd0 + this.cdAlpha * aoaAbs + this.cdInduced * cl * cl + stallT * this.stallDrag;
+    // Ground effect within two wingspans of the terrain: more lift, less induced drag
+    let groundEffect = 0;
+    let inducedFactor = 1;
+    if (this.ground) {
+      const pos = this.airplane.position;
+      const height = pos.y - this.ground.getHeight(pos.x, pos.z) - this.ground.clearance;
+      const span = Math.max(height, 0) / this.wingspan;
+      if (span < 2) {
+        groundEffect = (1 - span / 2) ** 2;
+        const k = (16 * span) ** 2;
+        inducedFactor = k / (1 + k);
+      }
+    }
+    cl *= 1 + this.groundEffectLift * groundEffect;
+
+    const cd = this.cd0 + this.cdAlpha * aoaAbs + this.cdInduced * inducedFactor * cl * cl + stallT * this.stallDrag;
     const cy = clamp(betaNow * this.cyBeta, -this.cyMax, this.cyMax);
 
-    const velDir = this._temp.copy(this._velocity).normalize();
+    const velDir = this._temp.copy(this._airVelocity).normalize();
 
     this._liftDir.copy(this._up).addScaledVector(velDir, -this._up.dot(velDir));
     if (this._liftDir.lengthSq() > 0.0001) this._liftDir.normalize();
@@ -329,12 +505,12 @@ export class FlightController {
     this._accel.addScaledVector(this._sideDir, sideAccel);
 
     const thrustBase = lerp(this.idleThrust, this.maxThrust, this.throttleSetting);
-    const thrust = thrustBase + (this.afterburnerActive ? this.afterburnerThrust : 0);
+    const thrust = (thrustBase + (this.afterburnerActive ? this.afterburnerThrust : 0)) * density ** this.thrustLapse;
     this._accel.addScaledVector(this._forward, thrust);
 
-    // Alignment helper for responsive nose
-    this._temp.copy(this._forward).multiplyScalar(newSpeed).sub(this._velocity);
-    this._accel.addScaledVector(this._temp, this.velocityAlign * authority);
+    // Alignment helper for responsive nose; it stands in for aerodynamic force so it thins out with the air
+    this._temp.copy(this._forward).multiplyScalar(newSpeed).sub(this._airVelocity);
+    this._accel.addScaledVector(this._temp, this.velocityAlign * authority * density);
 
     // Gravity
     this._accel.y -= this.gravity;
@@ -342,13 +518,36 @@ export class FlightController {
     // Integrate velocity & position
     this._velocity.addScaledVector(this._accel, dt);
 
-    const clampedSpeed = this._velocity.length();
-    if (clampedSpeed < this.minSpeed) this._velocity.setLength(this.minSpeed);
-    if (clampedSpeed > this.afterburnerSpeed * 1.1) this._velocity.setLength(this.afterburnerSpeed * 1.1);
+    // Speed limits apply to airspeed
+    this._airVelocity.subVectors(this._velocity, this._wind);
+    const clampedSpeed = this._airVelocity.length();
+    if (clampedSpeed < this.minSpeed || clampedSpeed > this.afterburnerSpeed * 1.1) {
+      this._airVelocity.setLength(clamp(clampedSpeed, this.minSpeed, this.afterburnerSpeed * 1.1));
+      this._velocity.addVectors(this._airVelocity, this._wind);
+    }
 
     this.speed = this._velocity.length();
+    this.airspeed = this._airVelocity.length();
+    this._prevPosition.copy(this.airplane.position);
     this.airplane.position.addScaledVector(this._velocity, dt);
 
+    // Ground contact: crash past the impact thresholds, otherwise scrape along
+    if (this.ground) {
+      const impact = this.ground.sweep(this._prevPosition, this.airplane.position, this._velocity);
+      if (impact && impact.fatal) {
+        this.crash(impact);
+        return;
+      }
+      if (impact) {
+        this.airplane.position.copy(impact.point);
+        this.airplane.position.y += this.ground.clearance;
+        const into = this._velocity.dot(impact.normal);
+        if (into < 0) this._velocity.addScaledVector(impact.normal, -into);
+        this.speed = this._velocity.length();
+      }
+      this.telemetry.heightAboveGround = this.ground.sample(this.airplane.position, this._velocity);
+    }
+
     // G-force estimate
     this._temp.copy(this._velocity).sub(this._prevVelocity).multiplyScalar(1 / dt);
     this._specificForce.copy(this._temp).add(this._gravityVec);
@@ -358,9 +557,18 @@ export class FlightController {
 
     // Telemetry
     this.telemetry.speed = this.speed;
+    this.telemetry.airspeed = this.airspeed;
+    this.telemetry.windSpeed = Math.hypot(this._wind.x, this._wind.z);
+    this.telemetry.windFrom = (toDeg(Math.atan2(-this._wind.x, this._wind.z)) + 360) % 360;
+    this.telemetry.windVertical = this._wind.y;
+    this.telemetry.density = density;
+    this.telemetry.groundEffect = groundEffect;
     this.telemetry.throttle = this.throttleSetting;
     this.telemetry.thrust = thrust;
     this.telemetry.aoa = aoaNow;
+    this.telemetry.aoaTrim = aoaTrim;
+    this.telemetry.aoaTarget = aoaTarget;
+    this.telemetry.gCommand = gCommand;
     this.telemetry.beta = betaNow;
     this.telemetry.gForce = this.gForceSmoothed;
     this.telemetry.cl = cl;
@@ -374,45 +582,7 @@ export class FlightController {
     this.telemetry.pitchRate = this.pitchRate;
     this.telemetry.rollRate = this.rollRate;
     this.telemetry.yawRate = this.yawRate;
-
-    // Camera update
-    this.updateCamera(dt);
-  }
-
-  updateCamera(dt) {
-    const forward = this._forward;
-    const up = this._up;
-    const right = this._right;
-
-    if (this.cameraMode === 0) {
-      this.cameraOffset.copy(forward).multiplyScalar(-38);
-      this.cameraOffset.addScaledVector(up, 12);
-      this.cameraOffset.addScaledVector(right, 2);
-      this.cameraTarget.copy(this.airplane.position).addScaledVector(forward, 40);
-    } else if (this.cameraMode === 1) {
-      this.cameraOffset.copy(forward).multiplyScalar(1.8);
-      this.cameraOffset.addScaledVector(up, 1.2);
-      this.cameraTarget.copy(this.airplane.position).addScaledVector(forward, 120);
-    } else {
-      this.cameraOffset.copy(right).multiplyScalar(18);
-      this.cameraOffset.addScaledVector(up, 6);
-      this.cameraOffset.addScaledVector(forward, -6);
-      this.cameraTarget.copy(this.airplane.position).addScaledVector(forward, 30);
-    }
-
-    this.cameraOffset.add(this.airplane.position);
-    dampVector(this.camera.position, this.cameraOffset, this.cameraLag, dt);
-
-    if (this.cameraMode === 1) {
-      this.camera.quaternion.slerp(this.airplane.quaternion, 1 - Math.exp(-dt * 10));
-    } else {
-      this.camera.lookAt(this.cameraTarget);
-    }
-
-    const targetFov = this.afterburnerActive ? 82 : 75;
-    this.camera.fov = damp(this.camera.fov, targetFov, 4, dt);
-    this.camera.updateProjectionMatrix();
   }
 }
 
-export { toDeg };
+export { toDeg, shapeAxis };
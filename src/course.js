@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import { createRandom, normalizeSeed } from './random.js';
+
+// Checkpoint ring courses and the time-trial state machine
+
+const FORMAT = 'particle-flight-course';
+const FORMAT_VERSION = 1;
+
+export const MISSED_GATE_PENALTY = 5; // Seconds added per missed gate
+const MISS_RADIUS_SCALE = 4; // Crossing a gate's plane this far out counts as a miss
+const START_DISTANCE = 900; // Metres behind the start gate for the rolling start
+const START_SPEED = 240;
+
+const GATE_COLORS = {
+  next: 0x00d4ff,
+  upcoming: 0x00d4ff,
+  passed: 0xa0ff40,
+  missed: 0xff4444
+};
+
+// Procedural circuit around the world origin, gates placed above the local terrain
+export function generateCourse(seed, getHeight, options = {}) {
+  const gateCount = options.gates ?? 12;
+  const loopRadius = options.loopRadius ?? 3500;
+  const radius = options.radius ?? 45;
+  const random = createRandom(normalizeSeed(`${seed}:course`));
+
+  const gates = [];
+  for (let i = 0; i < gateCount; i++) {
+    const angle = (i / gateCount) * Math.PI * 2 + (random() - 0.5) * 0.25;
+    const distance = loopRadius * (0.8 + random() * 0.4);
+    const x = Math.sin(angle) * distance;
+    const z = Math.cos(angle) * distance;
+
+    // Clear the highest terrain under the ring, then add some variety
+    let ground = getHeight(x, z);
+    for (let k = 0; k < 8; k++) {
+      const a = (k / 8) * Math.PI * 2;
+      ground = Math.max(ground, getHeight(x + Math.cos(a) * radius * 1.5, z + Math.sin(a) * radius * 1.5));
+    }
+    const y = ground + radius + 30 + random() * 90;
+
+    gates.push({ x: round(x), z: round(z), altitude: round(y - getHeight(x, z)), radius });
+  }
+
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    name: `Circuit ${seed}`,
+    seed: options.seed ?? seed,
+    biomes: options.biomes ?? null,
+    loop: true,
+    laps: options.laps ?? 2,
+    gates
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Validate a course file; gates use { x, z, altitude } (above ground) or { x, y, z }
+export function parseCourse(json) {
+  if (!json || json.format !== FORMAT) {
+    throw new Error('Not a course file');
+  }
+  if (json.version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported course version ${json.version}`);
+  }
+  if (!Array.isArray(json.gates) || json.gates.length < 2) {
+    throw new Error('A course needs at least two gates');
+  }
+
+  const gates = json.gates.map((gate, index) => {
+    const valid = Number.isFinite(gate.x) && Number.isFinite(gate.z) &&
+      (Number.isFinite(gate.y) || Number.isFinite(gate.altitude));
+    if (!valid) throw new Error(`Gate ${index + 1} needs x, z and y or altitude`);
+    return { ...gate, radius: gate.radius > 0 ? gate.radius : 45 };
+  });
+
+  const loop = json.loop !== false;
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    name: json.name || 'Untitled course',
+    seed: json.seed ?? null,
+    biomes: json.biomes ?? null,
+    loop,
+    laps: loop ? Math.max(1, Math.floor(json.laps) || 1) : 1,
+    gates
+  };
+}
+
+// Stable id for best-time storage; changes whenever the layout does
+export function courseId(course) {
+  const layout = course.gates.map((gate) => [gate.x, gate.y ?? '', gate.z, gate.altitude ?? '', gate.radius]);
+  return `${course.seed}:${(course.biomes || []).join()}:${normalizeSeed(JSON.stringify([course.loop, course.laps, layout]))}`;
+}
+
+function createGateMesh(radius) {
+  const geometry = new THREE.TorusGeometry(radius, Math.max(0.8, radius * 0.03), 8, 64);
+  const material = new THREE.MeshBasicMaterial({
+    color: GATE_COLORS.upcoming,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending
+  });
+  return new THREE.Mesh(geometry, material);
+}
+
+export class TimeTrial {
+  constructor(scene) {
+    this.scene = scene;
+    this.course = null;
+    this.gates = [];
+    this.state = 'idle'; // idle | ready | running | finished
+    this.bestTimes = null;
+    this.getHeight = null;
+    this._reset();
+
+    this._point = new THREE.Vector3();
+    this._segment = new THREE.Vector3();
+  }
+
+  get active() {
+    return this.course !== null;
+  }
+
+  get total() {
+    return this.elapsed + this.penalty;
+  }
+
+  _reset() {
+    this.lap = 1;
+    this.next = 0;
+    this.elapsed = 0;
+    this.lapStart = 0;
+    this.penalty = 0;
+    this.missed = 0;
+    this.splits = [];
+    this.lapTimes = [];
+    this.splitDelta = null;
+  }
+
+  // Resolve gate positions against the current terrain and build the ring meshes
+  load(course, getHeight) {
+    this.unload();
+    this.course = course;
+    this.getHeight = getHeight;
+
+    const gates = course.gates;
+    for (let i = 0; i < gates.length; i++) {
+      const gate = gates[i];
+      const y = Number.isFinite(gate.y) ? gate.y : getHeight(gate.x, gate.z) + gate.altitude;
+      this.gates.push({
+        center: new THREE.Vector3(gate.x, y, gate.z),
+        normal: new THREE.Vector3(),
+        radius: gate.radius,
+        status: 'upcoming',
+        mesh: createGateMesh(gate.radius)
+      });
+    }
+
+    // Gates face along the course: from the previous gate towards the next
+    for (let i = 0; i < this.gates.length; i++) {
+      const gate = this.gates[i];
+      const last = this.gates.length - 1;
+      const prev = this.gates[i > 0 ? i - 1 : (course.loop ? last : 0)];
+      const next = this.gates[i < last ? i + 1 : (course.loop ? 0 : last)];
+      gate.normal.subVectors(next.center, prev.center);
+      if (gate.normal.lengthSq() < 1e-6) gate.normal.subVectors(next.center, gate.center);
+      if (gate.normal.lengthSq() < 1e-6) gate.normal.set(0, 0, -1);
+      gate.normal.normalize();
+
+      gate.mesh.position.copy(gate.center);
+      gate.mesh.lookAt(this._point.copy(gate.center).add(gate.normal));
+      this.scene.add(gate.mesh);
+    }
+
+    this.state = 'ready';
+    this._reset();
+    this._refreshGates();
+  }
+
+  unload() {
+    for (const gate of this.gates) {
+      this.scene.remove(gate.mesh);
+      gate.mesh.geometry.dispose();
+      gate.mesh.material.dispose();
+    }
+    this.gates.length = 0;
+    this.course = null;
+    this.state = 'idle';
+    this._reset();
+  }
+
+  // Rolling start: level flight towards the first gate, clock starts at the gate
+  start(controller) {
+    if (!this.active) return;
+    this.state = 'ready';
+    this._reset();
+    this._refreshGates();
+
+    const gate = this.gates[0];
+    const direction = this._segment.copy(gate.normal).setY(0);
+    if (direction.lengthSq() < 1e-6) direction.set(0, 0, -1);
+    direction.normalize();
+
+    const position = gate.center.clone().addScaledVector(direction, -START_DISTANCE);
+    position.y = Math.max(position.y, this.getHeight(position.x, position.z) + gate.radius * 2);
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, -1), direction);
+    controller.respawn();
+    controller.setPose(position, quaternion, direction.clone().multiplyScalar(START_SPEED));
+  }
+
+  // Advance the clock; from/to is the airplane's swept path this step (null while crashed)
+  update(dt, from, to) {
+    if (this.state === 'running') this.elapsed += dt;
+    if (this.state === 'idle' || this.state === 'finished' || !from) return;
+
+    // Look ahead to the end of the lap so skipped gates count as missed; the finish line
+    // spans its whole plane so flying wide of it still ends the lap
+    const count = this.gates.length;
+    const end = this.course.loop && this.state === 'running' ? count : count - 1;
+    for (let index = this.next; index <= end; index++) {
+      const finish = this.state === 'running' && index === end;
+      const result = this._cross(this.gates[index % count], from, to, finish);
+      if (result === 'pass' || (result === 'miss' && index === this.next)) {
+        for (let skipped = this.next; skipped < index; skipped++) this._resolve(skipped, false);
+        this._resolve(index, result === 'pass');
+        return;
+      }
+      if (this.state === 'ready') return;
+    }
+  }
+
+  // 'pass' through the ring, 'miss' past it within MISS_RADIUS_SCALE (anywhere for the finish), or null
+  _cross(gate, from, to, finish) {
+    const d0 = this._point.subVectors(from, gate.center).dot(gate.normal);
+    const d1 = this._point.subVectors(to, gate.center).dot(gate.normal);
+    if (!(d0 < 0 && d1 >= 0)) return null;
+
+    const t = d0 / (d0 - d1);
+    const distance = this._point.lerpVectors(from, to, t).distanceTo(gate.center);
+    if (distance <= gate.radius) return 'pass';
+    return finish || distance <= gate.radius * MISS_RADIUS_SCALE ? 'miss' : null;
+  }
+
+  _resolve(index, passed) {
+    const count = this.gates.length;
+    const gate = this.gates[index % count];
+
+    if (!passed) {
+      this.missed += 1;
+      this.penalty += MISSED_GATE_PENALTY;
+    }
+
+    if (this.state === 'ready') {
+      // Start gate: the clock runs from here
+      this.state = 'running';
+      this.elapsed = 0;
+      this.lapStart = 0;
+      gate.status = passed ? 'passed' : 'missed';
+      this.next = 1;
+      this._refreshGates();
+      return;
+    }
+
+    const split = this.elapsed - this.lapStart;
+    this.splits.push(split);
+    const best = this.bestTimes && this.bestTimes.splits ? this.bestTimes.splits[this.splits.length - 1] : undefined;
+    this.splitDelta = best === undefined ? null : split - best;
+    gate.status = passed ? 'passed' : 'missed';
+
+    const finishLine = this.course.loop ? index === count : index === count - 1;
+    if (!finishLine) {
+      this.next = index + 1;
+      this._refreshGates();
+      return;
+    }
+
+    this.lapTimes.push({ time: split, splits: this.splits });
+    if (this.lap >= this.course.laps) {
+      this.state = 'finished';
+      this.next = count;
+    } else {
+      this.lap += 1;
+      this.lapStart = this.elapsed;
+      this.splits = [];
+      this.next = 1;
+      for (const entry of this.gates) entry.status = 'upcoming';
+      this.gates[0].status = 'passed';
+    }
+    this._refreshGates();
+  }
+
+  _refreshGates() {
+    const count = this.gates.length;
+    const nextIndex = this.state === 'finished' ? -1 : this.next % count;
+    for (let i = 0; i < count; i++) {
+      const gate = this.gates[i];
+      const status = i === nextIndex ? 'next' : gate.status;
+      gate.mesh.material.color.setHex(GATE_COLORS[status]);
+      gate.mesh.material.opacity = status === 'next' ? 0.9 : status === 'upcoming' ? 0.3 : 0.15;
+    }
+  }
+
+  // Gates cleared this lap; the start/finish gate counts last
+  get gateNumber() {
+    return this.state === 'ready' ? 0 : this.next;
+  }
+
+  results() {
+    const laps = this.lapTimes.map((lap) => lap.time);
+    const bestLapIndex = laps.indexOf(Math.min(...laps));
+    return {
+      total: this.total,
+      elapsed: this.elapsed,
+      penalty: this.penalty,
+      missed: this.missed,
+      laps,
+      bestLap: laps[bestLapIndex],
+      bestLapSplits: this.lapTimes[bestLapIndex] ? this.lapTimes[bestLapIndex].splits : []
+    };
+  }
+}
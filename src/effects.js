@@ -1,153 +1,372 @@
 import * as THREE from 'three';
+import { TELEPORT_SPEED } from './controls.js';
 
-const activeSonarEffects = [];
-
-export function createSonarEffect(scene, position) {
-  // Create expanding ring
-  const geometry = new THREE.RingGeometry(0.1, 0.5, 64);
-  const material = new THREE.MeshBasicMaterial({
-    color: 0xff9900,
-    transparent: true,
-    opacity: 1,
-    side: THREE.DoubleSide,
-    blending: THREE.AdditiveBlending
-  });
-
-  const ring = new THREE.Mesh(geometry, material);
-  ring.position.copy(position);
-  ring.rotation.x = -Math.PI / 2; // Horizontal
-
-  ring.userData = {
-    age: 0,
-    maxAge: 3,
-    startRadius: 0.5,
-    maxRadius: 300
-  };
+// Pooled GPU particles. Every effect shares one Points object whose attributes hold each
+// particle's spawn state (origin, velocity, birth time, lifetime); the vertex shader integrates
+// position, size and fade from the particle's age, so the CPU only writes newly spawned
+// particles. The pool is a ring buffer: once it is full the oldest particle is recycled.
+
+const clamp = THREE.MathUtils.clamp;
+const lerp = THREE.MathUtils.lerp;
 
-  scene.add(ring);
-  activeSonarEffects.push(ring);
+export const MAX_PARTICLES = 6000;
 
-  // Also create CSS sonar effect
-  const sonarDiv = document.createElement('div');
-  sonarDiv.className = 'sonar-ring';
-  document.body.appendChild(sonarDiv);
+// Emitter definitions. type 'burst' spawns count particles at once in every direction,
+// 'trail' drops rate particles per second along the emitter's path with a little spread,
+// 'cone' sprays rate particles per second within angle (radians) of the emitter's direction.
+// speed, life and size are [min, max]; size is in metres and grows by growth over the lifetime;
+// inherit is the share of the emitter's own velocity the particles keep
+export const EMITTERS = {
+  crash: {
+    type: 'burst', count: 260, speed: [15, 75], life: [0.8, 2.4], size: [1.5, 4],
+    growth: 1.5, drag: 1.2, gravity: -9.8, inherit: 0, colors: [0xff4400, 0xffaa33]
+  },
+  exhaust: {
+    type: 'cone', rate: 260, angle: 0.08, speed: [50, 90], life: [0.15, 0.4], size: [0.6, 1.1],
+    growth: 2.5, drag: 4, gravity: 0, inherit: 1, colors: [0xff7700, 0x55bbff]
+  },
+  vapor: {
+    type: 'trail', rate: 140, spread: 1.5, life: [0.5, 1.2], size: [0.4, 0.8],
+    growth: 3, drag: 1.5, gravity: 0, inherit: 0, colors: [0xcfe6ff, 0xffffff]
+  }
+};
 
-  setTimeout(() => {
-    sonarDiv.remove();
-  }, 2000);
+const VAPOR_ONSET = 3.5; // G where wingtip vapor starts
+const VAPOR_FULL = 6.5; // G at full vapor
+
+// Fog uniforms for a material that fades with the terrain: the given uniforms' own fogNear /
+// fogFar objects, so changes to the terrain fog carry over, or a fog too far out to show
+export function fogUniforms(fog) {
+  return {
+    fogNear: fog?.fogNear ?? { value: 1e5 },
+    fogFar: fog?.fogFar ?? { value: 2e5 }
+  };
 }
 
-export function updateSonarEffects(scene, delta) {
-  for (let i = activeSonarEffects.length - 1; i >= 0; i--) {
-    const ring = activeSonarEffects[i];
-    ring.userData.age += delta;
+// Wingtip vapor strength 0..1 for a load factor
+export function vaporIntensity(gForce) {
+  return clamp((gForce - VAPOR_ONSET) / (VAPOR_FULL - VAPOR_ONSET), 0, 1);
+}
+
+const vertexShader = `
+  attribute vec3 velocity;
+  attribute vec3 tint;
+  attribute vec2 timing; // birth, life
+  attribute vec4 shape; // size, growth, drag, gravity
 
-    const t = ring.userData.age / ring.userData.maxAge;
+  uniform float time;
+  uniform float pointScale;
 
-    if (t >= 1) {
-      scene.remove(ring);
-      ring.geometry.dispose();
-      ring.material.dispose();
-      activeSonarEffects.splice(i, 1);
-      continue;
+  varying vec3 vTint;
+  varying float vAlpha;
+  varying float vDistance;
+
+  void main() {
+    float age = time - timing.x;
+    float t = age / timing.y;
+    if (age < 0.0 || t >= 1.0) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      return;
     }
 
-    // Expand ring
-    const currentRadius = THREE.MathUtils.lerp(
-      ring.userData.startRadius,
-      ring.userData.maxRadius,
-      t
-    );
+    // Linear drag on the launch velocity, gravity undamped
+    float drag = shape.z;
+    float travel = drag > 0.0 ? (1.0 - exp(-drag * age)) / drag : age;
+    vec3 world = position + velocity * travel;
+    world.y += 0.5 * shape.w * age * age;
 
-    // Update ring geometry
-    ring.geometry.dispose();
-    ring.geometry = new THREE.RingGeometry(
-      currentRadius - 2,
-      currentRadius,
-      64
-    );
+    vec4 mvPosition = modelViewMatrix * vec4(world, 1.0);
+    vDistance = -mvPosition.z;
+    vTint = tint;
+    vAlpha = (1.0 - t) * (1.0 - t) * smoothstep(0.0, 0.04, age);
 
-    // Fade out
-    ring.material.opacity = 1 - t;
+    float size = shape.x * (1.0 + shape.y * t);
+    gl_PointSize = clamp(size * pointScale / max(vDistance, 0.1), 1.0, 64.0);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const fragmentShader = `
+  uniform float fogNear;
+  uniform float fogFar;
+
+  varying vec3 vTint;
+  varying float vAlpha;
+  varying float vDistance;
+
+  void main() {
+    float dist = length(gl_PointCoord - vec2(0.5));
+    if (dist > 0.5) discard;
+
+    float fog = 1.0 - smoothstep(fogNear, fogFar, vDistance);
+    float alpha = (1.0 - smoothstep(0.1, 0.5, dist)) * vAlpha * fog;
+    gl_FragColor = vec4(vTint, alpha);
+  }
+`;
+
+// A continuous source bound to an object: offset and direction are in the object's local
+// space; intensity 0..1 scales the emission rate (0 switches it off)
+class Emitter {
+  constructor(definition, object, offset, direction) {
+    this.definition = definition;
+    this.object = object;
+    this.offset = offset.clone();
+    this.direction = direction.clone().normalize();
+    this.intensity = 0;
+    this.position = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this._previous = new THREE.Vector3();
+    this._placed = false;
+    this._owed = 0;
+  }
+
+  // Re-anchor to another object (e.g. a new airframe)
+  attach(object, offset = this.offset, direction = this.direction) {
+    this.object = object;
+    this.offset.copy(offset);
+    this.direction.copy(direction).normalize();
+    this._placed = false;
+    this._owed = 0;
   }
 }
 
-// Particle burst effect for impacts/events
-export function createParticleBurst(scene, position, color = 0xff9900) {
-  const particleCount = 50;
-  const geometry = new THREE.BufferGeometry();
-
-  const positions = new Float32Array(particleCount * 3);
-  const velocities = [];
-  const colors = new Float32Array(particleCount * 3);
-
-  const particleColor = new THREE.Color(color);
-
-  for (let i = 0; i < particleCount; i++) {
-    positions[i * 3] = position.x;
-    positions[i * 3 + 1] = position.y;
-    positions[i * 3 + 2] = position.z;
-
-    // Random velocity
-    velocities.push(new THREE.Vector3(
-      (Math.random() - 0.5) * 20,
-      (Math.random() - 0.5) * 20,
-      (Math.random() - 0.5) * 20
-    ));
-
-    colors[i * 3] = particleColor.r;
-    colors[i * 3 + 1] = particleColor.g;
-    colors[i * 3 + 2] = particleColor.b;
-  }
-
-  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-
-  const material = new THREE.PointsMaterial({
-    size: 3,
-    vertexColors: true,
-    transparent: true,
-    opacity: 1,
-    blending: THREE.AdditiveBlending,
-    depthWrite: false
-  });
-
-  const particles = new THREE.Points(geometry, material);
-  particles.userData = {
-    velocities,
-    age: 0,
-    maxAge: 2
-  };
+export class ParticleEffects {
+  // options.fog: uniforms object holding fogNear / fogFar to share (the terrain's)
+  constructor(scene, options = {}) {
+    this.capacity = options.capacity ?? MAX_PARTICLES;
+    this.time = 0;
+    this.paused = false;
+    this.emitters = [];
+    this.spawned = 0; // Total particles ever written
+
+    const capacity = this.capacity;
+    this.geometry = new THREE.BufferGeometry();
+    this.attributes = {
+      position: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+      velocity: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+      tint: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+      timing: new THREE.BufferAttribute(new Float32Array(capacity * 2), 2),
+      shape: new THREE.BufferAttribute(new Float32Array(capacity * 4), 4)
+    };
+    for (const [name, attribute] of Object.entries(this.attributes)) {
+      attribute.setUsage(THREE.DynamicDrawUsage);
+      this.geometry.setAttribute(name, attribute);
+    }
+    this._kill();
+
+    this.uniforms = {
+      time: { value: 0 },
+      pointScale: { value: 600 },
+      ...fogUniforms(options.fog)
+    };
+    this.material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending
+    });
+
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.points.frustumCulled = false; // Particles move on the GPU; bounds are never known
+    if (scene) scene.add(this.points);
+
+    this._next = 0;
+    this._dirtyFrom = Infinity;
+    this._dirtyTo = -1;
+    this._color = new THREE.Color();
+    this._colorB = new THREE.Color();
+    this._origin = new THREE.Vector3();
+    this._direction = new THREE.Vector3();
+    this._spawnVelocity = new THREE.Vector3();
+    this._axisA = new THREE.Vector3();
+    this._axisB = new THREE.Vector3();
+    this._axisC = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+  }
 
-  scene.add(particles);
+  // Particles still alive at the current time
+  get live() {
+    const timing = this.attributes.timing.array;
+    let count = 0;
+    for (let i = 0; i < this.capacity; i++) {
+      const age = this.time - timing[i * 2];
+      if (age >= 0 && age < timing[i * 2 + 1]) count++;
+    }
+    return count;
+  }
+
+  emitter(name, object, offset = new THREE.Vector3(), direction = new THREE.Vector3(0, 0, 1)) {
+    const emitter = new Emitter(EMITTERS[name], object, offset, direction);
+    this.emitters.push(emitter);
+    return emitter;
+  }
 
-  // Auto-cleanup
-  const cleanup = () => {
-    const age = particles.userData.age;
-    if (age >= particles.userData.maxAge) {
-      scene.remove(particles);
-      geometry.dispose();
-      material.dispose();
+  removeEmitter(emitter) {
+    this.emitters = this.emitters.filter((e) => e !== emitter);
+  }
+
+  // One-shot burst at a world position, optionally carried along by velocity
+  burst(name, position, velocity = null) {
+    const definition = EMITTERS[name];
+    const count = definition.count ?? 0;
+    for (let i = 0; i < count; i++) {
+      this._randomDirection(this._direction);
+      this._spawnVelocity.copy(this._direction).multiplyScalar(lerp(definition.speed[0], definition.speed[1], Math.random()));
+      if (velocity) this._spawnVelocity.addScaledVector(velocity, definition.inherit);
+      this._spawn(definition, position, this._spawnVelocity, this.time);
+    }
+  }
+
+  // Kill every particle (world rebuilt, replay loaded)
+  clear() {
+    this._kill();
+    this._markDirty(0, this.capacity);
+    for (const emitter of this.emitters) {
+      emitter._placed = false;
+      emitter._owed = 0;
+    }
+    this._upload();
+  }
+
+  // Advance by the frame delta; nothing moves or spawns while paused. camera / viewHeight
+  // convert particle sizes in metres to pixels
+  update(dt, camera = null, viewHeight = 0) {
+    if (camera && viewHeight > 0) {
+      this.uniforms.pointScale.value = viewHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+    }
+    if (this.paused || dt <= 0) return;
+
+    const start = this.time;
+    this.time += dt;
+    this.uniforms.time.value = this.time;
+    for (const emitter of this.emitters) this._emit(emitter, start, dt);
+    this._upload();
+  }
+
+  dispose() {
+    if (this.points.parent) this.points.parent.remove(this.points);
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+
+  _emit(emitter, start, dt) {
+    const object = emitter.object;
+    object.updateMatrixWorld();
+    emitter._previous.copy(emitter.position);
+    emitter.position.copy(emitter.offset).applyMatrix4(object.matrixWorld);
+
+    emitter.velocity.subVectors(emitter.position, emitter._previous).divideScalar(dt);
+    if (!emitter._placed || emitter.velocity.length() > TELEPORT_SPEED) {
+      // First frame or a jump: no path to spread particles along
+      emitter._previous.copy(emitter.position);
+      emitter.velocity.set(0, 0, 0);
+      emitter._placed = true;
+    }
+
+    const definition = emitter.definition;
+    const intensity = clamp(emitter.intensity, 0, 1);
+    if (intensity <= 0) {
+      emitter._owed = 0;
       return;
     }
 
-    particles.userData.age += 0.016;
+    const owed = emitter._owed;
+    const due = definition.rate * intensity * dt;
+    const count = Math.floor(owed + due);
+    emitter._owed = owed + due - count;
+    if (count === 0) return;
+
+    object.getWorldQuaternion(this._quaternion);
+    const axis = this._axisA.copy(emitter.direction).applyQuaternion(this._quaternion);
 
-    const positions = particles.geometry.attributes.position.array;
-    for (let i = 0; i < particleCount; i++) {
-      const vel = particles.userData.velocities[i];
-      positions[i * 3] += vel.x * 0.016;
-      positions[i * 3 + 1] += vel.y * 0.016;
-      positions[i * 3 + 2] += vel.z * 0.016;
+    // Spread the frame's particles along the path, each born when its share came due
+    for (let i = 0; i < count; i++) {
+      const f = (i + 1 - owed) / due;
+      this._origin.lerpVectors(emitter._previous, emitter.position, f);
 
-      // Gravity
-      vel.y -= 9.8 * 0.016;
+      if (definition.type === 'cone') {
+        this._coneDirection(axis, definition.angle, this._direction);
+        this._spawnVelocity.copy(this._direction).multiplyScalar(lerp(definition.speed[0], definition.speed[1], Math.random()));
+      } else {
+        this._randomDirection(this._direction);
+        this._spawnVelocity.copy(this._direction).multiplyScalar(definition.spread * Math.random());
+      }
+      this._spawnVelocity.addScaledVector(emitter.velocity, definition.inherit);
+      this._spawn(definition, this._origin, this._spawnVelocity, start + dt * f, intensity);
     }
-    particles.geometry.attributes.position.needsUpdate = true;
-    particles.material.opacity = 1 - (age / particles.userData.maxAge);
+  }
 
-    requestAnimationFrame(cleanup);
-  };
+  // Mark every slot as expired a second ago
+  _kill() {
+    const timing = this.attributes.timing.array;
+    for (let i = 0; i < this.capacity; i++) {
+      timing[i * 2] = this.time - 1;
+      timing[i * 2 + 1] = 1e-6;
+    }
+  }
+
+  _spawn(definition, position, velocity, birth, intensity = 1) {
+    const i = this._next;
+    this._next = (this._next + 1) % this.capacity;
+    this.spawned++;
+
+    const { position: origins, velocity: velocities, tint, timing, shape } = this.attributes;
+    position.toArray(origins.array, i * 3);
+    velocity.toArray(velocities.array, i * 3);
+
+    const [from, to] = definition.colors;
+    this._color.set(from).lerp(this._colorB.set(to), Math.random()).multiplyScalar(0.5 + 0.5 * intensity);
+    this._color.toArray(tint.array, i * 3);
+
+    timing.array[i * 2] = birth;
+    timing.array[i * 2 + 1] = lerp(definition.life[0], definition.life[1], Math.random());
+    shape.array[i * 4] = lerp(definition.size[0], definition.size[1], Math.random());
+    shape.array[i * 4 + 1] = definition.growth;
+    shape.array[i * 4 + 2] = definition.drag;
+    shape.array[i * 4 + 3] = definition.gravity;
+
+    this._markDirty(i, i + 1);
+  }
 
-  requestAnimationFrame(cleanup);
+  _markDirty(from, to) {
+    this._dirtyFrom = Math.min(this._dirtyFrom, from);
+    this._dirtyTo = Math.max(this._dirtyTo, to);
+  }
+
+  // Upload only the slots written since the last frame
+  _upload() {
+    if (this._dirtyTo < 0) return;
+    for (const attribute of Object.values(this.attributes)) {
+      attribute.clearUpdateRanges();
+      attribute.addUpdateRange(this._dirtyFrom * attribute.itemSize, (this._dirtyTo - this._dirtyFrom) * attribute.itemSize);
+      attribute.needsUpdate = true;
+    }
+    this._dirtyFrom = Infinity;
+    this._dirtyTo = -1;
+  }
+
+  _randomDirection(target) {
+    const z = Math.random() * 2 - 1;
+    const angle = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    return target.set(r * Math.cos(angle), r * Math.sin(angle), z);
+  }
+
+  // Uniform direction within angle of axis
+  _coneDirection(axis, angle, target) {
+    const cosAngle = Math.cos(angle);
+    const z = lerp(cosAngle, 1, Math.random());
+    const phi = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    const side = this._axisB.set(1, 0, 0);
+    if (Math.abs(axis.x) > 0.9) side.set(0, 1, 0);
+    const u = side.cross(axis).normalize();
+    const v = this._axisC.crossVectors(axis, u);
+    return target.copy(axis).multiplyScalar(z)
+      .addScaledVector(u, r * Math.cos(phi))
+      .addScaledVector(v, r * Math.sin(phi));
+  }
 }
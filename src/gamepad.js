@@ -0,0 +1,131 @@
+// Gamepad / HOTAS input via the Gamepad API (standard mapping by default)
+
+const DEFAULT_MAPPING = {
+  rollAxis: 0,
+  pitchAxis: 1,
+  yawAxis: 2,
+  // Absolute throttle lever (HOTAS); null uses the triggers as a throttle rate
+  throttleAxis: null,
+  throttleUpButton: 7,
+  throttleDownButton: 6,
+  afterburnerButtons: [5, 0],
+  actions: {
+    3: 'cycleCamera',
+    2: 'sonarPing',
+    1: 'toggleHighlight',
+    9: 'start'
+  }
+};
+
+const LEVER_NOISE = 0.01; // Throttle lever travel that counts as moving it
+const LEVER_GAIN = 10; // Throttle rate command per unit of lever-to-throttle difference
+
+function applyDeadzone(value, deadzone) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadzone) return 0;
+  return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+function buttonValue(pad, index) {
+  const button = pad.buttons[index];
+  if (!button) return 0;
+  return typeof button === 'object' ? button.value : button;
+}
+
+function buttonPressed(pad, index) {
+  const button = pad.buttons[index];
+  if (!button) return false;
+  return typeof button === 'object' ? button.pressed : button === 1;
+}
+
+export class GamepadInput {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.mapping = { ...DEFAULT_MAPPING, ...options.mapping };
+    this.deadzone = options.deadzone ?? 0.12;
+    this.triggerDeadzone = options.triggerDeadzone ?? 0.05;
+    this.onAction = options.onAction ?? null;
+
+    this.index = null;
+    this.id = '';
+    this._previousButtons = [];
+    this._lever = null; // Last throttle lever position taken as a target
+    this._leverActive = false;
+  }
+
+  get connected() {
+    return this.index !== null;
+  }
+
+  connect(pad) {
+    if (this.index !== null) return;
+    this.index = pad.index;
+    this.id = pad.id;
+    this._previousButtons = [];
+    this._lever = null;
+  }
+
+  disconnect(pad) {
+    if (pad.index !== this.index) return;
+    this.index = null;
+    this.id = '';
+    this.controller.setAnalogInput({});
+  }
+
+  // Read the pad once per frame, before the controller update
+  poll() {
+    if (this.index === null || !navigator.getGamepads) return;
+    const pad = navigator.getGamepads()[this.index];
+    if (!pad) return;
+
+    const { mapping } = this;
+    const axis = (index) => (index === null ? 0 : pad.axes[index] ?? 0);
+
+    const roll = applyDeadzone(axis(mapping.rollAxis), this.deadzone);
+    const pitchAxis = applyDeadzone(axis(mapping.pitchAxis), this.deadzone);
+    const yaw = applyDeadzone(axis(mapping.yawAxis), this.deadzone);
+
+    // Stick back (positive axis) pulls the nose up; Invert Y flips it, as it does the mouse
+    const pitch = this.controller.invertY ? -pitchAxis : pitchAxis;
+
+    let throttle = 0;
+    if (mapping.throttleAxis !== null) {
+      throttle = this._leverThrottle((1 - axis(mapping.throttleAxis)) / 2); // Forward reads -1 on most HOTAS
+    } else {
+      const up = applyDeadzone(buttonValue(pad, mapping.throttleUpButton), this.triggerDeadzone);
+      const down = applyDeadzone(buttonValue(pad, mapping.throttleDownButton), this.triggerDeadzone);
+      throttle = up - down;
+    }
+
+    const boost = mapping.afterburnerButtons.some((index) => buttonPressed(pad, index));
+
+    this.controller.setAnalogInput({ roll, pitch, yaw, throttle, boost });
+
+    // Edge-triggered actions
+    for (const [index, action] of Object.entries(mapping.actions)) {
+      const pressed = buttonPressed(pad, Number(index));
+      if (pressed && !this._previousButtons[index] && this.onAction) {
+        this.onAction(action);
+      }
+      this._previousButtons[index] = pressed;
+    }
+  }
+
+  // An absolute lever drives the throttle like the keys do, at the normal throttle rate: a moved
+  // lever sets a target the throttle runs to, and a resting one leaves the throttle alone (so
+  // the autopilot's speed hold isn't overridden by a lever nobody touched)
+  _leverThrottle(lever) {
+    if (this._lever === null || Math.abs(lever - this._lever) > LEVER_NOISE) {
+      this._lever = lever;
+      this._leverActive = true;
+    }
+    if (!this._leverActive) return 0;
+
+    const error = this._lever - this.controller.throttleSetting;
+    if (Math.abs(error) <= LEVER_NOISE) {
+      this._leverActive = false;
+      return 0;
+    }
+    return Math.max(-1, Math.min(1, error * LEVER_GAIN));
+  }
+}
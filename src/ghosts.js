@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { createAircraftModel, getAircraftProfile } from './aircraft.js';
+
+// Ghost racing: translucent airplanes replaying saved recordings alongside the player
+
+const GHOST_COLORS = [0x00d4ff, 0xa0ff40, 0xff40c0, 0xffffff];
+const TRAIL_STRIDE = 4; // Recorded frames per trail vertex
+const SEARCH_BACK = 120;
+const SEARCH_AHEAD = 600;
+const MAX_COURSE_DISTANCE = 250; // Beyond this the player is off the ghost's line
+
+export class Ghost {
+  constructor(recording, color) {
+    this.recording = recording;
+    // Flown airframe, tinted in the ghost's color
+    this.model = createAircraftModel(getAircraftProfile(recording.aircraft), {
+      color,
+      fillColor: color,
+      edgeColor: color,
+      opacity: 0.35
+    });
+    this.trail = createTrail(recording, color);
+    this._searchIndex = 0;
+    this._point = new THREE.Vector3();
+  }
+
+  get duration() {
+    return this.recording.duration;
+  }
+
+  update(time) {
+    const frame = this.recording.samplePose(
+      Math.min(time, this.duration),
+      this.model.position,
+      this.model.quaternion
+    );
+    this.model.visible = !this.recording.isCrashed(frame);
+  }
+
+  resetSearch() {
+    this._searchIndex = 0;
+  }
+
+  // Recording time at the point of the ghost's path nearest to position, or null if off course
+  timeAt(position, fullSearch = false) {
+    const rec = this.recording;
+    const start = fullSearch ? 0 : Math.max(0, this._searchIndex - SEARCH_BACK);
+    const end = fullSearch ? rec.frameCount - 1 : Math.min(rec.frameCount - 1, this._searchIndex + SEARCH_AHEAD);
+
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let i = start; i <= end; i++) {
+      const distance = rec.framePosition(i, this._point).distanceToSquared(position);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+
+    if (best < 0 || Math.sqrt(bestDistance) > MAX_COURSE_DISTANCE) return null;
+    this._searchIndex = best;
+    return rec.frameTime(best);
+  }
+
+  dispose() {
+    this.model.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    this.trail.geometry.dispose();
+    this.trail.material.dispose();
+  }
+}
+
+function createTrail(recording, color) {
+  const count = Math.ceil(recording.frameCount / TRAIL_STRIDE);
+  const positions = new Float32Array(count * 3);
+  const point = new THREE.Vector3();
+
+  for (let i = 0; i < count; i++) {
+    recording.framePosition(Math.min(i * TRAIL_STRIDE, recording.frameCount - 1), point);
+    point.toArray(positions, i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+  const material = new THREE.LineBasicMaterial({
+    color,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending
+  });
+
+  const line = new THREE.Line(geometry, material);
+  line.frustumCulled = false;
+  return line;
+}
+
+export class GhostRace {
+  constructor(scene) {
+    this.scene = scene;
+    this.ghosts = [];
+    this.time = 0;
+    this.delta = null;
+  }
+
+  get active() {
+    return this.ghosts.length > 0;
+  }
+
+  add(recording) {
+    if (recording.frameCount < 2) return null;
+    const ghost = new Ghost(recording, GHOST_COLORS[this.ghosts.length % GHOST_COLORS.length]);
+    this.ghosts.push(ghost);
+    this.scene.add(ghost.model);
+    this.scene.add(ghost.trail);
+    return ghost;
+  }
+
+  clear() {
+    for (const ghost of this.ghosts) {
+      this.scene.remove(ghost.model);
+      this.scene.remove(ghost.trail);
+      ghost.dispose();
+    }
+    this.ghosts.length = 0;
+    this.delta = null;
+  }
+
+  // Restart the clock and put the player on the lead ghost's starting pose
+  start(controller) {
+    this.time = 0;
+    this.delta = null;
+    if (!this.active) return;
+
+    const lead = this.ghosts[0];
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const velocity = new THREE.Vector3();
+    lead.recording.samplePose(0, position, quaternion, velocity);
+    controller.respawn();
+    controller.setPose(position, quaternion, velocity);
+
+    for (const ghost of this.ghosts) {
+      ghost.resetSearch();
+      ghost.update(0);
+    }
+  }
+
+  // Advance ghosts by the simulation step; delta > 0 means the player is behind the lead ghost
+  update(dt, playerPosition) {
+    if (!this.active) return;
+    this.time += dt;
+
+    for (const ghost of this.ghosts) {
+      ghost.update(this.time);
+    }
+
+    const ghostTime = this.ghosts[0].timeAt(playerPosition);
+    this.delta = ghostTime === null ? null : this.time - ghostTime;
+  }
+}
@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+
+// Ground proximity warning: projects the flight path along the current velocity, finds how
+// soon it comes too close to the terrain, and escalates from TERRAIN to PULL UP.
+// Headless; GpwsCallouts voices the alerts in the browser.
+
+const clamp = THREE.MathUtils.clamp;
+
+export const GPWS_CLEAR = 0;
+export const GPWS_CAUTION = 1;
+export const GPWS_WARNING = 2;
+export const GPWS_MESSAGES = ['', 'TERRAIN', 'PULL UP'];
+
+export const DEFAULT_GPWS = {
+  enabled: true,
+  cautionTime: 8, // Seconds to terrain conflict for TERRAIN
+  warningTime: 4, // Seconds to terrain conflict for PULL UP
+  floor: 30, // Terrain clearance (m) the predicted path must keep
+  callouts: true
+};
+
+const SAMPLE_SPACING = 20; // m between terrain samples along the path
+const MAX_SAMPLES = 100;
+const HOLD_TIME = 1; // Seconds an alert stays up after the conflict clears
+
+export class GroundProximityWarning {
+  constructor(getHeight, options = {}) {
+    this.getHeight = getHeight;
+    this.options = { ...DEFAULT_GPWS };
+    this.set(options);
+
+    this.level = GPWS_CLEAR;
+    this.radarAltitude = Infinity; // Height above the terrain directly below, m
+    this.timeToConflict = Infinity; // Seconds until the projected path breaks the floor
+    this.minClearance = Infinity; // Lowest projected clearance inside the alert window
+    this._hold = 0;
+    this._point = new THREE.Vector3();
+  }
+
+  set(options) {
+    Object.assign(this.options, options);
+    if (!this.options.enabled) this.reset();
+  }
+
+  get message() {
+    return GPWS_MESSAGES[this.level];
+  }
+
+  reset() {
+    this.level = GPWS_CLEAR;
+    this.timeToConflict = Infinity;
+    this.minClearance = Infinity;
+    this._hold = 0;
+  }
+
+  // Predicted clearance along the straight path, returning the first time it breaks the floor.
+  // Within two floors of the ground the floor sinks with the radar altitude, reaching the
+  // terrain itself at one floor, so deliberate low flying only alerts on a predicted impact
+  predict(position, velocity) {
+    const { floor } = this.options;
+    const horizon = Math.max(this.options.cautionTime, this.options.warningTime);
+    this.radarAltitude = position.y - this.getHeight(position.x, position.z);
+    const threshold = clamp(this.radarAltitude - floor, 0, floor);
+
+    const distance = velocity.length() * horizon;
+    const samples = clamp(Math.ceil(distance / SAMPLE_SPACING), 1, MAX_SAMPLES);
+    this.minClearance = this.radarAltitude;
+    this.timeToConflict = Infinity;
+
+    for (let i = 1; i <= samples; i++) {
+      const t = (i / samples) * horizon;
+      const point = this._point.copy(position).addScaledVector(velocity, t);
+      const clearance = point.y - this.getHeight(point.x, point.z);
+      this.minClearance = Math.min(this.minClearance, clearance);
+      if (clearance < threshold) {
+        this.timeToConflict = t;
+        break;
+      }
+    }
+    return this.timeToConflict;
+  }
+
+  // Run once per physics step; alerts rise at once and fall after HOLD_TIME
+  update(dt, position, velocity, crashed = false) {
+    if (!this.options.enabled || crashed) {
+      this.reset();
+      this.radarAltitude = position.y - this.getHeight(position.x, position.z);
+      return this.level;
+    }
+
+    const time = this.predict(position, velocity);
+    let level = GPWS_CLEAR;
+    if (time <= this.options.warningTime) level = GPWS_WARNING;
+    else if (time <= this.options.cautionTime) level = GPWS_CAUTION;
+
+    if (level >= this.level) {
+      this.level = level;
+      this._hold = HOLD_TIME;
+    } else {
+      this._hold -= dt;
+      if (this._hold <= 0) {
+        this.level = level;
+        this._hold = HOLD_TIME;
+      }
+    }
+    return this.level;
+  }
+}
+
+// Synthesized callouts through the flight audio's alerts bus: a whooping tone under PULL UP,
+// a two-tone chime under TERRAIN, and the words spoken when speech synthesis is available
+const CALLOUT_REPEAT = [0, 3, 1.6]; // Seconds between repeats per level
+const CALLOUT_WORDS = ['', 'Terrain, terrain', 'Pull up'];
+
+export class GpwsCallouts {
+  constructor(audio) {
+    this.audio = audio;
+    this._level = GPWS_CLEAR;
+    this._timer = 0;
+  }
+
+  update(dt, level) {
+    if (level !== this._level) {
+      this._level = level;
+      this._timer = 0;
+      if (level === GPWS_CLEAR) this.stop();
+    }
+    if (level === GPWS_CLEAR) return;
+
+    this._timer -= dt;
+    if (this._timer <= 0) {
+      this._timer = CALLOUT_REPEAT[level];
+      this._play(level);
+    }
+  }
+
+  stop() {
+    this._level = GPWS_CLEAR;
+    if (window.speechSynthesis) window.speechSynthesis.cancel();
+  }
+
+  _play(level) {
+    const audio = this.audio;
+    if (audio.ready) {
+      const now = audio.context.currentTime;
+      if (level === GPWS_WARNING) {
+        audio.tone(400, 1000, now, 0.35);
+        audio.tone(400, 1000, now + 0.4, 0.35);
+      } else {
+        audio.tone(880, 880, now, 0.18);
+        audio.tone(660, 660, now + 0.22, 0.18);
+      }
+    }
+
+    const speech = window.speechSynthesis;
+    const volume = audio.level('alerts');
+    if (speech && !speech.speaking && volume > 0) {
+      const utterance = new SpeechSynthesisUtterance(CALLOUT_WORDS[level]);
+      utterance.rate = 1.3;
+      utterance.volume = volume;
+      speech.speak(utterance);
+    }
+  }
+}
@@ -0,0 +1,161 @@
+// Keyboard input actions, bound by KeyboardEvent.code so layouts don't matter
+
+export const ACTIONS = [
+  { id: 'throttleUp', label: 'Throttle Up', held: true },
+  { id: 'throttleDown', label: 'Throttle Down', held: true },
+  { id: 'yawLeft', label: 'Yaw Left', held: true },
+  { id: 'yawRight', label: 'Yaw Right', held: true },
+  { id: 'afterburner', label: 'Afterburner', held: true },
+  { id: 'sonarPing', label: 'Sonar Ping' },
+  { id: 'toggleHighlight', label: 'Terrain Highlight' },
+  { id: 'cycleCamera', label: 'Camera' },
+  { id: 'cameraUp', label: 'Free Camera Up', held: true },
+  { id: 'cameraDown', label: 'Free Camera Down', held: true },
+  { id: 'togglePhoto', label: 'Photo Mode' },
+  { id: 'toggleReplay', label: 'Replay' },
+  { id: 'restartRace', label: 'Restart Race' },
+  { id: 'toggleSettings', label: 'Settings' },
+  { id: 'toggleTuning', label: 'Tuning Panel' },
+  { id: 'toggleDebug', label: 'Debug HUD' },
+  { id: 'freezeGraphs', label: 'Freeze Graphs' },
+  { id: 'toggleMute', label: 'Mute' },
+  { id: 'autopilotAltitude', label: 'AP Altitude Hold' },
+  { id: 'autopilotHeading', label: 'AP Heading Hold' },
+  { id: 'autopilotSpeed', label: 'AP Speed Hold' },
+  { id: 'autopilotTerrain', label: 'AP Terrain Follow' },
+  { id: 'autopilotOff', label: 'AP Disengage' },
+  { id: 'autopilotUp', label: 'AP Altitude Up' },
+  { id: 'autopilotDown', label: 'AP Altitude Down' },
+  { id: 'autopilotLeft', label: 'AP Heading Left' },
+  { id: 'autopilotRight', label: 'AP Heading Right' },
+  { id: 'autopilotFaster', label: 'AP Speed Up' },
+  { id: 'autopilotSlower', label: 'AP Speed Down' }
+];
+
+export const DEFAULT_BINDINGS = {
+  throttleUp: ['KeyW'],
+  throttleDown: ['KeyS'],
+  yawLeft: ['KeyA'],
+  yawRight: ['KeyD'],
+  afterburner: ['ShiftLeft', 'ShiftRight'],
+  sonarPing: ['Space'],
+  toggleHighlight: ['KeyR'],
+  cycleCamera: ['KeyG'],
+  cameraUp: ['KeyE'],
+  cameraDown: ['KeyQ'],
+  togglePhoto: ['KeyO'],
+  toggleReplay: ['KeyP'],
+  restartRace: ['KeyT'],
+  toggleSettings: ['KeyK'],
+  toggleTuning: ['KeyJ'],
+  toggleDebug: ['KeyH'],
+  freezeGraphs: ['KeyF'],
+  toggleMute: ['KeyM'],
+  autopilotAltitude: ['Digit1'],
+  autopilotHeading: ['Digit2'],
+  autopilotSpeed: ['Digit3'],
+  autopilotTerrain: ['Digit4'],
+  autopilotOff: ['Digit0'],
+  autopilotUp: ['ArrowUp'],
+  autopilotDown: ['ArrowDown'],
+  autopilotLeft: ['ArrowLeft'],
+  autopilotRight: ['ArrowRight'],
+  autopilotFaster: ['Equal'],
+  autopilotSlower: ['Minus']
+};
+
+const HELD_ACTIONS = new Set(ACTIONS.filter((action) => action.held).map((action) => action.id));
+
+// Fallback labels when the Keyboard Map API is unavailable
+function fallbackLabel(code) {
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num${code.slice(6)}`;
+  if (code.startsWith('Arrow')) return code.slice(5);
+  return code.replace(/(Left|Right)$/, '');
+}
+
+export class InputMap {
+  constructor(bindings) {
+    this.bindings = {};
+    this.layout = null;
+    this.conflicted = !this.load(bindings); // Stored bindings were rejected for the defaults
+  }
+
+  // Stored bindings can hold anything: take them only when every action gets a list of key
+  // codes and no key belongs to two actions, else restore the defaults. Missing actions keep
+  // their default keys. Returns whether the bindings were taken
+  load(bindings) {
+    const loaded = {};
+    const owners = new Map();
+    for (const { id } of ACTIONS) {
+      const codes = bindings && bindings[id] !== undefined ? bindings[id] : DEFAULT_BINDINGS[id];
+      const valid = Array.isArray(codes) && codes.every((code) => typeof code === 'string');
+      if (!valid || codes.some((code) => owners.has(code) && owners.get(code) !== id)) {
+        if (bindings !== DEFAULT_BINDINGS) this.load(DEFAULT_BINDINGS);
+        return false;
+      }
+      for (const code of codes) owners.set(code, id);
+      loaded[id] = codes.slice();
+    }
+    this.bindings = loaded;
+    return true;
+  }
+
+  reset() {
+    this.load(DEFAULT_BINDINGS);
+  }
+
+  isHeld(action) {
+    return HELD_ACTIONS.has(action);
+  }
+
+  actionForCode(code) {
+    for (const { id } of ACTIONS) {
+      if (this.bindings[id].includes(code)) return id;
+    }
+    return null;
+  }
+
+  // Bind code as the action's only key. If another action already uses it,
+  // the two swap so every key keeps exactly one meaning. Returns the swapped action.
+  bind(action, code) {
+    const previous = this.bindings[action][0] ?? null;
+    const conflict = this.actionForCode(code);
+
+    if (conflict && conflict !== action) {
+      const codes = this.bindings[conflict].filter((entry) => entry !== code);
+      if (previous && !codes.includes(previous)) codes.unshift(previous);
+      this.bindings[conflict] = codes;
+    }
+
+    this.bindings[action] = [code];
+    return conflict && conflict !== action ? conflict : null;
+  }
+
+  // Resolve printed key labels for the user's keyboard layout where supported
+  async loadLayout() {
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+    try {
+      this.layout = await navigator.keyboard.getLayoutMap();
+    } catch {
+      this.layout = null;
+    }
+  }
+
+  keyLabel(code) {
+    if (!code) return '—';
+    const mapped = this.layout && this.layout.get(code);
+    if (mapped && mapped.trim()) return mapped.toUpperCase();
+    return fallbackLabel(code);
+  }
+
+  actionLabel(action) {
+    const labels = new Set(this.bindings[action].map((code) => this.keyLabel(code)));
+    return labels.size > 0 ? Array.from(labels).join('/') : '—';
+  }
+
+  toJSON() {
+    return this.bindings;
+  }
+}
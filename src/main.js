@@ -1,8 +1,34 @@
 import * as THREE from 'three';
-import { createTerrain, updateTerrain } from './terrain.js';
-import { createAirplane } from './airplane.js';
+import {
+  createTerrain,
+  updateTerrain,
+  rebuildTerrain,
+  getTerrainHeight,
+  getTerrainSeed,
+  getTerrainBiomes
+} from './terrain.js';
+import { AIRCRAFT_PROFILES, createAircraftModel, getAircraftProfile, validateAircraftProfile } from './aircraft.js';
 import { FlightController, toDeg } from './controls.js';
-import { createSonarEffect, updateSonarEffects } from './effects.js';
+import { FixedTimestep } from './timestep.js';
+import { GroundCollision } from './collision.js';
+import { GamepadInput } from './gamepad.js';
+import { ACTIONS, InputMap } from './input.js';
+import { TUNING_GROUPS, applyTuning, exportTuning, parseTuning, readParameter, writeParameter } from './tuning.js';
+import { TELEMETRY_CHANNELS, GRAPH_WINDOWS, TelemetryHistory, TelemetryGraph } from './telemetry.js';
+import { AUTOPILOT_MODES, Autopilot } from './autopilot.js';
+import { Atmosphere, DEFAULT_WEATHER } from './atmosphere.js';
+import { GPWS_CAUTION, GPWS_CLEAR, GPWS_MESSAGES, GPWS_WARNING, GpwsCallouts, GroundProximityWarning } from './gpws.js';
+import { loadSettings, saveSettings, loadBestTimes, saveBestTimes } from './settings.js';
+import { FlightRecorder, FlightRecording, FlightReplay } from './recorder.js';
+import { GhostRace } from './ghosts.js';
+import { TimeTrial, generateCourse, parseCourse, courseId, MISSED_GATE_PENALTY } from './course.js';
+import { listBiomes } from './biomes.js';
+import { ParticleEffects, vaporIntensity } from './effects.js';
+import { FlightTrails, wingtipStrength } from './trails.js';
+import { CAMERA_LABELS, CAMERA_MODES, CAMERA_SETTINGS, CameraRig } from './camera.js';
+import { PHOTO_COLORS, PHOTO_SCALES, PhotoMode, photoFilename } from './photo.js';
+import { CONTACT_TIME, Sonar } from './sonar.js';
+import { AUDIO_BUSES, FlightAudio } from './audio.js';
 
 // Scene setup
 const scene = new THREE.Scene();
@@ -19,34 +45,89 @@ renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 document.body.appendChild(renderer.domElement);
 
-// Create terrain
-const terrain = createTerrain(scene);
-terrain.material.uniforms.highlight.value = 1.0;
+// Create terrain (?seed=... reproduces a shared world, ?biomes=hills,mesas picks
+// the generator presets, ?particles=... sets the budget)
+const urlParams = new URLSearchParams(window.location.search);
+const particleBudget = Number(urlParams.get('particles')) || undefined;
+const biomes = (urlParams.get('biomes') || '').split(',').filter((name) => listBiomes().includes(name));
+const terrain = createTerrain(scene, {
+  seed: urlParams.get('seed'),
+  biomes: biomes.length > 0 ? biomes : undefined,
+  particleBudget
+});
+terrain.userData.uniforms.highlight.value = 1.0;
+
+// See out to the outermost terrain ring
+camera.far = terrain.userData.viewDistance * 1.1;
+camera.updateProjectionMatrix();
+
+// Persisted settings and key bindings
+const settings = loadSettings();
+const inputMap = new InputMap(settings.bindings);
 
-// Create airplane
-const airplane = createAirplane();
+// Create airplane; the physics body steps at a fixed rate and the visible model
+// is interpolated between steps
+AIRCRAFT_PROFILES.forEach(validateAircraftProfile);
+let aircraft = getAircraftProfile(settings.aircraft);
+let airplane = createAircraftModel(aircraft);
 scene.add(airplane);
+const body = new THREE.Object3D();
 
 // Flight controller
-const controller = new FlightController(airplane, camera);
+const controller = new FlightController(body, aircraft);
+const defaultCamera = exportTuning(controller).camera; // Before saved camera settings apply
+controller.display = airplane;
+const timestep = new FixedTimestep();
+controller.setGround(new GroundCollision(getTerrainHeight));
+const atmosphere = new Atmosphere(getTerrainHeight, settings.weather ?? {}, getTerrainSeed());
+controller.setAtmosphere(atmosphere);
+const autopilot = new Autopilot(controller, getTerrainHeight);
+const gpws = new GroundProximityWarning(getTerrainHeight, settings.gpws ?? {});
+const audio = new FlightAudio(settings.audio ?? {});
+const sonar = new Sonar(getTerrainHeight, terrain.userData.uniforms, settings.sonar ?? {});
+const gpwsCallouts = new GpwsCallouts(audio);
+const cameraRig = new CameraRig(camera, controller, settings.camera ?? {}, getTerrainHeight);
+const effects = new ParticleEffects(scene, { fog: terrain.userData.uniforms });
+const exhaust = effects.emitter('exhaust', airplane);
+const vaporTrails = [effects.emitter('vapor', airplane), effects.emitter('vapor', airplane)];
+const trails = new FlightTrails(scene, settings.trails ?? {}, terrain.userData.uniforms);
+const photo = new PhotoMode(cameraRig, terrain.userData.uniforms);
+attachEffects();
+const gpwsVelocity = new THREE.Vector3();
+controller.respawn();
+controller.interpolate(1);
 window.__flightController = controller;
 window.__flightTelemetry = controller.telemetry;
 
+controller.setInvertY(settings.invertY);
+controller.mouseSensitivity = settings.mouseSensitivity;
+controller.inputExpo = settings.stickExpo;
+
 // State
 let isStarted = false;
 let groundHighlight = true;
-let cameraMode = 0;
 let lastAltitude = 0;
 let verticalSpeed = 0;
+const debugInput = {}; // Reused by the debug HUD INP line
 let settingsOpen = false;
+let tuningOpen = false;
 let debugOpen = false;
+let crashShown = false;
+let rebindingAction = null;
+const heldActions = new Set();
 
 // Settings UI
 const settingsPanel = document.getElementById('settings-panel');
 const invertYToggle = document.getElementById('invert-y-toggle');
+const mouseSensitivityInput = document.getElementById('mouse-sensitivity');
+const bindingsList = document.getElementById('bindings-list');
+const bindingsMessage = document.getElementById('bindings-message');
+const resetBindings = document.getElementById('reset-bindings');
 const debugHud = document.getElementById('debug-hud');
 const debugOutput = document.getElementById('debug-output');
 const debugToggle = document.getElementById('debug-hud-toggle');
+const seedValue = document.getElementById('seed-value');
+const copySeedLink = document.getElementById('copy-seed-link');
 
 function setSettingsOpen(open) {
   settingsOpen = open;
@@ -56,10 +137,11 @@ function setSettingsOpen(open) {
   }
 
   if (open) {
+    renderCameraSettings();
     if (document.pointerLockElement) {
       document.exitPointerLock();
     }
-  } else if (isStarted) {
+  } else if (isStarted && !tuningOpen) {
     renderer.domElement.requestPointerLock();
   }
 }
@@ -72,20 +154,304 @@ function setDebugOpen(open) {
   }
 }
 
+function persistSettings() {
+  saveSettings({
+    bindings: inputMap.toJSON(),
+    invertY: controller.invertY,
+    mouseSensitivity: controller.mouseSensitivity,
+    debugHud: debugOpen,
+    gamepadDeadzone: gamepad.deadzone,
+    stickExpo: controller.inputExpo,
+    aircraft: aircraft.id,
+    weather: { ...atmosphere.weather },
+    gpws: { ...gpws.options },
+    audio: { ...audio.options },
+    sonar: { ...sonar.options },
+    trails: { ...trails.options },
+    camera: cameraRig.toJSON(),
+    graphChannels: telemetryGraph ? telemetryGraph.channels : settings.graphChannels,
+    graphWindow: telemetryGraph ? telemetryGraph.window : settings.graphWindow
+  });
+}
+
+// Bind an input to one option: it starts at the current value, and each change goes through
+// apply({ [key]: value }) and is saved. Checkboxes apply on change, sliders as they move
+function bindSetting(input, values, key, read, apply) {
+  if (!input) return;
+  const property = input.type === 'checkbox' ? 'checked' : 'value';
+  input[property] = values[key];
+  input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+    apply({ [key]: read(input[property]) });
+    persistSettings();
+  });
+}
+
 if (invertYToggle) {
   invertYToggle.checked = controller.invertY;
   invertYToggle.addEventListener('change', () => {
     controller.setInvertY(invertYToggle.checked);
+    persistSettings();
   });
 }
 
+if (mouseSensitivityInput) {
+  mouseSensitivityInput.value = controller.mouseSensitivity;
+  mouseSensitivityInput.addEventListener('input', () => {
+    controller.mouseSensitivity = Number(mouseSensitivityInput.value);
+    persistSettings();
+  });
+}
+
+setDebugOpen(settings.debugHud);
+
 if (debugToggle) {
   debugToggle.checked = debugOpen;
   debugToggle.addEventListener('change', () => {
     setDebugOpen(debugToggle.checked);
+    persistSettings();
+  });
+}
+
+// Telemetry strip charts in the debug HUD
+const telemetryHistory = new TelemetryHistory();
+const telemetryCanvas = document.getElementById('telemetry-graph');
+const telemetryGraph = telemetryCanvas ? new TelemetryGraph(telemetryCanvas, telemetryHistory) : null;
+const telemetryChannels = document.getElementById('telemetry-channels');
+const telemetryWindow = document.getElementById('telemetry-window');
+const telemetryFreeze = document.getElementById('telemetry-freeze');
+const telemetryExport = document.getElementById('telemetry-export');
+
+if (telemetryGraph) {
+  const known = TELEMETRY_CHANNELS.map((channel) => channel.id);
+  if (Array.isArray(settings.graphChannels)) {
+    telemetryGraph.channels = settings.graphChannels.filter((id) => known.includes(id));
+  }
+  if (GRAPH_WINDOWS.includes(settings.graphWindow)) telemetryGraph.window = settings.graphWindow;
+}
+
+function setGraphsFrozen(frozen) {
+  telemetryHistory.paused = frozen;
+  if (telemetryFreeze) {
+    telemetryFreeze.textContent = frozen ? 'Resume' : 'Freeze';
+    telemetryFreeze.classList.toggle('active', frozen);
+  }
+}
+
+if (telemetryGraph && telemetryChannels) {
+  for (const channel of TELEMETRY_CHANNELS) {
+    const toggle = document.createElement('label');
+    toggle.className = 'telemetry-channel';
+    toggle.style.color = channel.color;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = telemetryGraph.channels.includes(channel.id);
+    checkbox.addEventListener('change', () => {
+      telemetryGraph.channels = TELEMETRY_CHANNELS
+        .map((entry) => entry.id)
+        .filter((id) => id === channel.id ? checkbox.checked : telemetryGraph.channels.includes(id));
+      persistSettings();
+    });
+
+    toggle.appendChild(checkbox);
+    toggle.appendChild(document.createTextNode(channel.label));
+    telemetryChannels.appendChild(toggle);
+  }
+}
+
+if (telemetryGraph && telemetryWindow) {
+  for (const seconds of GRAPH_WINDOWS) {
+    const option = document.createElement('option');
+    option.value = seconds;
+    option.textContent = `${seconds}s`;
+    telemetryWindow.appendChild(option);
+  }
+  telemetryWindow.value = telemetryGraph.window;
+  telemetryWindow.addEventListener('change', () => {
+    telemetryGraph.window = Number(telemetryWindow.value);
+    persistSettings();
+  });
+}
+
+if (telemetryFreeze) {
+  telemetryFreeze.addEventListener('click', () => setGraphsFrozen(!telemetryHistory.paused));
+}
+
+if (telemetryExport) {
+  telemetryExport.addEventListener('click', () => {
+    downloadFile(`telemetry-${Date.now()}.csv`, telemetryHistory.toCSV(), 'text/csv');
   });
 }
 
+// Key binding rows and every on-screen key hint
+function renderBindings() {
+  document.querySelectorAll('kbd[data-action]').forEach((kbd) => {
+    kbd.textContent = inputMap.actionLabel(kbd.dataset.action);
+  });
+
+  if (!bindingsList) return;
+  bindingsList.innerHTML = '';
+
+  for (const { id, label } of ACTIONS) {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    row.appendChild(name);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'settings-button binding-button';
+    button.classList.toggle('listening', rebindingAction === id);
+    button.textContent = rebindingAction === id ? 'Press key' : inputMap.actionLabel(id);
+    button.addEventListener('click', () => {
+      rebindingAction = rebindingAction === id ? null : id;
+      if (bindingsMessage) bindingsMessage.textContent = '';
+      renderBindings();
+    });
+    row.appendChild(button);
+
+    bindingsList.appendChild(row);
+  }
+}
+
+function finishRebind(code) {
+  const action = rebindingAction;
+  rebindingAction = null;
+
+  if (code !== 'Escape') {
+    const swapped = inputMap.bind(action, code);
+    if (bindingsMessage) {
+      const swappedLabel = swapped && ACTIONS.find((entry) => entry.id === swapped).label;
+      bindingsMessage.textContent = swapped ? `Swapped with ${swappedLabel}` : '';
+    }
+    persistSettings();
+  }
+
+  renderBindings();
+}
+
+if (resetBindings) {
+  resetBindings.addEventListener('click', () => {
+    inputMap.reset();
+    rebindingAction = null;
+    if (bindingsMessage) bindingsMessage.textContent = 'Defaults restored';
+    persistSettings();
+    renderBindings();
+  });
+}
+
+renderBindings();
+inputMap.loadLayout().then(renderBindings);
+if (inputMap.conflicted && bindingsMessage) bindingsMessage.textContent = 'Saved keys clashed; defaults restored';
+
+if (seedValue) {
+  seedValue.textContent = getTerrainSeed();
+}
+
+function getWorldLink() {
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', getTerrainSeed());
+  return url.toString();
+}
+
+if (copySeedLink) {
+  copySeedLink.addEventListener('click', () => {
+    const link = getWorldLink();
+    const done = () => {
+      copySeedLink.textContent = 'Link copied';
+      setTimeout(() => { copySeedLink.textContent = 'Copy world link'; }, 1500);
+    };
+
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).then(done, () => window.prompt('World link', link));
+    } else {
+      window.prompt('World link', link);
+    }
+  });
+}
+
+// Sonar contacts: tags over the points of interest each wavefront reached
+const sonarContacts = document.getElementById('sonar-contacts');
+const contactMarkers = [];
+const contactPoint = new THREE.Vector3();
+
+function updateSonarContacts() {
+  if (!sonarContacts) return;
+  const contacts = sonar.contacts;
+  while (contactMarkers.length < contacts.length) {
+    const marker = document.createElement('div');
+    sonarContacts.appendChild(marker);
+    contactMarkers.push(marker);
+  }
+
+  for (let i = 0; i < contactMarkers.length; i++) {
+    const marker = contactMarkers[i];
+    const contact = contacts[i];
+    // Spare markers and contacts behind the camera stay hidden
+    if (contact) contactPoint.copy(contact.position).project(camera);
+    if (!contact || contactPoint.z > 1) {
+      marker.style.display = 'none';
+      continue;
+    }
+    marker.className = `sonar-contact ${contact.type}`;
+    marker.textContent = contact.label;
+    marker.style.display = '';
+    marker.style.opacity = 1 - contact.age / CONTACT_TIME;
+    marker.style.left = `${(contactPoint.x + 1) * 50}%`;
+    marker.style.top = `${(1 - contactPoint.y) * 50}%`;
+  }
+}
+
+// Particle effects and trails: afterburner exhaust from the tail, vapor and ribbons off the
+// wingtips under high G, and the optional flight-path ribbon
+function attachEffects() {
+  const { tail, wingtips } = airplane.userData.anchors;
+  exhaust.attach(airplane, tail);
+  vaporTrails.forEach((emitter, i) => emitter.attach(airplane, wingtips[i]));
+  trails.attach(wingtips);
+}
+
+function updateEffects(delta) {
+  const flying = !controller.crashed;
+  exhaust.intensity = flying && controller.afterburnerActive ? 1 : 0;
+  // Replays don't record the load factor
+  const vapor = flying && !replay ? vaporIntensity(controller.gForceSmoothed) : 0;
+  for (const emitter of vaporTrails) emitter.intensity = vapor;
+
+  effects.paused = replay !== null && !replay.playing;
+  const speed = replay ? replay.speed : 1;
+  effects.update(delta * speed, camera, window.innerHeight * renderer.getPixelRatio());
+
+  const t = controller.telemetry;
+  trails.paused = effects.paused;
+  trails.update(delta * speed, airplane, replay ? 0 : wingtipStrength(t.gForce, t.aoa), flying);
+}
+
+// Crash overlay
+const crashOverlay = document.getElementById('crash-overlay');
+const crashDetail = document.getElementById('crash-detail');
+const crashCountdown = document.getElementById('crash-countdown');
+
+function updateCrashOverlay() {
+  if (controller.crashed && !crashShown) {
+    crashShown = true;
+    const impact = controller.lastImpact;
+    effects.burst('crash', impact.point);
+    crashDetail.textContent = `IMPACT ${Math.round(impact.impactSpeed)} M/S  ${Math.round(toDeg(impact.impactAngle))}°`;
+    crashOverlay.classList.remove('hidden');
+  } else if (!controller.crashed && crashShown) {
+    crashShown = false;
+    crashOverlay.classList.add('hidden');
+  }
+
+  if (crashShown) {
+    const remaining = Math.max(0, controller.respawnDelay - controller.crashTime);
+    crashCountdown.textContent = `RESPAWN IN ${Math.ceil(remaining)}`;
+  }
+}
+
 // HUD Elements
 const speedValue = document.getElementById('speed-value');
 const altValue = document.getElementById('alt-value');
@@ -99,6 +465,13 @@ const gForceEl = document.getElementById('g-force');
 const throttleFill = document.getElementById('throttle-fill');
 const afterburnerFill = document.getElementById('afterburner-fill');
 const verticalSpeedEl = document.getElementById('vertical-speed');
+const windValue = document.getElementById('wind-value');
+const windArrow = document.getElementById('wind-arrow');
+const autopilotHud = document.getElementById('autopilot-hud');
+const autopilotStatus = document.getElementById('ap-status');
+const radarAltitude = document.getElementById('radar-altitude');
+const radarAltitudeValue = document.getElementById('radar-alt-value');
+const gpwsWarning = document.getElementById('gpws-warning');
 
 // Initialize HUD components
 function initHUD() {
@@ -180,6 +553,646 @@ function generatePitchLadder() {
   // Keep only the horizon line, pitch marks are updated dynamically
 }
 
+// Flight recorder and replay
+const liveWorld = { seed: getTerrainSeed(), biomes: getTerrainBiomes() };
+const recorder = new FlightRecorder(recordingHeader());
+const livePose = {
+  position: new THREE.Vector3(),
+  quaternion: new THREE.Quaternion(),
+  velocity: new THREE.Vector3()
+};
+let replay = null;
+
+const replayBar = document.getElementById('replay-bar');
+const replayPlay = document.getElementById('replay-play');
+const replayScrub = document.getElementById('replay-scrub');
+const replayTime = document.getElementById('replay-time');
+const replaySpeed = document.getElementById('replay-speed');
+const replayExit = document.getElementById('replay-exit');
+const replayStart = document.getElementById('replay-start');
+const recordingExport = document.getElementById('recording-export');
+const recordingImport = document.getElementById('recording-import');
+const recordingFile = document.getElementById('recording-file');
+const recorderMessage = document.getElementById('recorder-message');
+
+function recordingHeader() {
+  return { seed: liveWorld.seed, biomes: liveWorld.biomes, aircraft: aircraft.id };
+}
+
+function isSameWorld(recording) {
+  return recording.seed === getTerrainSeed() &&
+    (!recording.biomes || recording.biomes.join() === getTerrainBiomes().join());
+}
+
+function startReplay(recording) {
+  if (recording.frameCount < 2) {
+    if (recorderMessage) recorderMessage.textContent = 'Nothing recorded yet';
+    return;
+  }
+
+  if (!replay) {
+    livePose.position.copy(body.position);
+    livePose.quaternion.copy(body.quaternion);
+    controller.getVelocity(livePose.velocity);
+  }
+
+  // Replays are only meaningful over the terrain they were flown on
+  if (!isSameWorld(recording)) {
+    rebuildTerrain(terrain, { seed: recording.seed, biomes: recording.biomes, center: airplane.position });
+    sonar.clear();
+  }
+
+  effects.clear();
+  trails.clear();
+  replay = new FlightReplay(recording, controller);
+  cameraRig.snap();
+  replay.speed = Number(replaySpeed ? replaySpeed.value : 1) || 1;
+  if (replayBar) replayBar.classList.remove('hidden');
+  if (document.pointerLockElement) document.exitPointerLock();
+}
+
+function stopReplay() {
+  if (!replay) return;
+  replay.stop();
+  replay = null;
+  applyHeldActions();
+  effects.clear();
+  trails.clear();
+
+  if (getTerrainSeed() !== liveWorld.seed || getTerrainBiomes().join() !== liveWorld.biomes.join()) {
+    rebuildTerrain(terrain, { seed: liveWorld.seed, biomes: liveWorld.biomes, center: livePose.position });
+    sonar.clear();
+  }
+
+  controller.setPose(livePose.position, livePose.quaternion, livePose.velocity);
+  cameraRig.snap();
+  body.visible = !controller.crashed;
+  timestep.reset();
+  if (replayBar) replayBar.classList.add('hidden');
+  if (isStarted && !settingsOpen && !tuningOpen) renderer.domElement.requestPointerLock();
+}
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function updateReplayBar() {
+  if (!replay) return;
+  if (replayScrub && document.activeElement !== replayScrub) {
+    replayScrub.value = replay.duration > 0 ? replay.time / replay.duration : 0;
+  }
+  if (replayTime) replayTime.textContent = `${formatTime(replay.time)} / ${formatTime(replay.duration)}`;
+  if (replayPlay) replayPlay.textContent = replay.playing ? 'Pause' : 'Play';
+}
+
+function downloadJSON(filename, data) {
+  downloadFile(filename, JSON.stringify(data), 'application/json');
+}
+
+function downloadFile(filename, text, type) {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+if (replayPlay) {
+  replayPlay.addEventListener('click', () => {
+    if (!replay) return;
+    if (!replay.playing && replay.time >= replay.duration) {
+      replay.seek(0);
+      cameraRig.snap();
+    }
+    replay.playing = !replay.playing;
+  });
+}
+
+if (replayScrub) {
+  replayScrub.addEventListener('input', () => {
+    if (!replay) return;
+    replay.seek(Number(replayScrub.value) * replay.duration);
+    cameraRig.snap();
+  });
+}
+
+if (replaySpeed) {
+  replaySpeed.addEventListener('change', () => {
+    if (replay) replay.speed = Number(replaySpeed.value);
+  });
+}
+
+if (replayExit) {
+  replayExit.addEventListener('click', stopReplay);
+}
+
+if (replayStart) {
+  replayStart.addEventListener('click', () => {
+    if (isStarted) startReplay(recorder.recording);
+  });
+}
+
+if (recordingExport) {
+  recordingExport.addEventListener('click', () => {
+    const recording = replay ? replay.recording : recorder.recording;
+    if (recording.frameCount === 0) {
+      if (recorderMessage) recorderMessage.textContent = 'Nothing recorded yet';
+      return;
+    }
+    downloadJSON(`flight-${recording.seed}-${Date.now()}.json`, recording.toJSON());
+  });
+}
+
+if (recordingImport && recordingFile) {
+  recordingImport.addEventListener('click', () => recordingFile.click());
+  recordingFile.addEventListener('change', async () => {
+    const file = recordingFile.files[0];
+    recordingFile.value = '';
+    if (!file) return;
+
+    try {
+      const recording = FlightRecording.fromJSON(JSON.parse(await file.text()));
+      if (recorderMessage) recorderMessage.textContent = `Loaded ${formatTime(recording.duration)} (seed ${recording.seed})`;
+      if (isStarted) startReplay(recording);
+    } catch (error) {
+      if (recorderMessage) recorderMessage.textContent = error.message;
+    }
+  });
+}
+
+// Ghost racing
+const ghostRace = new GhostRace(scene);
+const ghostLoad = document.getElementById('ghost-load');
+const ghostFile = document.getElementById('ghost-file');
+const ghostRaceButton = document.getElementById('ghost-race');
+const ghostClear = document.getElementById('ghost-clear');
+const ghostRow = document.getElementById('ghost-row');
+const ghostDelta = document.getElementById('ghost-delta');
+
+// Move the live flight onto another world; the recorder starts over with the new header
+function switchWorld(seed, worldBiomes) {
+  rebuildTerrain(terrain, { seed, biomes: worldBiomes, center: airplane.position });
+  sonar.clear();
+  trails.clear();
+  liveWorld.seed = getTerrainSeed();
+  liveWorld.biomes = getTerrainBiomes();
+  atmosphere.setTerrain(getTerrainHeight, liveWorld.seed);
+  recorder.reset(recordingHeader());
+  if (seedValue) seedValue.textContent = liveWorld.seed;
+}
+
+function startRace(recordings) {
+  if (replay) stopReplay();
+  ghostRace.clear();
+
+  const lead = recordings[0];
+  if (!isSameWorld(lead)) switchWorld(lead.seed, lead.biomes);
+
+  // Ghosts flown over a different world than the lead would fly through terrain
+  const added = recordings.filter((recording) => isSameWorld(recording) && ghostRace.add(recording));
+  ghostRace.start(controller);
+  recorder.reset(recordingHeader());
+  if (ghostRow) ghostRow.classList.toggle('hidden', !ghostRace.active);
+  return added.length;
+}
+
+// Restart the ghost race and/or time trial; the course start pose wins when both run
+function restartRace() {
+  if (!ghostRace.active && !timeTrial.active) return;
+  if (replay) stopReplay();
+  autopilot.disengage();
+  ghostRace.start(controller);
+  if (timeTrial.active) startTimeTrial();
+  cameraRig.snap();
+  recorder.reset(recordingHeader());
+}
+
+function updateGhostDelta() {
+  if (!ghostDelta || !ghostRace.active) return;
+  const delta = ghostRace.delta;
+  ghostDelta.classList.remove('ahead', 'danger');
+  if (delta === null) {
+    ghostDelta.textContent = '--';
+    return;
+  }
+  ghostDelta.textContent = `${delta > 0 ? '+' : ''}${delta.toFixed(1)}s`;
+  ghostDelta.classList.add(delta > 0 ? 'danger' : 'ahead');
+}
+
+if (ghostLoad && ghostFile) {
+  ghostLoad.addEventListener('click', () => ghostFile.click());
+  ghostFile.addEventListener('change', async () => {
+    const files = Array.from(ghostFile.files);
+    ghostFile.value = '';
+    if (files.length === 0) return;
+
+    try {
+      const recordings = [];
+      for (const file of files) {
+        recordings.push(FlightRecording.fromJSON(JSON.parse(await file.text())));
+      }
+      const count = startRace(recordings);
+      if (recorderMessage) {
+        const skipped = recordings.length - count;
+        recorderMessage.textContent = `Racing ${count} ghost${count === 1 ? '' : 's'}` +
+          (skipped > 0 ? ` (${skipped} from another world skipped)` : '');
+      }
+    } catch (error) {
+      if (recorderMessage) recorderMessage.textContent = error.message;
+    }
+  });
+}
+
+if (ghostRaceButton) {
+  ghostRaceButton.addEventListener('click', () => {
+    const recording = replay ? replay.recording : recorder.recording;
+    if (recording.frameCount < 2) {
+      if (recorderMessage) recorderMessage.textContent = 'Nothing recorded yet';
+      return;
+    }
+    startRace([recording]);
+    if (recorderMessage) recorderMessage.textContent = `Racing ${formatTime(recording.duration)} ghost`;
+  });
+}
+
+if (ghostClear) {
+  ghostClear.addEventListener('click', () => {
+    ghostRace.clear();
+    if (ghostRow) ghostRow.classList.add('hidden');
+    if (recorderMessage) recorderMessage.textContent = 'Ghosts cleared';
+  });
+}
+
+// Time trial
+const timeTrial = new TimeTrial(scene);
+const bestTimes = loadBestTimes();
+const trialFrom = new THREE.Vector3();
+let resultsShown = false;
+
+const courseHud = document.getElementById('course-hud');
+const courseLap = document.getElementById('course-lap');
+const courseGate = document.getElementById('course-gate');
+const courseTime = document.getElementById('course-time');
+const courseSplit = document.getElementById('course-split');
+const courseResults = document.getElementById('course-results');
+const courseResultsName = document.getElementById('course-results-name');
+const courseResultsTable = document.getElementById('course-results-table');
+const courseResultsBest = document.getElementById('course-results-best');
+const courseRetry = document.getElementById('course-retry');
+const courseClose = document.getElementById('course-close');
+const courseGenerate = document.getElementById('course-generate');
+const courseLoad = document.getElementById('course-load');
+const courseExport = document.getElementById('course-export');
+const courseExit = document.getElementById('course-exit');
+const courseFile = document.getElementById('course-file');
+const courseMessage = document.getElementById('course-message');
+
+function loadCourse(course) {
+  if (replay) stopReplay();
+  if (course.seed !== null && (course.seed !== getTerrainSeed() ||
+    (course.biomes && course.biomes.join() !== getTerrainBiomes().join()))) {
+    switchWorld(course.seed, course.biomes);
+  }
+
+  timeTrial.load(course, getTerrainHeight);
+  timeTrial.bestTimes = bestTimes[courseId(course)] ?? null;
+  startTimeTrial();
+  recorder.reset(recordingHeader());
+  if (courseHud) courseHud.classList.remove('hidden');
+}
+
+function startTimeTrial() {
+  timeTrial.start(controller);
+  resultsShown = false;
+  if (courseResults) courseResults.classList.add('hidden');
+}
+
+function endTimeTrial() {
+  timeTrial.unload();
+  resultsShown = false;
+  if (courseHud) courseHud.classList.add('hidden');
+  if (courseResults) courseResults.classList.add('hidden');
+}
+
+function updateCourseHud() {
+  if (!timeTrial.active || !courseHud) return;
+  const { course } = timeTrial;
+  courseLap.textContent = `${Math.min(timeTrial.lap, course.laps)}/${course.laps}`;
+  courseGate.textContent = `${timeTrial.gateNumber}/${course.gates.length}`;
+  courseTime.textContent = formatTime(timeTrial.total);
+
+  const delta = timeTrial.splitDelta;
+  courseSplit.classList.remove('ahead', 'danger');
+  if (delta === null) {
+    courseSplit.textContent = timeTrial.missed > 0 ? `${timeTrial.missed} missed` : '--';
+  } else {
+    courseSplit.textContent = `${delta > 0 ? '+' : ''}${delta.toFixed(2)}s`;
+    courseSplit.classList.add(delta > 0 ? 'danger' : 'ahead');
+  }
+
+  if (timeTrial.state === 'finished' && !resultsShown) {
+    resultsShown = true;
+    showCourseResults();
+  }
+}
+
+function showCourseResults() {
+  const results = timeTrial.results();
+  const id = courseId(timeTrial.course);
+  const previous = bestTimes[id];
+  const newBest = !previous || results.total < previous.total;
+  const newBestLap = !previous || results.bestLap < previous.lap;
+
+  if (newBest || newBestLap) {
+    bestTimes[id] = {
+      name: timeTrial.course.name,
+      total: newBest ? results.total : previous.total,
+      lap: newBestLap ? results.bestLap : previous.lap,
+      splits: newBestLap ? results.bestLapSplits : previous.splits
+    };
+    saveBestTimes(bestTimes);
+    timeTrial.bestTimes = bestTimes[id];
+  }
+
+  const lines = results.laps.map((time, index) => `LAP ${index + 1}   ${formatTime(time)}`);
+  if (results.missed > 0) {
+    lines.push(`MISSED ${results.missed}  +${formatTime(results.penalty)} (${MISSED_GATE_PENALTY}s each)`);
+  }
+  lines.push(`TOTAL   ${formatTime(results.total)}`);
+
+  if (courseResultsName) courseResultsName.textContent = timeTrial.course.name;
+  if (courseResultsTable) courseResultsTable.textContent = lines.join('\n');
+  if (courseResultsBest) {
+    const best = bestTimes[id];
+    courseResultsBest.textContent = newBest
+      ? 'NEW BEST'
+      : `BEST ${formatTime(best.total)}  LAP ${formatTime(best.lap)}`;
+  }
+  if (courseResults) courseResults.classList.remove('hidden');
+  if (document.pointerLockElement) document.exitPointerLock();
+}
+
+if (courseGenerate) {
+  courseGenerate.addEventListener('click', () => {
+    const course = generateCourse(liveWorld.seed, getTerrainHeight, { biomes: liveWorld.biomes });
+    loadCourse(course);
+    if (courseMessage) courseMessage.textContent = `${course.name}: ${course.gates.length} gates, ${course.laps} laps`;
+  });
+}
+
+if (courseLoad && courseFile) {
+  courseLoad.addEventListener('click', () => courseFile.click());
+  courseFile.addEventListener('change', async () => {
+    const file = courseFile.files[0];
+    courseFile.value = '';
+    if (!file) return;
+
+    try {
+      const course = parseCourse(JSON.parse(await file.text()));
+      loadCourse(course);
+      if (courseMessage) courseMessage.textContent = `${course.name}: ${course.gates.length} gates`;
+    } catch (error) {
+      if (courseMessage) courseMessage.textContent = error.message;
+    }
+  });
+}
+
+if (courseExport) {
+  courseExport.addEventListener('click', () => {
+    const course = timeTrial.active
+      ? timeTrial.course
+      : generateCourse(liveWorld.seed, getTerrainHeight, { biomes: liveWorld.biomes });
+    downloadJSON(`course-${course.name.replace(/\W+/g, '-').toLowerCase()}.json`, course);
+  });
+}
+
+if (courseExit) {
+  courseExit.addEventListener('click', () => {
+    endTimeTrial();
+    if (courseMessage) courseMessage.textContent = 'Free flight';
+  });
+}
+
+if (courseRetry) {
+  courseRetry.addEventListener('click', restartRace);
+}
+
+if (courseClose) {
+  courseClose.addEventListener('click', endTimeTrial);
+}
+
+// Flight-model tuning panel: every parameter applies live to the controller
+const tuningPanel = document.getElementById('tuning-panel');
+const tuningGroups = document.getElementById('tuning-groups');
+const tuningAircraft = document.getElementById('tuning-aircraft');
+const tuningExport = document.getElementById('tuning-export');
+const tuningImport = document.getElementById('tuning-import');
+const tuningReset = document.getElementById('tuning-reset');
+const tuningFile = document.getElementById('tuning-file');
+const tuningMessage = document.getElementById('tuning-message');
+const tuningInputs = new Map();
+
+function setTuningOpen(open) {
+  tuningOpen = open;
+  if (tuningPanel) {
+    tuningPanel.classList.toggle('hidden', !open);
+    tuningPanel.setAttribute('aria-hidden', open ? 'false' : 'true');
+  }
+
+  if (open) {
+    syncTuning();
+    if (document.pointerLockElement) document.exitPointerLock();
+  } else if (isStarted && !settingsOpen) {
+    renderer.domElement.requestPointerLock();
+  }
+}
+
+function formatParameter(value, step) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+  return Number(value.toFixed(decimals + 1)).toString();
+}
+
+function renderTuning() {
+  if (!tuningGroups) return;
+  tuningGroups.innerHTML = '';
+  tuningInputs.clear();
+
+  for (const group of TUNING_GROUPS) {
+    const title = document.createElement('div');
+    title.className = 'tuning-group-title';
+    title.textContent = group.label;
+    tuningGroups.appendChild(title);
+
+    for (const param of group.params) {
+      const row = document.createElement('label');
+      row.className = 'tuning-row';
+
+      const name = document.createElement('span');
+      name.textContent = param.label;
+      row.appendChild(name);
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = param.min;
+      slider.max = param.max;
+      slider.step = param.step;
+
+      // The number field accepts values past the slider range
+      const field = document.createElement('input');
+      field.type = 'number';
+      field.className = 'tuning-number';
+      field.step = param.step;
+
+      slider.addEventListener('input', () => {
+        writeParameter(controller, param.key, Number(slider.value));
+        field.value = formatParameter(Number(slider.value), param.step);
+      });
+      field.addEventListener('change', () => {
+        const value = Number(field.value);
+        if (field.value === '' || !Number.isFinite(value)) {
+          field.value = formatParameter(readParameter(controller, param.key), param.step);
+          return;
+        }
+        writeParameter(controller, param.key, value);
+        slider.value = value;
+      });
+
+      row.appendChild(slider);
+      row.appendChild(field);
+      tuningGroups.appendChild(row);
+      tuningInputs.set(param.key, { param, slider, field });
+    }
+  }
+}
+
+function syncTuning() {
+  if (tuningAircraft) tuningAircraft.textContent = aircraft.name;
+  for (const { param, slider, field } of tuningInputs.values()) {
+    const value = readParameter(controller, param.key);
+    slider.value = value;
+    field.value = formatParameter(value, param.step);
+  }
+}
+
+renderTuning();
+
+const tuningOpenButton = document.getElementById('tuning-open');
+if (tuningOpenButton) {
+  tuningOpenButton.addEventListener('click', () => setTuningOpen(!tuningOpen));
+}
+
+if (tuningExport) {
+  tuningExport.addEventListener('click', () => {
+    downloadJSON(`tuning-${aircraft.id}-${Date.now()}.json`, exportTuning(controller));
+    if (tuningMessage) tuningMessage.textContent = '';
+  });
+}
+
+if (tuningImport && tuningFile) {
+  tuningImport.addEventListener('click', () => tuningFile.click());
+  tuningFile.addEventListener('change', async () => {
+    const file = tuningFile.files[0];
+    tuningFile.value = '';
+    if (!file) return;
+
+    try {
+      const tuning = parseTuning(JSON.parse(await file.text()), aircraft);
+      applyTuning(controller, tuning);
+      syncTuning();
+      if (tuningMessage) {
+        tuningMessage.textContent = tuning.aircraft && tuning.aircraft !== aircraft.id
+          ? `Applied (tuned from ${tuning.aircraft})`
+          : 'Applied';
+      }
+    } catch (error) {
+      if (tuningMessage) tuningMessage.textContent = error.message;
+    }
+  });
+}
+
+if (tuningReset) {
+  tuningReset.addEventListener('click', () => {
+    applyTuning(controller, { handling: aircraft.handling, camera: defaultCamera });
+    syncTuning();
+    renderCameraSettings();
+    persistSettings();
+    if (tuningMessage) tuningMessage.textContent = `${aircraft.name} defaults restored`;
+  });
+}
+
+// Aircraft selection (start screen)
+const aircraftSelect = document.getElementById('aircraft-select');
+
+function renderAircraftSelect() {
+  if (!aircraftSelect) return;
+  aircraftSelect.innerHTML = '';
+
+  for (const profile of AIRCRAFT_PROFILES) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'aircraft-option';
+    button.classList.toggle('selected', profile === aircraft);
+    button.setAttribute('role', 'radio');
+    button.setAttribute('aria-checked', profile === aircraft ? 'true' : 'false');
+    button.style.setProperty('--aircraft-color', `#${profile.colors.color.toString(16).padStart(6, '0')}`);
+
+    const name = document.createElement('span');
+    name.className = 'aircraft-name';
+    name.textContent = profile.name;
+    button.appendChild(name);
+
+    const description = document.createElement('span');
+    description.className = 'aircraft-description';
+    description.textContent = profile.description;
+    button.appendChild(description);
+
+    button.addEventListener('click', () => selectAircraft(profile.id));
+    aircraftSelect.appendChild(button);
+  }
+}
+
+// Swap the airframe: new display model and handling, respawned at its trim
+function selectAircraft(id) {
+  const profile = getAircraftProfile(id);
+  if (profile === aircraft) return;
+  aircraft = profile;
+
+  scene.remove(airplane);
+  airplane.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  });
+  airplane = createAircraftModel(profile);
+  scene.add(airplane);
+
+  controller.display = airplane;
+  attachEffects();
+  controller.applyProfile(profile);
+  controller.throttleSetting = profile.handling.trimThrottle;
+  autopilot.disengage();
+  respawn();
+  controller.interpolate(1);
+  recorder.reset(recordingHeader());
+
+  renderAircraftSelect();
+  syncTuning();
+  persistSettings();
+}
+
+function cycleAircraft(direction) {
+  const count = AIRCRAFT_PROFILES.length;
+  const index = AIRCRAFT_PROFILES.indexOf(aircraft);
+  selectAircraft(AIRCRAFT_PROFILES[(index + direction + count) % count].id);
+}
+
+renderAircraftSelect();
+
 // Start game
 function startGame() {
   if (isStarted) return;
@@ -189,72 +1202,525 @@ function startGame() {
   document.getElementById('hud').classList.remove('hidden');
   document.getElementById('controls').classList.remove('hidden');
 
+  audio.resume();
   renderer.domElement.requestPointerLock();
 }
 
-// Input handling
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' && !isStarted) {
-    startGame();
+// Respawn by hand; the camera cuts to the new position instead of swooping
+function respawn() {
+  controller.respawn();
+  cameraRig.snap();
+}
+
+// Actions shared by keyboard and gamepad
+function handleAction(action) {
+  if (photo.active) {
+    if (action === 'togglePhoto') setPhotoMode(false);
+    return;
+  }
+
+  if (action === 'start') {
+    if (!isStarted) startGame();
+    else if (controller.crashed) respawn();
+    else if (resultsShown) restartRace();
     return;
   }
 
   if (!isStarted) return;
 
-  switch (e.key.toLowerCase()) {
-    case 'w': controller.throttle = 1; break;
-    case 's': controller.throttle = -1; break;
-    case 'a': controller.yawInput = -1; break;
-    case 'd': controller.yawInput = 1; break;
-    case 'shift': controller.boost = true; break;
-    case ' ':
-      e.preventDefault();
-      createSonarEffect(scene, airplane.position.clone());
+  switch (action) {
+    case 'sonarPing':
+      sonar.ping(airplane.position);
+      audio.ping(sonar.duration);
       break;
-    case 'r':
+    case 'toggleHighlight':
       groundHighlight = !groundHighlight;
-      terrain.material.uniforms.highlight.value = groundHighlight ? 1.0 : 0.0;
+      terrain.userData.uniforms.highlight.value = groundHighlight ? 1.0 : 0.0;
+      break;
+    case 'cycleCamera':
+      setCameraMode(CAMERA_MODES[(CAMERA_MODES.indexOf(cameraRig.mode) + 1) % CAMERA_MODES.length]);
+      break;
+    case 'togglePhoto':
+      setPhotoMode(true);
       break;
-    case 'g':
-      cameraMode = (cameraMode + 1) % 3;
-      controller.setCameraMode(cameraMode);
+    case 'toggleReplay':
+      if (replay) stopReplay();
+      else startReplay(recorder.recording);
       break;
-    case 'k':
+    case 'restartRace':
+      restartRace();
+      break;
+    case 'toggleSettings':
       setSettingsOpen(!settingsOpen);
       break;
-    case 'h':
+    case 'toggleTuning':
+      setTuningOpen(!tuningOpen);
+      break;
+    case 'freezeGraphs':
+      setGraphsFrozen(!telemetryHistory.paused);
+      break;
+    case 'toggleMute':
+      audio.set({ muted: !audio.options.muted });
+      if (audioMuteToggle) audioMuteToggle.checked = audio.options.muted;
+      persistSettings();
+      break;
+    case 'autopilotAltitude':
+      autopilot.toggle('altitude');
+      break;
+    case 'autopilotHeading':
+      autopilot.toggle('heading');
+      break;
+    case 'autopilotSpeed':
+      autopilot.toggle('speed');
+      break;
+    case 'autopilotTerrain':
+      autopilot.toggle('terrain');
+      break;
+    case 'autopilotOff':
+      autopilot.disengage();
+      break;
+    case 'autopilotUp':
+    case 'autopilotDown':
+      autopilot.adjustVertical(action === 'autopilotUp' ? 1 : -1);
+      break;
+    case 'autopilotLeft':
+    case 'autopilotRight':
+      autopilot.adjustHeading(action === 'autopilotRight' ? 1 : -1);
+      break;
+    case 'autopilotFaster':
+    case 'autopilotSlower':
+      autopilot.adjustSpeed(action === 'autopilotFaster' ? 1 : -1);
+      break;
+    case 'toggleDebug':
       setDebugOpen(!debugOpen);
       if (debugToggle) {
         debugToggle.checked = debugOpen;
       }
+      persistSettings();
       break;
   }
+}
+
+// Held actions drive the controller's keyboard inputs, or fly the free camera
+function applyHeldActions() {
+  const axis = (positive, negative) => (heldActions.has(positive) ? 1 : 0) - (heldActions.has(negative) ? 1 : 0);
+  const free = cameraRig.mode === 'free';
+  cameraRig.move.set(axis('yawRight', 'yawLeft'), axis('cameraUp', 'cameraDown'), axis('throttleUp', 'throttleDown'));
+  if (!free) cameraRig.move.set(0, 0, 0);
+  cameraRig.boost = free && heldActions.has('afterburner');
+
+  controller.throttle = free ? 0 : axis('throttleUp', 'throttleDown');
+  controller.yawInput = free ? 0 : axis('yawRight', 'yawLeft');
+  controller.boost = !free && heldActions.has('afterburner');
+}
+
+// Gamepad / HOTAS
+const gamepad = new GamepadInput(controller, {
+  onAction: handleAction,
+  deadzone: settings.gamepadDeadzone
 });
+const gamepadStatus = document.getElementById('gamepad-status');
+const gamepadDeadzone = document.getElementById('gamepad-deadzone');
+const stickExpo = document.getElementById('stick-expo');
+
+function updateGamepadStatus() {
+  if (gamepadStatus) {
+    gamepadStatus.textContent = gamepad.connected ? gamepad.id.slice(0, 24) : 'None';
+    gamepadStatus.title = gamepad.id;
+  }
+}
+
+window.addEventListener('gamepadconnected', (e) => {
+  gamepad.connect(e.gamepad);
+  updateGamepadStatus();
+});
+
+window.addEventListener('gamepaddisconnected', (e) => {
+  gamepad.disconnect(e.gamepad);
+  updateGamepadStatus();
+});
+
+if (gamepadDeadzone) {
+  gamepadDeadzone.value = gamepad.deadzone;
+  gamepadDeadzone.addEventListener('input', () => {
+    gamepad.deadzone = Number(gamepadDeadzone.value);
+    persistSettings();
+  });
+}
+
+if (stickExpo) {
+  stickExpo.value = controller.inputExpo;
+  stickExpo.addEventListener('input', () => {
+    controller.inputExpo = Number(stickExpo.value);
+    persistSettings();
+  });
+}
+
+// Weather controls
+const windSpeedInput = document.getElementById('wind-speed');
+const windDirectionInput = document.getElementById('wind-direction');
+const windGustsInput = document.getElementById('wind-gusts');
+const turbulenceInput = document.getElementById('turbulence-level');
+const thermalsToggle = document.getElementById('thermals-toggle');
+const weatherValue = document.getElementById('weather-value');
+const TURBULENCE_LABELS = ['Calm', 'Light', 'Moderate', 'Severe'];
+
+function updateWeatherLabel() {
+  if (!weatherValue) return;
+  const { windSpeed, windDirection, turbulence } = atmosphere.weather;
+  weatherValue.textContent = windSpeed > 0
+    ? `${Math.round(windDirection).toString().padStart(3, '0')}/${windSpeed} ${TURBULENCE_LABELS[turbulence]}`
+    : TURBULENCE_LABELS[turbulence];
+}
+
+function setWeather(weather) {
+  atmosphere.set(weather);
+  updateWeatherLabel();
+}
+
+bindSetting(windSpeedInput, atmosphere.weather, 'windSpeed', Number, setWeather);
+bindSetting(windDirectionInput, atmosphere.weather, 'windDirection', Number, setWeather);
+bindSetting(windGustsInput, atmosphere.weather, 'gusts', Number, setWeather);
+bindSetting(turbulenceInput, atmosphere.weather, 'turbulence', Number, setWeather);
+bindSetting(thermalsToggle, atmosphere.weather, 'thermals', Boolean, setWeather);
+updateWeatherLabel();
+
+const weatherReset = document.getElementById('weather-reset');
+if (weatherReset) {
+  weatherReset.addEventListener('click', () => {
+    atmosphere.set(DEFAULT_WEATHER);
+    for (const [input, key] of [[windSpeedInput, 'windSpeed'], [windDirectionInput, 'windDirection'],
+      [windGustsInput, 'gusts'], [turbulenceInput, 'turbulence']]) {
+      if (input) input.value = atmosphere.weather[key];
+    }
+    if (thermalsToggle) thermalsToggle.checked = atmosphere.weather.thermals;
+    updateWeatherLabel();
+    persistSettings();
+  });
+}
+
+// Ground proximity warning thresholds
+const gpwsEnabledToggle = document.getElementById('gpws-enabled');
+const gpwsCautionInput = document.getElementById('gpws-caution-time');
+const gpwsWarningInput = document.getElementById('gpws-warning-time');
+const gpwsFloorInput = document.getElementById('gpws-floor');
+const gpwsCalloutsToggle = document.getElementById('gpws-callouts');
+const gpwsValue = document.getElementById('gpws-value');
+
+function updateGpwsLabel() {
+  if (!gpwsValue) return;
+  const { enabled, cautionTime, warningTime, floor } = gpws.options;
+  gpwsValue.textContent = enabled ? `${cautionTime}s/${warningTime}s ${floor}m` : 'Off';
+}
+
+function setGpws(options) {
+  gpws.set(options);
+  updateGpwsLabel();
+}
+
+bindSetting(gpwsEnabledToggle, gpws.options, 'enabled', Boolean, setGpws);
+bindSetting(gpwsCautionInput, gpws.options, 'cautionTime', Number, setGpws);
+bindSetting(gpwsWarningInput, gpws.options, 'warningTime', Number, setGpws);
+bindSetting(gpwsFloorInput, gpws.options, 'floor', Number, setGpws);
+bindSetting(gpwsCalloutsToggle, gpws.options, 'callouts', Boolean, setGpws);
+updateGpwsLabel();
+
+// Audio volumes
+const audioMuteToggle = document.getElementById('audio-mute');
+
+const setAudio = (options) => audio.set(options);
+bindSetting(audioMuteToggle, audio.options, 'muted', Boolean, setAudio);
+bindSetting(document.getElementById('audio-master'), audio.options, 'master', Number, setAudio);
+for (const bus of AUDIO_BUSES) bindSetting(document.getElementById(`audio-${bus}`), audio.options, bus, Number, setAudio);
+
+// Sonar range and speed, and the moving things it listens for
+const sonarRangeInput = document.getElementById('sonar-range');
+const sonarSpeedInput = document.getElementById('sonar-speed');
+
+const setSonar = (options) => sonar.set(options);
+bindSetting(sonarRangeInput, sonar.options, 'range', Number, setSonar);
+bindSetting(sonarSpeedInput, sonar.options, 'speed', Number, setSonar);
+
+sonar.targets = () => [
+  ...timeTrial.gates.map((gate, i) => ({ id: gate, type: 'gate', label: `GATE ${i + 1}`, position: gate.center })),
+  ...ghostRace.ghosts
+    .filter((ghost) => ghost.model.visible)
+    .map((ghost, i) => ({ id: ghost, type: 'aircraft', label: `GHOST ${i + 1}`, position: ghost.model.position }))
+];
+
+// Camera views: the mode picker and the active view's settings
+const cameraLabel = document.getElementById('camera-label');
+const cameraModeSelect = document.getElementById('camera-mode');
+const cameraSettings = document.getElementById('camera-settings');
+
+function setCameraMode(mode) {
+  cameraRig.setMode(mode);
+  applyHeldActions();
+  renderCameraSettings();
+  persistSettings();
+  if (cameraLabel) {
+    cameraLabel.textContent = CAMERA_LABELS[cameraRig.mode].toUpperCase();
+    cameraLabel.classList.remove('flash');
+    void cameraLabel.offsetWidth; // Restart the fade
+    cameraLabel.classList.add('flash');
+  }
+}
+
+function renderCameraSettings() {
+  if (cameraModeSelect) cameraModeSelect.value = cameraRig.mode;
+  if (!cameraSettings) return;
+  cameraSettings.innerHTML = '';
+  const mode = cameraRig.mode;
+  const values = cameraRig.settings(mode);
+  for (const [key, label, min, max, step] of CAMERA_SETTINGS[mode]) {
+    const row = document.createElement('label');
+    row.className = 'settings-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const input = document.createElement('input');
+    Object.assign(input, { type: 'range', min, max, step, value: values[key] });
+    input.addEventListener('input', () => {
+      cameraRig.set({ [mode]: { [key]: Number(input.value) } });
+      persistSettings();
+    });
+    row.append(name, input);
+    cameraSettings.appendChild(row);
+  }
+}
+
+if (cameraModeSelect) {
+  for (const mode of CAMERA_MODES) cameraModeSelect.add(new Option(CAMERA_LABELS[mode], mode));
+  cameraModeSelect.addEventListener('change', () => setCameraMode(cameraModeSelect.value));
+}
+renderCameraSettings();
+
+// Wingtip and flight-path trails
+const setTrails = (options) => trails.set(options);
+bindSetting(document.getElementById('trails-wingtips'), trails.options, 'wingtips', Boolean, setTrails);
+bindSetting(document.getElementById('trails-path'), trails.options, 'path', Boolean, setTrails);
+bindSetting(document.getElementById('trails-path-length'), trails.options, 'pathLength', Number, setTrails);
+
+// Photo mode: the flight freezes and the HUD hides while the free camera frames a capture
+const photoPanel = document.getElementById('photo-panel');
+const photoCapture = document.getElementById('photo-capture');
+const photoExit = document.getElementById('photo-exit');
+const photoMessage = document.getElementById('photo-message');
+const photoInputs = Object.fromEntries(
+  ['fov', 'roll', 'focus', 'depth', 'colors', 'scale'].map((key) => [key, document.getElementById(`photo-${key}`)])
+);
+
+function setPhotoMode(active) {
+  if (active === photo.active) return;
+  if (active) {
+    if (settingsOpen) setSettingsOpen(false);
+    if (tuningOpen) setTuningOpen(false);
+    photo.enter(airplane);
+    syncPhotoPanel();
+  } else {
+    photo.exit();
+    renderCameraSettings();
+  }
+  applyHeldActions();
+  document.body.classList.toggle('photo-mode', active);
+  if (photoPanel) {
+    photoPanel.classList.toggle('hidden', !active);
+    photoPanel.setAttribute('aria-hidden', active ? 'false' : 'true');
+  }
+  if (photoMessage) photoMessage.textContent = '';
+}
+
+function syncPhotoPanel() {
+  const scales = photoInputs.scale;
+  if (scales) {
+    for (const option of scales.options) {
+      const scale = Number(option.value);
+      option.textContent = `${scale}x (${window.innerWidth * scale}x${window.innerHeight * scale})`;
+    }
+  }
+  for (const [key, input] of Object.entries(photoInputs)) {
+    if (input) input.value = photo.options[key];
+  }
+}
+
+if (photoInputs.colors) {
+  for (const [id, label] of Object.entries(PHOTO_COLORS)) photoInputs.colors.add(new Option(label, id));
+}
+if (photoInputs.scale) {
+  for (const scale of PHOTO_SCALES) photoInputs.scale.add(new Option(`${scale}x`, scale));
+}
+// The fog band can reach out to the edge of the terrain
+for (const input of [photoInputs.focus, photoInputs.depth]) {
+  if (input) input.max = Math.round(terrain.userData.viewDistance);
+}
+
+for (const [key, input] of Object.entries(photoInputs)) {
+  if (!input) continue;
+  input.addEventListener('input', () => {
+    photo.set({ [key]: key === 'colors' ? input.value : Number(input.value) });
+  });
+}
+
+// Particle sizes follow the drawing buffer through a capture
+photo.onResize = (width, height) => effects.update(0, camera, height);
+
+if (photoCapture) {
+  photoCapture.addEventListener('click', async () => {
+    try {
+      const { blob, width, height } = await photo.capture(renderer, scene, camera);
+      downloadBlob(photoFilename(), blob);
+      if (photoMessage) photoMessage.textContent = `Saved ${width}x${height}`;
+    } catch (error) {
+      if (photoMessage) photoMessage.textContent = error.message;
+    }
+  });
+}
+
+if (photoExit) {
+  photoExit.addEventListener('click', () => setPhotoMode(false));
+}
+
+// Audio stops with the tab hidden
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) audio.suspend();
+  else if (isStarted) audio.resume();
+});
+
+updateGamepadStatus();
+
+// Input handling
+document.addEventListener('keydown', (e) => {
+  if (rebindingAction) {
+    e.preventDefault();
+    finishRebind(e.code);
+    return;
+  }
+
+  if (e.key === 'Enter' && !isStarted) {
+    startGame();
+    return;
+  }
+
+  if (!isStarted && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+    cycleAircraft(e.key === 'ArrowLeft' ? -1 : 1);
+    return;
+  }
 
-document.addEventListener('keyup', (e) => {
   if (!isStarted) return;
 
-  switch (e.key.toLowerCase()) {
-    case 'w': case 's': controller.throttle = 0; break;
-    case 'a': case 'd': controller.yawInput = 0; break;
-    case 'shift': controller.boost = false; break;
+  if (e.key === 'Enter' && controller.crashed && !photo.active) {
+    respawn();
+    return;
+  }
+
+  if (e.key === 'Enter' && resultsShown && !photo.active) {
+    restartRace();
+    return;
+  }
+
+  const action = inputMap.actionForCode(e.code);
+  if (!action) return;
+  e.preventDefault();
+
+  if (inputMap.isHeld(action)) {
+    heldActions.add(action);
+    applyHeldActions();
+  } else if (!e.repeat) {
+    handleAction(action);
   }
 });
 
+document.addEventListener('keyup', (e) => {
+  const action = inputMap.actionForCode(e.code);
+  if (!action || !heldActions.delete(action)) return;
+  applyHeldActions();
+});
+
+window.addEventListener('blur', () => {
+  heldActions.clear();
+  applyHeldActions();
+  cameraRig.orbiting = false;
+});
+
+// The mouse flies the aircraft; holding the right button swings the chase camera instead, and
+// the free camera always takes it. The wheel sets the chase distance
 document.addEventListener('mousemove', (e) => {
-  if (!isStarted || !document.pointerLockElement) return;
-  controller.handleMouseMove(e.movementX, e.movementY);
+  if (!isStarted) return;
+  if (cameraRig.orbiting) cameraRig.look(e.movementX, e.movementY);
+  else if (!document.pointerLockElement) return;
+  else if (cameraRig.mode === 'free') cameraRig.look(e.movementX, e.movementY);
+  else controller.handleMouseMove(e.movementX, e.movementY);
 });
 
-document.addEventListener('click', () => {
-  if (isStarted && !document.pointerLockElement && !settingsOpen) {
+document.addEventListener('mousedown', (e) => {
+  if (isStarted && e.button === 2) cameraRig.orbiting = true;
+});
+
+document.addEventListener('mouseup', (e) => {
+  if (e.button === 2) cameraRig.orbiting = false;
+});
+
+renderer.domElement.addEventListener('contextmenu', (e) => e.preventDefault());
+
+renderer.domElement.addEventListener('wheel', (e) => {
+  if (!isStarted) return;
+  e.preventDefault();
+  cameraRig.zoomBy(Math.sign(e.deltaY));
+}, { passive: false });
+
+document.addEventListener('click', (e) => {
+  // Photo mode looks around with the mouse but leaves it free over its panel
+  const lockable = photo.active ? e.target === renderer.domElement : !settingsOpen && !tuningOpen && !replay;
+  if (isStarted && !document.pointerLockElement && lockable) {
     renderer.domElement.requestPointerLock();
   }
 });
 
+// Autopilot annunciators: engaged modes lit with their targets, AP OFF after a disengage
+function updateAutopilotHud() {
+  if (!autopilotHud) return;
+  autopilotHud.classList.toggle('hidden', !autopilot.engaged && autopilot.alert === 0);
+  if (autopilotStatus) {
+    autopilotStatus.textContent = autopilot.engaged ? 'AP' : 'AP OFF';
+    autopilotStatus.classList.toggle('alert', !autopilot.engaged);
+  }
+
+  const targets = {
+    altitude: Math.round(autopilot.targetAltitude),
+    heading: (Math.round(toDeg(autopilot.targetHeading)) % 360).toString().padStart(3, '0'),
+    speed: Math.round(autopilot.targetSpeed),
+    terrain: Math.round(autopilot.clearance)
+  };
+  for (const mode of AUTOPILOT_MODES) {
+    const el = autopilotHud.querySelector(`[data-mode="${mode}"]`);
+    if (!el) continue;
+    el.classList.toggle('active', autopilot[mode]);
+    el.querySelector('.autopilot-target').textContent = autopilot[mode] ? targets[mode] : '---';
+  }
+}
+
+// Radar altitude under the ALT tape and the TERRAIN / PULL UP banner, colored by alert level
+function updateGpwsHud() {
+  const level = replay ? GPWS_CLEAR : gpws.level;
+  if (radarAltitudeValue) {
+    const { x, y, z } = airplane.position;
+    const height = y - getTerrainHeight(x, z);
+    radarAltitudeValue.textContent = height < 2500 ? Math.max(0, Math.round(height)) : '---';
+  }
+  if (radarAltitude) {
+    radarAltitude.classList.toggle('caution', level === GPWS_CAUTION);
+    radarAltitude.classList.toggle('warning', level === GPWS_WARNING);
+  }
+  if (gpwsWarning) {
+    gpwsWarning.textContent = GPWS_MESSAGES[level];
+    gpwsWarning.classList.toggle('hidden', level === GPWS_CLEAR);
+    gpwsWarning.classList.toggle('caution', level === GPWS_CAUTION);
+    gpwsWarning.classList.toggle('warning', level === GPWS_WARNING);
+  }
+}
+
 // Update HUD
 function updateHUD(delta) {
-  const speed = controller.speed;
+  const speed = controller.airspeed;
   const alt = airplane.position.y;
   const pitch = controller.pitch;
   const roll = controller.roll;
@@ -328,10 +1794,29 @@ function updateHUD(delta) {
     verticalSpeedEl.classList.add('warning');
   }
 
+  // Wind: where it blows from, with an arrow showing where it pushes relative to the nose
+  if (windValue) {
+    const t = controller.telemetry;
+    if (t.windSpeed < 0.5) {
+      windValue.textContent = 'CALM';
+      windArrow.style.visibility = 'hidden';
+    } else {
+      windValue.textContent = `${Math.round(t.windFrom).toString().padStart(3, '0')}/${Math.round(t.windSpeed)}`;
+      windArrow.style.visibility = 'visible';
+      windArrow.style.transform = `rotate(${t.windFrom + 180 - headingDeg}deg)`;
+    }
+  }
+
+  updateAutopilotHud();
+  updateGpwsHud();
+
   if (debugOpen && debugOutput && controller.telemetry) {
     const t = controller.telemetry;
+    const input = controller.pilotInput(debugInput);
     const lines = [
-      `SPD  ${t.speed.toFixed(1)} m/s`,
+      `SPD  ${t.airspeed.toFixed(1)} air  ${t.speed.toFixed(1)} gnd m/s`,
+      `WIND ${t.windFrom.toFixed(0).padStart(3, '0')}° ${t.windSpeed.toFixed(1)}  W ${t.windVertical >= 0 ? '+' : ''}${t.windVertical.toFixed(1)} m/s`,
+      `AIR  ρ ${t.density.toFixed(3)}  AGL ${Number.isFinite(t.heightAboveGround) ? t.heightAboveGround.toFixed(1) : '---'} m  GE ${(t.groundEffect * 100).toFixed(0)}%`,
       `THR  ${(t.throttle * 100).toFixed(0)}%  AB ${(controller.getAfterburnerPercent() * 100).toFixed(0)}%`,
       `AOA  ${toDeg(t.aoa).toFixed(1)}°  TRIM ${toDeg(t.aoaTrim).toFixed(1)}°`,
       `CMD  ${toDeg(t.aoaTarget).toFixed(1)}°  G ${t.gForce.toFixed(2)} / ${t.gCommand.toFixed(2)}`,
@@ -339,10 +1824,13 @@ function updateHUD(delta) {
       `CL ${t.cl.toFixed(2)} CD ${t.cd.toFixed(2)} CY ${t.cy.toFixed(2)}`,
       `LFT ${t.lift.toFixed(2)} DRG ${t.drag.toFixed(2)} SID ${t.side.toFixed(2)}`,
       `P/R/Y ${toDeg(t.pitchRate).toFixed(0)} ${toDeg(t.rollRate).toFixed(0)} ${toDeg(t.yawRate).toFixed(0)}`,
-      `STALL ${(t.stall * 100).toFixed(0)}%`
+      `STALL ${(t.stall * 100).toFixed(0)}%`,
+      `INP  R ${input.roll.toFixed(2)} P ${input.pitch.toFixed(2)} Y ${input.yaw.toFixed(2)} T ${input.throttle.toFixed(2)}${input.boost ? ' AB' : ''}`
     ];
     debugOutput.textContent = lines.join('\n');
   }
+
+  if (debugOpen && telemetryGraph) telemetryGraph.draw();
 }
 
 // Handle resize
@@ -350,20 +1838,61 @@ window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  if (photo.active) syncPhotoPanel(); // Resolution labels
 });
 
 // Animation loop
 const clock = new THREE.Clock();
 
+// One fixed physics step; everything that feeds the simulation or samples it runs here
+function stepSimulation(dt) {
+  const wasCrashed = controller.crashed;
+  trialFrom.copy(body.position);
+  autopilot.update(dt);
+  controller.step(dt);
+  if (wasCrashed && !controller.crashed) cameraRig.snap(); // Respawned after the crash delay
+  gpws.update(dt, body.position, controller.getVelocity(gpwsVelocity), controller.crashed);
+  recorder.capture(controller, dt);
+  telemetryHistory.record(controller, dt);
+  ghostRace.update(dt, body.position);
+  // Respawns teleport the airplane, so only sweep gates while flying
+  const flying = !wasCrashed && !controller.crashed;
+  timeTrial.update(dt, flying ? trialFrom : null, body.position);
+}
+
 function animate() {
   requestAnimationFrame(animate);
 
   const delta = clock.getDelta();
 
-  if (isStarted) {
-    controller.update(delta);
-    updateTerrain(terrain, airplane.position);
-    updateSonarEffects(scene, delta);
+  gamepad.poll();
+
+  if (isStarted && photo.active) {
+    // Photo mode: the world holds still while the free camera moves
+    audio.silence();
+    gpwsCallouts.update(delta, GPWS_CLEAR);
+    cameraRig.update(delta, airplane);
+    updateTerrain(terrain, airplane.position, renderer);
+  } else if (isStarted) {
+    if (replay) {
+      replay.update(delta);
+      updateReplayBar();
+    } else {
+      timestep.advance(delta, stepSimulation);
+      controller.interpolate(timestep.alpha);
+      updateGhostDelta();
+      updateCourseHud();
+      updateCrashOverlay();
+    }
+    if (replay) audio.silence();
+    else audio.update(delta, controller);
+    const calloutLevel = replay || !gpws.options.callouts ? GPWS_CLEAR : gpws.level;
+    gpwsCallouts.update(delta, calloutLevel);
+    cameraRig.update(delta, airplane);
+    updateTerrain(terrain, airplane.position, renderer);
+    updateEffects(delta);
+    sonar.update(delta);
+    updateSonarContacts();
     updateHUD(delta);
   }
 
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+// Photo mode: the flight holds still, the HUD steps aside and the free camera frames the shot.
+// Field of view, roll, the fog band and the terrain colors are set for the photo only and put
+// back on exit. Captures render the frame again at a multiple of the window resolution.
+
+export const PHOTO_SCALES = [1, 2, 3, 4];
+export const PHOTO_COLORS = { biome: 'Biome', plain: 'Plain' };
+
+export const DEFAULT_PHOTO = {
+  fov: 60,
+  roll: 0, // Degrees; positive banks the camera right
+  focus: 100, // Metres out where the fog starts
+  depth: 1800, // Metres from there to full fog
+  colors: 'biome',
+  scale: 2 // Multiple of the window resolution
+};
+
+// Capture size for scale times the window, shrunk to fit what the GPU can render
+export function photoSize(width, height, scale, maxSize) {
+  const fit = Math.min(scale, maxSize / width, maxSize / height);
+  return { width: Math.max(1, Math.floor(width * fit)), height: Math.max(1, Math.floor(height * fit)) };
+}
+
+export function photoFilename(date = new Date()) {
+  const pad = (n) => n.toString().padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `flight-${day}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.png`;
+}
+
+export class PhotoMode {
+  // rig: the CameraRig; uniforms: the terrain's shared uniforms (fog, highlight, pointScale)
+  constructor(rig, uniforms) {
+    this.rig = rig;
+    this.uniforms = uniforms;
+    this.options = { ...DEFAULT_PHOTO };
+    this.active = false;
+    this.onResize = null; // (width, height) of the drawing buffer, around a capture
+    this._saved = null;
+  }
+
+  // Start from the shot on screen: the free camera takes over where the view was, with the
+  // current field of view, fog and colors
+  enter(target) {
+    if (this.active) return;
+    const { rig, uniforms } = this;
+    this._saved = {
+      mode: rig.mode,
+      fogNear: uniforms.fogNear.value,
+      fogFar: uniforms.fogFar.value,
+      highlight: uniforms.highlight.value
+    };
+    Object.assign(this.options, {
+      fov: Math.round(rig.camera.fov),
+      roll: 0,
+      focus: Math.round(uniforms.fogNear.value),
+      depth: Math.round(uniforms.fogFar.value - uniforms.fogNear.value),
+      colors: uniforms.highlight.value > 0.5 ? 'biome' : 'plain'
+    });
+    rig.setMode('free', false);
+    rig.update(0, target); // Place the free camera now; its reset would clear the roll
+    this.active = true;
+    this.apply();
+  }
+
+  exit() {
+    if (!this.active) return;
+    const { rig, uniforms } = this;
+    rig.views.free.fov = null;
+    rig.views.free.roll = 0;
+    uniforms.fogNear.value = this._saved.fogNear;
+    uniforms.fogFar.value = this._saved.fogFar;
+    uniforms.highlight.value = this._saved.highlight;
+    rig.setMode(this._saved.mode, false);
+    this.active = false;
+    this._saved = null;
+  }
+
+  set(options) {
+    Object.assign(this.options, options);
+    if (this.active) this.apply();
+  }
+
+  apply() {
+    const { fov, roll, focus, depth, colors } = this.options;
+    const free = this.rig.views.free;
+    free.fov = fov;
+    free.roll = -THREE.MathUtils.degToRad(roll);
+    this.uniforms.fogNear.value = focus;
+    this.uniforms.fogFar.value = focus + Math.max(1, depth);
+    this.uniforms.highlight.value = colors === 'biome' ? 1 : 0;
+  }
+
+  // Render the frame at the chosen scale and encode it as a PNG; resolves to { blob, width,
+  // height }. The renderer is back at the window size by the time this returns
+  capture(renderer, scene, camera) {
+    const gl = renderer.getContext();
+    const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+    const view = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const pointScale = this.uniforms.pointScale.value;
+    const { width, height } = photoSize(view.x, view.y, this.options.scale, maxSize);
+
+    // Terrain points are sized in pixels, so they grow with the capture to keep the look
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    this.uniforms.pointScale.value = pointScale * width / (view.x * pixelRatio);
+    if (this.onResize) this.onResize(width, height);
+    renderer.render(scene, camera);
+
+    const encoded = new Promise((resolve, reject) => {
+      renderer.domElement.toBlob((blob) => {
+        if (blob) resolve({ blob, width, height });
+        else reject(new Error(`Couldn't encode a ${width}x${height} image`));
+      }, 'image/png');
+    });
+
+    // toBlob has copied the frame already
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(view.x, view.y, false);
+    this.uniforms.pointScale.value = pointScale;
+    if (this.onResize) this.onResize(view.x * pixelRatio, view.y * pixelRatio);
+    return encoded;
+  }
+}
@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+
+// Flight recorder: per-frame input state and aircraft pose in packed Float32 chunks
+
+const FIELDS = [
+  'time', 'dt',
+  'px', 'py', 'pz',
+  'qx', 'qy', 'qz', 'qw',
+  'vx', 'vy', 'vz',
+  'throttleSetting',
+  'roll', 'pitch', 'yaw', 'throttle', 'boost',
+  'afterburner', 'crashed'
+];
+const STRIDE = FIELDS.length;
+const FIELD = Object.fromEntries(FIELDS.map((name, index) => [name, index]));
+const CHUNK_FRAMES = 4096;
+const FORMAT_VERSION = 1;
+
+const _nextQuaternion = new THREE.Quaternion();
+
+export class FlightRecording {
+  constructor(header = {}) {
+    this.seed = header.seed ?? 0;
+    this.biomes = header.biomes ?? null;
+    this.aircraft = header.aircraft ?? null; // Profile id the flight was flown with
+    this.maxFrames = header.maxFrames ?? 120 * 60 * 15; // 15 minutes of physics steps
+    this.chunks = [];
+    this.frameCount = 0;
+  }
+
+  get duration() {
+    if (this.frameCount === 0) return 0;
+    return this.read(this.frameCount - 1, FIELD.time) - this.read(0, FIELD.time);
+  }
+
+  get startTime() {
+    return this.frameCount > 0 ? this.read(0, FIELD.time) : 0;
+  }
+
+  clear() {
+    this.chunks.length = 0;
+    this.frameCount = 0;
+  }
+
+  push(frame) {
+    // Drop the oldest chunk once over budget, keeping the most recent flight
+    if (this.frameCount >= this.maxFrames && this.chunks.length > 1) {
+      this.chunks.shift();
+      this.frameCount -= CHUNK_FRAMES;
+    }
+
+    const chunkIndex = Math.floor(this.frameCount / CHUNK_FRAMES);
+    if (chunkIndex >= this.chunks.length) {
+      this.chunks.push(new Float32Array(CHUNK_FRAMES * STRIDE));
+    }
+    this.chunks[chunkIndex].set(frame, (this.frameCount % CHUNK_FRAMES) * STRIDE);
+    this.frameCount += 1;
+  }
+
+  read(index, field) {
+    return this.chunks[Math.floor(index / CHUNK_FRAMES)][(index % CHUNK_FRAMES) * STRIDE + field];
+  }
+
+  // Index of the last frame at or before time t (relative to the recording start)
+  findFrame(t) {
+    const target = this.startTime + t;
+    let low = 0;
+    let high = this.frameCount - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.read(mid, FIELD.time) <= target) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  // Interpolated pose at time t (relative to the recording start); returns the nearest frame
+  samplePose(t, position, quaternion, velocity) {
+    const a = this.findFrame(t);
+    const b = Math.min(a + 1, this.frameCount - 1);
+    const ta = this.read(a, FIELD.time) - this.startTime;
+    const tb = this.read(b, FIELD.time) - this.startTime;
+    const k = tb > ta ? THREE.MathUtils.clamp((t - ta) / (tb - ta), 0, 1) : 0;
+    const lerpField = (field) => THREE.MathUtils.lerp(this.read(a, field), this.read(b, field), k);
+
+    position.set(lerpField(FIELD.px), lerpField(FIELD.py), lerpField(FIELD.pz));
+    if (velocity) velocity.set(lerpField(FIELD.vx), lerpField(FIELD.vy), lerpField(FIELD.vz));
+
+    quaternion.set(this.read(a, FIELD.qx), this.read(a, FIELD.qy), this.read(a, FIELD.qz), this.read(a, FIELD.qw));
+    _nextQuaternion.set(this.read(b, FIELD.qx), this.read(b, FIELD.qy), this.read(b, FIELD.qz), this.read(b, FIELD.qw));
+    quaternion.slerp(_nextQuaternion, k);
+
+    return k < 0.5 ? a : b;
+  }
+
+  frameTime(index) {
+    return this.read(index, FIELD.time) - this.startTime;
+  }
+
+  framePosition(index, target) {
+    return target.set(this.read(index, FIELD.px), this.read(index, FIELD.py), this.read(index, FIELD.pz));
+  }
+
+  isCrashed(index) {
+    return this.read(index, FIELD.crashed) > 0.5;
+  }
+
+  toJSON() {
+    const data = new Float32Array(this.frameCount * STRIDE);
+    for (let i = 0; i < this.frameCount; i++) {
+      for (let f = 0; f < STRIDE; f++) data[i * STRIDE + f] = this.read(i, f);
+    }
+
+    return {
+      format: 'particle-flight-recording',
+      version: FORMAT_VERSION,
+      seed: this.seed,
+      biomes: this.biomes,
+      aircraft: this.aircraft,
+      fields: FIELDS,
+      frameCount: this.frameCount,
+      data: encodeFloats(data)
+    };
+  }
+
+  static fromJSON(json) {
+    if (!json || json.format !== 'particle-flight-recording') {
+      throw new Error('Not a flight recording');
+    }
+    if (json.version !== FORMAT_VERSION || !Array.isArray(json.fields) || json.fields.join() !== FIELDS.join()) {
+      throw new Error(`Unsupported recording version ${json.version}`);
+    }
+    // Shared files can be cut short; zero-filled frames would put the replay at the origin
+    if (!Number.isInteger(json.frameCount) || json.frameCount < 1) {
+      throw new Error('Recording has no frames');
+    }
+    const data = typeof json.data === 'string' ? decodeFloats(json.data) : null;
+    if (!data || data.length !== json.frameCount * STRIDE) {
+      throw new Error('Recording data is truncated or corrupt');
+    }
+
+    const recording = new FlightRecording({
+      seed: json.seed,
+      biomes: json.biomes,
+      aircraft: json.aircraft,
+      maxFrames: Math.max(json.frameCount, 1)
+    });
+    for (let i = 0; i < json.frameCount; i++) {
+      recording.push(data.subarray(i * STRIDE, (i + 1) * STRIDE));
+    }
+    return recording;
+  }
+}
+
+function encodeFloats(floats) {
+  const bytes = new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeFloats(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Float32Array(bytes.buffer, 0, bytes.length >> 2);
+}
+
+export class FlightRecorder {
+  constructor(header = {}) {
+    this.recording = new FlightRecording(header);
+    this.time = 0;
+    this.enabled = true;
+    this._frame = new Float32Array(STRIDE);
+    this._velocity = new THREE.Vector3();
+    this._input = {};
+  }
+
+  reset(header = {}) {
+    this.recording = new FlightRecording({ ...header, maxFrames: this.recording.maxFrames });
+    this.time = 0;
+  }
+
+  // Call once per physics step, after controller.step()
+  capture(controller, dt) {
+    if (!this.enabled || !dt) return;
+    this.time += dt;
+
+    const frame = this._frame;
+    const { position, quaternion } = controller.airplane;
+    const velocity = controller.getVelocity(this._velocity);
+    const input = controller.pilotInput(this._input);
+
+    frame[FIELD.time] = this.time;
+    frame[FIELD.dt] = dt;
+    frame[FIELD.px] = position.x;
+    frame[FIELD.py] = position.y;
+    frame[FIELD.pz] = position.z;
+    frame[FIELD.qx] = quaternion.x;
+    frame[FIELD.qy] = quaternion.y;
+    frame[FIELD.qz] = quaternion.z;
+    frame[FIELD.qw] = quaternion.w;
+    frame[FIELD.vx] = velocity.x;
+    frame[FIELD.vy] = velocity.y;
+    frame[FIELD.vz] = velocity.z;
+    frame[FIELD.throttleSetting] = controller.throttleSetting;
+    frame[FIELD.roll] = input.roll;
+    frame[FIELD.pitch] = input.pitch;
+    frame[FIELD.yaw] = input.yaw;
+    frame[FIELD.throttle] = input.throttle;
+    frame[FIELD.boost] = input.boost ? 1 : 0;
+    frame[FIELD.afterburner] = controller.afterburnerActive ? 1 : 0;
+    frame[FIELD.crashed] = controller.crashed ? 1 : 0;
+
+    this.recording.push(frame);
+  }
+}
+
+// Drives the airplane, and the pilot's inputs, from a recording
+export class FlightReplay {
+  constructor(recording, controller) {
+    this.recording = recording;
+    this.controller = controller;
+    this.time = 0;
+    this.speed = 1;
+    this.playing = true;
+
+    this._position = new THREE.Vector3();
+    this._velocity = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+  }
+
+  get duration() {
+    return this.recording.duration;
+  }
+
+  seek(time) {
+    this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+  }
+
+  update(delta) {
+    if (this.recording.frameCount === 0) return;
+
+    if (this.playing) {
+      this.seek(this.time + delta * this.speed);
+      if (this.time >= this.duration) this.playing = false;
+    }
+
+    this.apply();
+    this.controller.interpolate(1);
+  }
+
+  apply() {
+    const rec = this.recording;
+    const controller = this.controller;
+    const frame = rec.samplePose(this.time, this._position, this._quaternion, this._velocity);
+
+    controller.setPose(this._position, this._quaternion, this._velocity);
+    controller.throttleSetting = rec.read(frame, FIELD.throttleSetting);
+    controller.telemetry.throttle = controller.throttleSetting;
+    controller.afterburnerActive = rec.read(frame, FIELD.afterburner) > 0.5;
+    controller.airplane.visible = !rec.isCrashed(frame);
+
+    // The recorded inputs stand in for the live mouse, keys and gamepad
+    controller.stickX = 0;
+    controller.stickY = 0;
+    controller.yawInput = 0;
+    controller.throttle = 0;
+    controller.boost = false;
+    controller.setAnalogInput({
+      roll: rec.read(frame, FIELD.roll),
+      pitch: rec.read(frame, FIELD.pitch),
+      yaw: rec.read(frame, FIELD.yaw),
+      throttle: rec.read(frame, FIELD.throttle),
+      boost: rec.read(frame, FIELD.boost) > 0.5
+    });
+  }
+
+  // Hand the inputs back to the pilot
+  stop() {
+    this.controller.setAnalogInput({});
+  }
+}
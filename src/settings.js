@@ -0,0 +1,57 @@
+// Persistent user settings (localStorage)
+
+const STORAGE_KEY = 'particle-flight.settings';
+const BEST_TIMES_KEY = 'particle-flight.best-times';
+
+export const DEFAULT_SETTINGS = {
+  bindings: null,
+  invertY: false,
+  mouseSensitivity: 0.0022,
+  debugHud: false,
+  gamepadDeadzone: 0.12,
+  stickExpo: 0.35,
+  aircraft: null, // Profile id; null flies the default airframe
+  graphChannels: null, // Telemetry channel ids; null shows the defaults
+  graphWindow: 10,
+  weather: null, // Atmosphere settings; null is still air
+  gpws: null, // Ground proximity warning thresholds; null uses the defaults
+  audio: null, // Volumes and mute; null uses the defaults
+  sonar: null, // Sonar range and speed; null uses the defaults
+  trails: null, // Wingtip and flight-path trails; null uses the defaults
+  camera: null // Camera mode and per-mode view settings; null uses the defaults
+};
+
+export function loadSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage can be unavailable (private mode, quota); settings stay in memory
+  }
+}
+
+// Best time-trial results, keyed by course id
+export function loadBestTimes() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(BEST_TIMES_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveBestTimes(times) {
+  try {
+    window.localStorage.setItem(BEST_TIMES_KEY, JSON.stringify(times));
+  } catch {
+    // Best times stay in memory for this session
+  }
+}
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+// Sonar scan: each ping sends a spherical wavefront out from the aircraft. The terrain shader
+// lights particles as the front passes (through the shared sonarPings/sonarFade uniforms), and
+// points of interest the front reaches (peaks, valleys, gates, other aircraft) become contacts
+// for the HUD to tag.
+
+export const MAX_SONAR_PINGS = 4;
+
+export const DEFAULT_SONAR = {
+  range: 1500, // m the wavefront travels before it dies out
+  speed: 500 // m/s
+};
+const SONAR_LIMITS = { range: [500, 4000], speed: [150, 1500] }; // The settings sliders' bounds
+
+export const CONTACT_TIME = 4; // Seconds a contact stays tagged
+const MAX_CONTACTS = 24;
+const FEATURE_GRID = 20; // Terrain samples from the ping to the edge of its range
+const MAX_PEAKS = 6;
+const MAX_VALLEYS = 4;
+const MIN_PROMINENCE = 12; // m a peak or valley must stand out from its surroundings
+
+// Local peaks and valleys on a grid around a point, most prominent first
+export function findTerrainFeatures(getHeight, origin, range) {
+  const spacing = range / FEATURE_GRID;
+  const size = FEATURE_GRID * 2 + 1;
+  const heights = new Float32Array(size * size);
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      heights[j * size + i] = getHeight(origin.x + (i - FEATURE_GRID) * spacing, origin.z + (j - FEATURE_GRID) * spacing);
+    }
+  }
+
+  const peaks = [];
+  const valleys = [];
+  for (let j = 1; j < size - 1; j++) {
+    for (let i = 1; i < size - 1; i++) {
+      const dx = (i - FEATURE_GRID) * spacing;
+      const dz = (j - FEATURE_GRID) * spacing;
+      if (dx * dx + dz * dz > range * range) continue;
+
+      const h = heights[j * size + i];
+      let highest = -Infinity;
+      let lowest = Infinity;
+      let sum = 0;
+      for (let v = -1; v <= 1; v++) {
+        for (let u = -1; u <= 1; u++) {
+          if (u === 0 && v === 0) continue;
+          const n = heights[(j + v) * size + i + u];
+          highest = Math.max(highest, n);
+          lowest = Math.min(lowest, n);
+          sum += n;
+        }
+      }
+
+      const prominence = h - sum / 8;
+      const position = new THREE.Vector3(origin.x + dx, h, origin.z + dz);
+      if (h > highest && prominence > MIN_PROMINENCE) peaks.push({ position, prominence });
+      if (h < lowest && -prominence > MIN_PROMINENCE) valleys.push({ position, prominence: -prominence });
+    }
+  }
+
+  const byProminence = (a, b) => b.prominence - a.prominence;
+  return [
+    ...peaks.sort(byProminence).slice(0, MAX_PEAKS).map(({ position }) => ({
+      type: 'peak', label: `▲ ${Math.round(position.y)}`, position
+    })),
+    ...valleys.sort(byProminence).slice(0, MAX_VALLEYS).map(({ position }) => ({
+      type: 'valley', label: `▼ ${Math.round(position.y)}`, position
+    }))
+  ];
+}
+
+export class Sonar {
+  constructor(getHeight, uniforms = null, options = {}) {
+    this.getHeight = getHeight;
+    this.uniforms = uniforms;
+    this.options = { ...DEFAULT_SONAR };
+    this.set(options);
+
+    // Moving things to listen for: () => [{ id, type, label, position }]
+    this.targets = () => [];
+
+    this.pings = [];
+    this.contacts = []; // { type, label, position, age }
+    this._distance = new THREE.Vector3();
+  }
+
+  // Options can come from storage: only finite numbers are taken, clamped to the sliders' bounds
+  set(options) {
+    for (const [key, [min, max]] of Object.entries(SONAR_LIMITS)) {
+      if (Number.isFinite(options[key])) this.options[key] = THREE.MathUtils.clamp(options[key], min, max);
+    }
+  }
+
+  // Seconds from a ping to its wavefront dying out
+  get duration() {
+    return this.options.range / this.options.speed;
+  }
+
+  ping(origin) {
+    if (this.pings.length >= MAX_SONAR_PINGS) this.pings.shift();
+    this.pings.push({
+      origin: origin.clone(),
+      age: 0,
+      features: findTerrainFeatures(this.getHeight, origin, this.options.range),
+      heard: new Set()
+    });
+    this._writeUniforms();
+  }
+
+  clear() {
+    this.pings.length = 0;
+    this.contacts.length = 0;
+    this._writeUniforms();
+  }
+
+  radius(ping) {
+    return ping.age * this.options.speed;
+  }
+
+  update(dt) {
+    for (const contact of this.contacts) contact.age += dt;
+    this.contacts = this.contacts.filter((contact) => contact.age < CONTACT_TIME);
+
+    const targets = this.pings.length > 0 ? this.targets() : [];
+    for (const ping of this.pings) {
+      ping.age += dt;
+      const radius = Math.min(this.radius(ping), this.options.range);
+      for (const feature of ping.features) this._listen(ping, feature, feature, radius);
+      for (const target of targets) this._listen(ping, target.id, target, radius);
+    }
+
+    this.pings = this.pings.filter((ping) => this.radius(ping) < this.options.range);
+    this._writeUniforms();
+  }
+
+  // Tag a point of interest once per ping when the front reaches it
+  _listen(ping, key, source, radius) {
+    if (ping.heard.has(key)) return;
+    if (this._distance.subVectors(source.position, ping.origin).length() > radius) return;
+    ping.heard.add(key);
+    if (this.contacts.length >= MAX_CONTACTS) this.contacts.shift();
+    this.contacts.push({ type: source.type, label: source.label, position: source.position.clone(), age: 0 });
+  }
+
+  _writeUniforms() {
+    if (!this.uniforms) return;
+    const { sonarPings, sonarFade } = this.uniforms;
+    for (let i = 0; i < MAX_SONAR_PINGS; i++) {
+      const ping = this.pings[i];
+      if (ping) {
+        const t = this.radius(ping) / this.options.range;
+        sonarPings.value[i].set(ping.origin.x, ping.origin.y, ping.origin.z, this.radius(ping));
+        sonarFade.value[i] = 1 - t * t;
+      } else {
+        sonarPings.value[i].set(0, 0, 0, -1e6);
+        sonarFade.value[i] = 0;
+      }
+    }
+  }
+}
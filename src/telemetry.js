@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+
+// Telemetry history and rolling strip charts for the debug HUD
+
+const RAD2DEG = THREE.MathUtils.RAD2DEG;
+
+// minSpan keeps a quiet channel from autoscaling its noise to full height
+export const TELEMETRY_CHANNELS = [
+  { id: 'aoa', label: 'AOA', unit: '°', color: '#00d4ff', minSpan: 4, read: (c) => c.telemetry.aoa * RAD2DEG },
+  { id: 'g', label: 'G', unit: 'g', color: '#a0ff40', minSpan: 1, read: (c) => c.telemetry.gForce },
+  { id: 'pitchRate', label: 'PITCH', unit: '°/s', color: '#ff9900', minSpan: 20, read: (c) => c.telemetry.pitchRate * RAD2DEG },
+  { id: 'rollRate', label: 'ROLL', unit: '°/s', color: '#ff40c0', minSpan: 20, read: (c) => c.telemetry.rollRate * RAD2DEG },
+  { id: 'yawRate', label: 'YAW', unit: '°/s', color: '#c080ff', minSpan: 10, read: (c) => c.telemetry.yawRate * RAD2DEG },
+  { id: 'stall', label: 'STALL', unit: '%', color: '#ff4444', minSpan: 100, read: (c) => c.telemetry.stall * 100 },
+  { id: 'speed', label: 'GND', unit: 'm/s', color: '#ffffff', minSpan: 10, read: (c) => c.telemetry.speed },
+  { id: 'airspeed', label: 'AIR', unit: 'm/s', color: '#b0c4ff', minSpan: 10, read: (c) => c.telemetry.airspeed },
+  { id: 'windVertical', label: 'UPDRAFT', unit: 'm/s', color: '#80ff80', minSpan: 2, read: (c) => c.telemetry.windVertical },
+  { id: 'density', label: 'DENSITY', unit: '', color: '#e0e0a0', minSpan: 0.05, read: (c) => c.telemetry.density },
+  { id: 'heightAboveGround', label: 'AGL', unit: 'm', color: '#ff8060', minSpan: 10, read: (c) => Math.min(c.telemetry.heightAboveGround, 1e4) },
+  { id: 'lift', label: 'LIFT', unit: 'm/s²', color: '#40ffd0', minSpan: 5, read: (c) => c.telemetry.lift },
+  { id: 'drag', label: 'DRAG', unit: 'm/s²', color: '#ffaa00', minSpan: 2, read: (c) => c.telemetry.drag }
+];
+
+export const DEFAULT_GRAPH_CHANNELS = ['aoa', 'g', 'pitchRate'];
+export const GRAPH_WINDOWS = [5, 10, 30, 60]; // Seconds
+
+// Fixed-size ring buffer of every channel, one sample per physics step
+export class TelemetryHistory {
+  constructor(capacity = 120 * 60) {
+    this.capacity = capacity;
+    this.time = new Float64Array(capacity);
+    this.values = TELEMETRY_CHANNELS.map(() => new Float32Array(capacity));
+    this.count = 0;
+    this.head = 0; // Next write index
+    this.clock = 0;
+    this.paused = false;
+  }
+
+  clear() {
+    this.count = 0;
+    this.head = 0;
+  }
+
+  record(controller, dt) {
+    this.clock += dt;
+    if (this.paused) return;
+
+    this.time[this.head] = this.clock;
+    for (let c = 0; c < TELEMETRY_CHANNELS.length; c++) {
+      this.values[c][this.head] = TELEMETRY_CHANNELS[c].read(controller);
+    }
+    this.head = (this.head + 1) % this.capacity;
+    this.count = Math.min(this.count + 1, this.capacity);
+  }
+
+  // Buffer index of the i-th oldest sample
+  index(i) {
+    return (this.head - this.count + i + this.capacity) % this.capacity;
+  }
+
+  latest(channelIndex) {
+    return this.count > 0 ? this.values[channelIndex][this.index(this.count - 1)] : 0;
+  }
+
+  toCSV() {
+    const header = ['time', ...TELEMETRY_CHANNELS.map((channel) => channel.id)];
+    const rows = [header.join(',')];
+    const start = this.count > 0 ? this.time[this.index(0)] : 0;
+
+    for (let i = 0; i < this.count; i++) {
+      const k = this.index(i);
+      const row = [(this.time[k] - start).toFixed(4)];
+      for (let c = 0; c < TELEMETRY_CHANNELS.length; c++) row.push(Number(this.values[c][k].toPrecision(6)));
+      rows.push(row.join(','));
+    }
+    return `${rows.join('\n')}\n`;
+  }
+}
+
+// Stacked strip charts, newest sample at the right edge
+export class TelemetryGraph {
+  constructor(canvas, history) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.history = history;
+    this.channels = DEFAULT_GRAPH_CHANNELS.slice();
+    this.window = 10;
+  }
+
+  draw() {
+    const { canvas, context: ctx, history } = this;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const selected = TELEMETRY_CHANNELS
+      .map((channel, index) => ({ channel, index }))
+      .filter(({ channel }) => this.channels.includes(channel.id));
+    if (selected.length === 0 || history.count === 0) return;
+
+    // Samples inside the time window
+    const end = history.time[history.index(history.count - 1)];
+    let first = history.count - 1;
+    while (first > 0 && end - history.time[history.index(first - 1)] <= this.window) first -= 1;
+
+    const stripHeight = height / selected.length;
+    ctx.font = '9px Consolas, Monaco, monospace';
+    ctx.lineWidth = 1;
+
+    selected.forEach(({ channel, index }, strip) => {
+      const top = strip * stripHeight;
+      const values = history.values[index];
+
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = first; i < history.count; i++) {
+        const value = values[history.index(i)];
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      const mid = (min + max) / 2;
+      const span = Math.max(max - min, channel.minSpan) * 1.1;
+      min = mid - span / 2;
+      max = mid + span / 2;
+      const y = (value) => top + stripHeight - ((value - min) / span) * stripHeight;
+
+      // Strip frame and zero line
+      ctx.strokeStyle = 'rgba(0, 212, 255, 0.2)';
+      ctx.strokeRect(0.5, top + 0.5, width - 1, stripHeight - 1);
+      if (min < 0 && max > 0) {
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(0, y(0));
+        ctx.lineTo(width, y(0));
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      ctx.strokeStyle = channel.color;
+      ctx.beginPath();
+      for (let i = first; i < history.count; i++) {
+        const k = history.index(i);
+        const x = width - ((end - history.time[k]) / this.window) * width;
+        if (i === first) ctx.moveTo(x, y(values[k]));
+        else ctx.lineTo(x, y(values[k]));
+      }
+      ctx.stroke();
+
+      ctx.fillStyle = channel.color;
+      ctx.fillText(`${channel.label} ${history.latest(index).toFixed(1)}${channel.unit}`, 4, top + 10);
+      ctx.fillStyle = 'rgba(0, 212, 255, 0.5)';
+      ctx.textAlign = 'right';
+      ctx.fillText(max.toFixed(1), width - 3, top + 10);
+      ctx.fillText(min.toFixed(1), width - 3, top + stripHeight - 3);
+      ctx.textAlign = 'left';
+    });
+  }
+}
@@ -1,19 +1,21 @@
 import * as THREE from 'three';
+import { createRandom, normalizeSeed, randomSeed } from './random.js';
+import { createTerrainGenerator, DEFAULT_BIOMES, MAX_BIOMES } from './biomes.js';
+import { MAX_SONAR_PINGS } from './sonar.js';
 
 // Terrain configuration
-const TERRAIN_SIZE = 1500;
-const PARTICLE_COUNT = 200000;
+const PARTICLE_BUDGET = 200000;
+const RING_COUNT = 4;
+const INNER_RING_SIZE = 500; // Each ring doubles in size and spacing
 
 // Simplex noise implementation
 class SimplexNoise {
-  constructor(seed = Math.random()) {
+  constructor(random = Math.random) {
     this.p = new Uint8Array(256);
     for (let i = 0; i < 256; i++) this.p[i] = i;
 
-    let n = seed * 256;
     for (let i = 255; i > 0; i--) {
-      n = (n * 16807) % 2147483647;
-      const j = n % (i + 1);
+      const j = Math.floor(random() * (i + 1));
       [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
     }
 
@@ -93,34 +95,112 @@ class SimplexNoise {
   }
 }
 
-const noise = new SimplexNoise(Math.random() * 10000);
+// World seed: drives the height field and particle sizes
+let worldSeed = 0;
+let noise = null;
+
+// Active generator: the biome list blended over the world
+let biomeNames = DEFAULT_BIOMES;
+let generator = null;
+
+export function setTerrainSeed(seed) {
+  worldSeed = normalizeSeed(seed);
+  noise = new SimplexNoise(createRandom(worldSeed));
+  generator = createTerrainGenerator(noise, biomeNames);
+  return worldSeed;
+}
+
+export function getTerrainSeed() {
+  return worldSeed;
+}
+
+export function setTerrainBiomes(names) {
+  generator = createTerrainGenerator(noise, names);
+  biomeNames = names;
+}
+
+export function getTerrainBiomes() {
+  return biomeNames.slice();
+}
+
+export function getTerrainGenerator() {
+  return generator;
+}
+
+setTerrainSeed(randomSeed());
 
 // Get terrain height at position
 export function getTerrainHeight(x, z) {
-  const scale = 0.002;
-  const height = noise.fbm(x * scale, z * scale, 6);
-  const base = height * 80;
-  const ridges = Math.abs(noise.noise2D(x * 0.001, z * 0.001)) * 40;
-  return base + ridges;
+  return generator.height(x, z);
 }
 
 // Vertex shader for particles
+// The grid is toroidal: each particle owns a fixed slot and the shader wraps it
+// into the window of cells around the player, reading its height from heightMap.
 const vertexShader = `
   attribute float size;
-  attribute float heightNorm;
+
+  uniform sampler2D heightMap;
+  uniform vec2 gridOrigin;
+  uniform float gridSize;
+  uniform float spacing;
+  uniform float sizeScale;
+  uniform float pointScale;
+  uniform vec2 holeMin;
+  uniform vec2 holeMax;
+  uniform vec2 heightRange;
+  uniform vec3 biomeLow[MAX_BIOMES];
+  uniform vec3 biomeHigh[MAX_BIOMES];
+  uniform vec4 sonarPings[MAX_SONAR_PINGS]; // xyz origin, w wavefront radius
+  uniform float sonarFade[MAX_SONAR_PINGS];
+  uniform float sonarWidth;
 
   varying float vHeightNorm;
   varying float vDistance;
+  varying vec3 vRampLow;
+  varying vec3 vRampHigh;
+  varying float vSonar;
 
   void main() {
-    vHeightNorm = heightNorm;
+    vSonar = 0.0;
+
+    vec2 slot = position.xz;
+    vec2 cell = gridOrigin + mod(slot - gridOrigin, gridSize);
+    vec2 world = cell * spacing;
+
+    // Area covered by the next denser ring
+    if (all(greaterThan(world, holeMin)) && all(lessThan(world, holeMax))) {
+      gl_PointSize = 0.0;
+      gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+      return;
+    }
+
+    // r: height, g/b: neighbouring biome indices, a: blend between them
+    vec4 texel = texture2D(heightMap, (slot + 0.5) / gridSize);
+    float y = texel.r;
+
+    vHeightNorm = clamp((y - heightRange.x) / heightRange.y, 0.0, 1.0);
+
+    int primary = int(texel.g + 0.5);
+    int secondary = int(texel.b + 0.5);
+    vRampLow = mix(biomeLow[primary], biomeLow[secondary], texel.a);
+    vRampHigh = mix(biomeHigh[primary], biomeHigh[secondary], texel.a);
 
-    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vec4 mvPosition = modelViewMatrix * vec4(world.x, y, world.y, 1.0);
     vDistance = -mvPosition.z;
 
+    // Sonar: bright where a wavefront is passing, with a fading wake behind it
+    vec3 particle = vec3(world.x, y, world.y);
+    for (int i = 0; i < MAX_SONAR_PINGS; i++) {
+      float behind = sonarPings[i].w - distance(particle, sonarPings[i].xyz);
+      float front = behind / sonarWidth;
+      float glow = behind < 0.0 ? exp(-front * front) : exp(-front / 6.0);
+      vSonar = max(vSonar, glow * sonarFade[i]);
+    }
+
     // Size attenuation
-    gl_PointSize = size * (300.0 / vDistance);
-    gl_PointSize = clamp(gl_PointSize, 1.0, 8.0);
+    gl_PointSize = size * sizeScale * (300.0 / vDistance);
+    gl_PointSize = clamp(gl_PointSize, 1.0, 8.0) * (1.0 + vSonar) * pointScale;
 
     gl_Position = projectionMatrix * mvPosition;
   }
@@ -130,8 +210,14 @@ const vertexShader = `
 const fragmentShader = `
   varying float vHeightNorm;
   varying float vDistance;
+  varying vec3 vRampLow;
+  varying vec3 vRampHigh;
+  varying float vSonar;
 
   uniform float highlight;
+  uniform float fogNear;
+  uniform float fogFar;
+  uniform vec3 sonarColor;
 
   void main() {
     // Circular point
@@ -143,16 +229,14 @@ const fragmentShader = `
     float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
 
     // Distance fog
-    float fog = 1.0 - smoothstep(100.0, 1000.0, vDistance);
+    float fog = 1.0 - smoothstep(fogNear, fogFar, vDistance);
 
     // Color based on highlight mode
     vec3 color;
 
     if (highlight > 0.5) {
-      // Highlight mode: cyan (low) to red (high)
-      vec3 lowColor = vec3(0.0, 0.8, 1.0);  // Cyan
-      vec3 highColor = vec3(1.0, 0.3, 0.2); // Red-orange
-      color = mix(lowColor, highColor, vHeightNorm);
+      // Highlight mode: the biome's color ramp, low to high
+      color = mix(vRampLow, vRampHigh, vHeightNorm);
     } else {
       // Normal mode: blue-gray particles
       float h = 0.58 + vHeightNorm * 0.08;
@@ -176,47 +260,158 @@ const fragmentShader = `
       color = rgb + vec3(m);
     }
 
-    gl_FragColor = vec4(color, alpha * fog);
+    // Sonar returns light up and show through the fog
+    color = mix(color, sonarColor, vSonar * 0.8) + sonarColor * vSonar * 0.4;
+    gl_FragColor = vec4(color, alpha * max(fog, vSonar));
   }
 `;
 
-export function createTerrain(scene) {
-  const geometry = new THREE.BufferGeometry();
+export function createTerrain(scene, options = {}) {
+  if (options.seed !== undefined && options.seed !== null) {
+    setTerrainSeed(options.seed);
+  }
+  if (options.biomes) {
+    setTerrainBiomes(options.biomes);
+  }
+
+  const budget = options.particleBudget ?? PARTICLE_BUDGET;
+  const ringCount = Math.max(1, options.rings ?? RING_COUNT);
+  const innerSize = options.innerSize ?? INNER_RING_SIZE;
+  const center = options.center ?? { x: 0, z: 0 };
+
+  // Every ring gets the same slot grid, so density drops 4x per ring outwards
+  const gridSize = Math.floor(Math.sqrt(budget / ringCount));
+  const viewDistance = innerSize * Math.pow(2, ringCount - 1) / 2;
+
+  // Shared by every ring material
+  const uniforms = {
+    highlight: { value: 0.0 },
+    heightRange: { value: new THREE.Vector2() },
+    biomeLow: { value: Array.from({ length: MAX_BIOMES }, () => new THREE.Color()) },
+    biomeHigh: { value: Array.from({ length: MAX_BIOMES }, () => new THREE.Color()) },
+    fogNear: { value: Math.min(100, viewDistance * 0.1) },
+    fogFar: { value: viewDistance * 0.95 },
+    pointScale: { value: 1.0 }, // Pixel size multiplier; photo captures raise it with the resolution
+    sonarPings: { value: Array.from({ length: MAX_SONAR_PINGS }, () => new THREE.Vector4(0, 0, 0, -1e6)) },
+    sonarFade: { value: new Array(MAX_SONAR_PINGS).fill(0) },
+    sonarWidth: { value: 40 },
+    sonarColor: { value: new THREE.Color(0xff9900) }
+  };
+  applyGeneratorUniforms(uniforms);
+
+  // Separate stream so particle sizes never shift the height field
+  const random = createRandom(worldSeed ^ 0x9e3779b9);
+
+  const terrain = new THREE.Group();
+  const rings = [];
+
+  for (let level = 0; level < ringCount; level++) {
+    const size = innerSize * Math.pow(2, level);
+    const ring = createRing(gridSize, size / gridSize, uniforms, random);
+    ring.userData.level = level;
+    resetRing(ring, center);
+    rings.push(ring);
+    terrain.add(ring);
+  }
+
+  updateRingHoles(rings);
+
+  terrain.userData = { rings, uniforms, viewDistance, particleCount: gridSize * gridSize * ringCount };
+  scene.add(terrain);
 
-  const positions = new Float32Array(PARTICLE_COUNT * 3);
-  const heightNorms = new Float32Array(PARTICLE_COUNT);
-  const sizes = new Float32Array(PARTICLE_COUNT);
+  return terrain;
+}
 
-  const gridSize = Math.sqrt(PARTICLE_COUNT);
-  const spacing = TERRAIN_SIZE / gridSize;
+// Regenerate an existing terrain for another world (e.g. a replay from a different seed)
+export function rebuildTerrain(terrain, options = {}) {
+  if (options.seed !== undefined && options.seed !== null) {
+    setTerrainSeed(options.seed);
+  }
+  if (options.biomes) {
+    setTerrainBiomes(options.biomes);
+  }
 
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
-    const ix = i % gridSize;
-    const iz = Math.floor(i / gridSize);
+  const { rings, uniforms } = terrain.userData;
+  const center = options.center ?? { x: 0, z: 0 };
+  const random = createRandom(worldSeed ^ 0x9e3779b9);
+
+  applyGeneratorUniforms(uniforms);
+  for (const ring of rings) {
+    fillSizes(ring.geometry.attributes.size, random);
+    resetRing(ring, center);
+  }
+  updateRingHoles(rings);
+}
+
+function applyGeneratorUniforms(uniforms) {
+  const [minHeight, maxHeight] = generator.range;
+  uniforms.heightRange.value.set(minHeight, maxHeight - minHeight);
+
+  for (let i = 0; i < MAX_BIOMES; i++) {
+    const biome = generator.biomes[Math.min(i, generator.biomes.length - 1)];
+    uniforms.biomeLow.value[i].set(biome.colors.low);
+    uniforms.biomeHigh.value[i].set(biome.colors.high);
+  }
+}
 
-    const x = (ix - gridSize / 2) * spacing;
-    const z = (iz - gridSize / 2) * spacing;
-    const y = getTerrainHeight(x, z);
+// Size variation
+function fillSizes(attribute, random) {
+  for (let i = 0; i < attribute.count; i++) {
+    attribute.array[i] = 2 + random() * 2;
+  }
+  attribute.needsUpdate = true;
+}
 
-    positions[i * 3] = x;
-    positions[i * 3 + 1] = y;
-    positions[i * 3 + 2] = z;
+function createRing(gridSize, spacing, sharedUniforms, random) {
+  const geometry = new THREE.BufferGeometry();
+  const count = gridSize * gridSize;
 
-    // Normalize height for shader (0-1 range)
-    heightNorms[i] = Math.max(0, Math.min(1, (y + 40) / 120));
+  // Static slot coordinates; world placement happens in the vertex shader
+  const slots = new Float32Array(count * 3);
+  const sizes = new Float32Array(count);
 
-    // Size variation
-    sizes[i] = 2 + Math.random() * 2;
+  for (let i = 0; i < count; i++) {
+    slots[i * 3] = i % gridSize;
+    slots[i * 3 + 2] = Math.floor(i / gridSize);
   }
 
-  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-  geometry.setAttribute('heightNorm', new THREE.BufferAttribute(heightNorms, 1));
+  geometry.setAttribute('position', new THREE.BufferAttribute(slots, 3));
   geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+  fillSizes(geometry.attributes.size, random);
+
+  // Height and biome per slot, row-major in z so rows and columns upload as sub-rectangles
+  const texels = new Float32Array(count * 4);
+  const heightMap = new THREE.DataTexture(texels, gridSize, gridSize, THREE.RGBAFormat, THREE.FloatType);
+  heightMap.minFilter = THREE.NearestFilter;
+  heightMap.magFilter = THREE.NearestFilter;
+  heightMap.generateMipmaps = false;
+
+  const grid = {
+    size: gridSize,
+    half: Math.floor(gridSize / 2),
+    spacing,
+    originX: 0,
+    originZ: 0,
+    texels,
+    heightMap,
+    // Shares the texel array; only used as the source of partial uploads
+    source: new THREE.DataTexture(texels, gridSize, gridSize, THREE.RGBAFormat, THREE.FloatType),
+    cellsZ: new Int32Array(gridSize),
+    pending: []
+  };
 
   const material = new THREE.ShaderMaterial({
     uniforms: {
-      highlight: { value: 0.0 }
+      ...sharedUniforms,
+      heightMap: { value: heightMap },
+      gridOrigin: { value: new THREE.Vector2() },
+      gridSize: { value: gridSize },
+      spacing: { value: spacing },
+      sizeScale: { value: 1.0 },
+      holeMin: { value: new THREE.Vector2() },
+      holeMax: { value: new THREE.Vector2() }
     },
+    defines: { MAX_BIOMES, MAX_SONAR_PINGS },
     vertexShader,
     fragmentShader,
     transparent: true,
@@ -226,50 +421,159 @@ export function createTerrain(scene) {
 
   const points = new THREE.Points(geometry, material);
   points.frustumCulled = false; // Prevent disappearing
-  scene.add(points);
+  points.userData.grid = grid;
 
   return points;
 }
 
-// Update terrain particles based on player position (infinite terrain)
-export function updateTerrain(terrain, playerPos) {
-  const positions = terrain.geometry.attributes.position.array;
-  const heightNorms = terrain.geometry.attributes.heightNorm.array;
+function resetRing(ring, center) {
+  const grid = ring.userData.grid;
+  grid.originX = Math.floor(center.x / grid.spacing) - grid.half;
+  grid.originZ = Math.floor(center.z / grid.spacing) - grid.half;
+  fillColumns(grid, 0, grid.size);
+  grid.pending.length = 0;
+  grid.heightMap.needsUpdate = true;
+  ring.material.uniforms.gridOrigin.value.set(grid.originX, grid.originZ);
+  ring.material.uniforms.sizeScale.value = 1 + ring.userData.level * 0.35;
+}
 
-  const gridSize = Math.sqrt(PARTICLE_COUNT);
-  const spacing = TERRAIN_SIZE / gridSize;
-  const halfTerrain = TERRAIN_SIZE / 2;
+// Each ring hides the particles the next denser ring already covers
+function updateRingHoles(rings) {
+  for (let i = 1; i < rings.length; i++) {
+    const inner = rings[i - 1].userData.grid;
+    const { holeMin, holeMax } = rings[i].material.uniforms;
+    holeMin.value.set(inner.originX * inner.spacing, inner.originZ * inner.spacing);
+    holeMax.value.set(
+      (inner.originX + inner.size - 1) * inner.spacing,
+      (inner.originZ + inner.size - 1) * inner.spacing
+    );
+  }
+}
 
-  let needsUpdate = false;
+function mod(value, size) {
+  return ((value % size) + size) % size;
+}
 
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
-    let x = positions[i * 3];
-    let z = positions[i * 3 + 2];
+// World cell currently held by a slot along one axis
+function cellForSlot(slot, origin, size) {
+  return origin + mod(slot - origin, size);
+}
 
-    const dx = x - playerPos.x;
-    const dz = z - playerPos.z;
+// Slots whose cell changed when the window slid, as wrapped [start, count] ranges
+function changedSlots(oldOrigin, newOrigin, size) {
+  const shift = newOrigin - oldOrigin;
+  if (shift === 0) return [];
+  if (Math.abs(shift) >= size) return [[0, size]];
 
-    if (Math.abs(dx) > halfTerrain) {
-      x = playerPos.x - Math.sign(dx) * halfTerrain + (dx % spacing);
-      const y = getTerrainHeight(x, z);
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      heightNorms[i] = Math.max(0, Math.min(1, (y + 40) / 120));
-      needsUpdate = true;
+  const start = mod(shift > 0 ? oldOrigin + size : newOrigin, size);
+  const count = Math.abs(shift);
+  if (start + count <= size) return [[start, count]];
+  return [[start, size - start], [0, start + count - size]];
+}
+
+const sample = { height: 0, primary: 0, secondary: 0, blend: 0 };
+
+function writeTexel(texels, index, x, z) {
+  generator.sample(x, z, sample);
+  const offset = index * 4;
+  texels[offset] = sample.height;
+  texels[offset + 1] = sample.primary;
+  texels[offset + 2] = sample.secondary;
+  texels[offset + 3] = sample.blend;
+}
+
+function fillColumns(grid, start, count) {
+  const { size, spacing, texels, cellsZ } = grid;
+
+  for (let iz = 0; iz < size; iz++) {
+    cellsZ[iz] = cellForSlot(iz, grid.originZ, size);
+  }
+
+  for (let ix = start; ix < start + count; ix++) {
+    const x = cellForSlot(ix, grid.originX, size) * spacing;
+    for (let iz = 0; iz < size; iz++) {
+      writeTexel(texels, iz * size + ix, x, cellsZ[iz] * spacing);
     }
+  }
 
-    if (Math.abs(dz) > halfTerrain) {
-      z = playerPos.z - Math.sign(dz) * halfTerrain + (dz % spacing);
-      const y = getTerrainHeight(x, z);
-      positions[i * 3 + 2] = z;
-      positions[i * 3 + 1] = y;
-      heightNorms[i] = Math.max(0, Math.min(1, (y + 40) / 120));
-      needsUpdate = true;
+  grid.pending.push({ x: start, y: 0, width: count, height: size });
+}
+
+function fillRows(grid, start, count) {
+  const { size, spacing, texels } = grid;
+
+  for (let iz = start; iz < start + count; iz++) {
+    const z = cellForSlot(iz, grid.originZ, size) * spacing;
+    const row = iz * size;
+    for (let ix = 0; ix < size; ix++) {
+      writeTexel(texels, row + ix, cellForSlot(ix, grid.originX, size) * spacing, z);
     }
   }
 
-  if (needsUpdate) {
-    terrain.geometry.attributes.position.needsUpdate = true;
-    terrain.geometry.attributes.heightNorm.needsUpdate = true;
+  grid.pending.push({ x: 0, y: start, width: size, height: count });
+}
+
+// Upload only the regenerated strips; without a renderer fall back to a full upload
+function flushHeights(grid, renderer) {
+  if (grid.pending.length === 0) return;
+
+  if (!renderer) {
+    grid.heightMap.needsUpdate = true;
+  } else {
+    for (const region of grid.pending) {
+      const box = new THREE.Box2(
+        new THREE.Vector2(region.x, region.y),
+        new THREE.Vector2(region.x + region.width, region.y + region.height)
+      );
+      renderer.copyTextureToTexture(grid.source, grid.heightMap, box, new THREE.Vector2(region.x, region.y));
+    }
+  }
+
+  grid.pending.length = 0;
+}
+
+// Slide each ring's window with the player (infinite terrain).
+// Only strips that crossed a boundary are regenerated; returns the number of heights sampled.
+export function updateTerrain(terrain, playerPos, renderer) {
+  const { rings } = terrain.userData;
+  let sampled = 0;
+
+  for (const ring of rings) {
+    sampled += updateRing(ring, playerPos, renderer);
+  }
+
+  if (sampled > 0) updateRingHoles(rings);
+
+  return sampled;
+}
+
+function updateRing(ring, playerPos, renderer) {
+  const grid = ring.userData.grid;
+  const originX = Math.floor(playerPos.x / grid.spacing) - grid.half;
+  const originZ = Math.floor(playerPos.z / grid.spacing) - grid.half;
+
+  const columns = changedSlots(grid.originX, originX, grid.size);
+  // A full column refresh already covers every row
+  const rows = columns.length === 1 && columns[0][1] === grid.size
+    ? []
+    : changedSlots(grid.originZ, originZ, grid.size);
+  if (columns.length === 0 && rows.length === 0) return 0;
+
+  grid.originX = originX;
+  grid.originZ = originZ;
+
+  let sampled = 0;
+  for (const [start, count] of columns) {
+    fillColumns(grid, start, count);
+    sampled += count * grid.size;
+  }
+  for (const [start, count] of rows) {
+    fillRows(grid, start, count);
+    sampled += count * grid.size;
   }
+
+  ring.material.uniforms.gridOrigin.value.set(originX, originZ);
+  flushHeights(grid, renderer);
+
+  return sampled;
 }
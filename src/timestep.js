@@ -0,0 +1,36 @@
+// Fixed-timestep accumulator: the simulation advances in equal steps regardless of frame rate
+
+export const PHYSICS_STEP = 1 / 120;
+
+export class FixedTimestep {
+  constructor(step = PHYSICS_STEP, maxFrameTime = 0.25) {
+    this.step = step;
+    this.maxFrameTime = maxFrameTime; // Longer frames (tab switches, hitches) drop the excess
+    this.accumulator = 0;
+    this.steps = 0;
+    this.alpha = 0;
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.alpha = 0;
+  }
+
+  // Run stepFn(step) as many times as the elapsed time allows; returns the steps taken.
+  // Afterwards alpha is how far the leftover time reaches into the next step.
+  advance(delta, stepFn) {
+    if (!Number.isFinite(delta) || delta <= 0) return 0;
+    this.accumulator += Math.min(delta, this.maxFrameTime);
+
+    let taken = 0;
+    while (this.accumulator >= this.step) {
+      stepFn(this.step);
+      this.accumulator -= this.step;
+      this.steps += 1;
+      taken += 1;
+    }
+
+    this.alpha = this.accumulator / this.step;
+    return taken;
+  }
+}
@@ -0,0 +1,317 @@
+import * as THREE from 'three';
+import { TELEPORT_SPEED } from './controls.js';
+import { fogUniforms } from './effects.js';
+
+// Ribbon trails: wingtip vortices that show on hard pulls and high AoA, and an optional
+// flight-path ribbon that stays in the world for a set time so a finished loop can be seen.
+// Each trail keeps a ring of world-space samples; the vertex shader turns them into a
+// camera-facing strip and fades it by age, sample strength and the terrain fog.
+
+const clamp = THREE.MathUtils.clamp;
+
+export const DEFAULT_TRAILS = {
+  wingtips: true,
+  path: false,
+  pathLength: 30 // Seconds of flight path kept
+};
+const PATH_LENGTH_RANGE = [10, 180]; // The path length slider's bounds
+
+const G_ONSET = 2.5; // Load factor where wingtip trails start to show
+const G_FULL = 6;
+const AOA_ONSET = THREE.MathUtils.degToRad(8);
+const AOA_FULL = THREE.MathUtils.degToRad(16);
+
+// Wingtip trail opacity 0..1 from the load factor or the angle of attack, whichever is higher
+export function wingtipStrength(gForce, aoa) {
+  const g = clamp((gForce - G_ONSET) / (G_FULL - G_ONSET), 0, 1);
+  const alpha = clamp((Math.abs(aoa) - AOA_ONSET) / (AOA_FULL - AOA_ONSET), 0, 1);
+  return Math.max(g, alpha);
+}
+
+const vertexShader = `
+  attribute vec3 tangent;
+  attribute float edge;
+  attribute float birth;
+  attribute float strength;
+
+  uniform float time;
+  uniform float lifetime;
+  uniform float fadeStart;
+  uniform float width;
+
+  varying float vAlpha;
+  varying float vEdge;
+  varying float vDistance;
+
+  void main() {
+    // Widen across the view so the ribbon never turns edge-on to the camera
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vec3 along = mat3(modelViewMatrix) * tangent;
+    vec3 side = cross(along, mvPosition.xyz);
+    float length2 = dot(side, side);
+    side = length2 > 1e-8 ? side * inversesqrt(length2) : vec3(0.0, 1.0, 0.0);
+    mvPosition.xyz += side * width * 0.5 * edge;
+
+    float age = clamp((time - birth) / lifetime, 0.0, 1.0);
+    vAlpha = strength * (1.0 - smoothstep(fadeStart, 1.0, age));
+    vEdge = edge;
+    vDistance = -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const fragmentShader = `
+  uniform vec3 color;
+  uniform float opacity;
+  uniform float fogNear;
+  uniform float fogFar;
+
+  varying float vAlpha;
+  varying float vEdge;
+  varying float vDistance;
+
+  void main() {
+    float fog = 1.0 - smoothstep(fogNear, fogFar, vDistance);
+    float core = 1.0 - vEdge * vEdge;
+    gl_FragColor = vec4(color, opacity * vAlpha * core * fog);
+  }
+`;
+
+export class RibbonTrail {
+  // options: lifetime (s), interval (s between samples), width (m), color, opacity,
+  // fadeStart (share of the lifetime before fading begins), fog (uniforms with fogNear / fogFar)
+  constructor(options = {}) {
+    this.interval = options.interval ?? 1 / 30;
+    this.time = 0;
+    this.count = 0; // Stored samples
+    this._head = 0; // Next slot to write
+    this._sinceSample = Infinity;
+    this._broken = true; // Next sample starts a new strip
+    this._headPoint = new THREE.Vector3();
+    this._headStrength = 0;
+    this._hasHead = false;
+    this._point = new THREE.Vector3();
+    this._previous = new THREE.Vector3();
+    this._next = new THREE.Vector3();
+    this._tangent = new THREE.Vector3();
+
+    this.uniforms = {
+      time: { value: 0 },
+      lifetime: { value: 1 },
+      fadeStart: { value: options.fadeStart ?? 0 },
+      width: { value: options.width ?? 0.5 },
+      color: { value: new THREE.Color(options.color ?? 0xffffff) },
+      opacity: { value: options.opacity ?? 1 },
+      ...fogUniforms(options.fog)
+    };
+    this.material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending
+    });
+    this.geometry = new THREE.BufferGeometry();
+    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.mesh.frustumCulled = false; // Vertices are widened on the GPU
+    this.setLifetime(options.lifetime ?? 1);
+  }
+
+  get lifetime() {
+    return this.uniforms.lifetime.value;
+  }
+
+  // Resize the sample ring for a new lifetime; drops the stored trail
+  setLifetime(lifetime) {
+    this.uniforms.lifetime.value = lifetime;
+    this.capacity = Math.ceil(lifetime / this.interval) + 2;
+    this.samples = new Float32Array(this.capacity * 3);
+    this.births = new Float32Array(this.capacity);
+    this.strengths = new Float32Array(this.capacity);
+    this.breaks = new Uint8Array(this.capacity); // 1 where a sample doesn't join the one before
+
+    const vertices = (this.capacity + 1) * 2; // Every sample plus the live head, two edges each
+    this.geometry.dispose();
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+    this.geometry.setAttribute('tangent', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+    this.geometry.setAttribute('birth', new THREE.BufferAttribute(new Float32Array(vertices), 1));
+    this.geometry.setAttribute('strength', new THREE.BufferAttribute(new Float32Array(vertices), 1));
+    const edges = new Float32Array(vertices);
+    for (let i = 0; i < vertices; i++) edges[i] = i % 2 === 0 ? -1 : 1;
+    this.geometry.setAttribute('edge', new THREE.BufferAttribute(edges, 1));
+    this.geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(this.capacity * 6), 1));
+    for (const attribute of Object.values(this.geometry.attributes)) attribute.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.geometry = this.geometry;
+    this.clear();
+  }
+
+  clear() {
+    this.count = 0;
+    this._head = 0;
+    this._sinceSample = Infinity;
+    this._broken = true;
+    this._hasHead = false;
+    this.geometry.setDrawRange(0, 0);
+  }
+
+  // Samples oldest first: index 0 is the tail of the ribbon
+  _slot(index) {
+    return (this._head - this.count + index + this.capacity) % this.capacity;
+  }
+
+  samplePosition(index, target = new THREE.Vector3()) {
+    return target.fromArray(this.samples, this._slot(index) * 3);
+  }
+
+  // Advance the trail; position null (crashed, hidden) stops it, and the next sample starts a
+  // fresh strip. strength 0..1 scales the opacity where the sample is laid
+  update(dt, position, strength = 1) {
+    this.time += dt;
+    this.uniforms.time.value = this.time;
+
+    // Drop samples that have fully faded
+    while (this.count > 0 && this.time - this.births[this._slot(0)] > this.lifetime) this.count--;
+
+    if (!position) {
+      this._broken = true;
+      this._hasHead = false;
+    } else {
+      if (this.count > 0 && !this._broken) {
+        const last = this.samplePosition(this.count - 1, this._point);
+        if (last.distanceTo(position) > TELEPORT_SPEED * Math.max(dt, this._sinceSample)) this._broken = true;
+      }
+
+      // Summed frame deltas land just short of the interval, hence the tolerance
+      this._sinceSample += dt;
+      if (this._broken || this._sinceSample >= this.interval - 1e-6) this._addSample(position, strength);
+      this._headPoint.copy(position);
+      this._headStrength = strength;
+      this._hasHead = true;
+    }
+
+    this._build();
+  }
+
+  _addSample(position, strength) {
+    const slot = this._head;
+    position.toArray(this.samples, slot * 3);
+    this.births[slot] = this.time;
+    this.strengths[slot] = strength;
+    this.breaks[slot] = this._broken ? 1 : 0;
+    this._head = (this._head + 1) % this.capacity;
+    this.count = Math.min(this.count + 1, this.capacity);
+    this._sinceSample = 0;
+    this._broken = false;
+  }
+
+  // Lay the samples (and the live head) out oldest first as edge pairs and join neighbours
+  _build() {
+    const { position, tangent, birth, strength } = this.geometry.attributes;
+    const index = this.geometry.index;
+    const points = this.count + (this._hasHead ? 1 : 0);
+
+    const pointAt = (i, target) => (i < this.count ? this.samplePosition(i, target) : target.copy(this._headPoint));
+    const { _previous: previous, _next: next, _point: point } = this;
+    let triangles = 0;
+
+    for (let i = 0; i < points; i++) {
+      pointAt(i, point);
+      const slot = i < this.count ? this._slot(i) : -1;
+      const joined = i > 0 && (slot < 0 || !this.breaks[slot]);
+      const joinedNext = i + 1 < points && (i + 1 >= this.count || !this.breaks[this._slot(i + 1)]);
+
+      // Direction along the ribbon from whichever neighbours this strip has
+      pointAt(joined ? i - 1 : i, previous);
+      pointAt(joinedNext ? i + 1 : i, next);
+      this._tangent.subVectors(next, previous);
+
+      for (let e = 0; e < 2; e++) {
+        const v = i * 2 + e;
+        point.toArray(position.array, v * 3);
+        this._tangent.toArray(tangent.array, v * 3);
+        birth.array[v] = slot < 0 ? this.time : this.births[slot];
+        strength.array[v] = slot < 0 ? this._headStrength : this.strengths[slot];
+      }
+
+      if (joinedNext) {
+        const v = i * 2;
+        index.array.set([v, v + 1, v + 2, v + 1, v + 3, v + 2], triangles * 3);
+        triangles += 2;
+      }
+    }
+
+    for (const attribute of [position, tangent, birth, strength, index]) attribute.needsUpdate = true;
+    this.geometry.setDrawRange(0, triangles * 3);
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+// The aircraft's trails: a ribbon off each wingtip and the optional flight path
+export class FlightTrails {
+  constructor(scene, options = {}, fog = null) {
+    this.options = { ...DEFAULT_TRAILS };
+    this.paused = false;
+    this.wingtips = [0, 1].map(() => new RibbonTrail({
+      lifetime: 1.5, interval: 1 / 30, width: 0.35, color: 0xdde8ff, opacity: 0.8, fog
+    }));
+    this.path = new RibbonTrail({
+      lifetime: this.options.pathLength, interval: 0.1, width: 1.2, color: 0xff9900, opacity: 0.45,
+      fadeStart: 0.85, fog
+    });
+    for (const trail of [...this.wingtips, this.path]) scene.add(trail.mesh);
+
+    this.anchors = [new THREE.Vector3(-1.8, 0, 0), new THREE.Vector3(1.8, 0, 0)];
+    this._point = new THREE.Vector3();
+    this.set(options);
+  }
+
+  // Options can come from storage: only booleans for the toggles and a finite path length
+  // within the slider's bounds are taken
+  set(options) {
+    for (const key of ['wingtips', 'path']) {
+      if (typeof options[key] === 'boolean') this.options[key] = options[key];
+    }
+    const [minLength, maxLength] = PATH_LENGTH_RANGE;
+    const { pathLength } = options;
+    if (Number.isFinite(pathLength) && pathLength >= minLength && pathLength <= maxLength) {
+      this.options.pathLength = pathLength;
+    }
+    if (this.path.lifetime !== this.options.pathLength) this.path.setLifetime(this.options.pathLength);
+    for (const trail of this.wingtips) {
+      trail.mesh.visible = this.options.wingtips;
+      if (!this.options.wingtips) trail.clear();
+    }
+    this.path.mesh.visible = this.options.path;
+    if (!this.options.path) this.path.clear();
+  }
+
+  // Wingtip positions in the model's space
+  attach(wingtips) {
+    wingtips.forEach((tip, i) => this.anchors[i].copy(tip));
+  }
+
+  clear() {
+    for (const trail of [...this.wingtips, this.path]) trail.clear();
+  }
+
+  // Follow the displayed model; strength is the wingtip trail opacity, flying false breaks both
+  update(dt, model, strength, flying = true) {
+    if (this.paused || dt <= 0) return;
+    model.updateMatrixWorld();
+
+    if (this.options.wingtips) {
+      this.wingtips.forEach((trail, i) => {
+        const point = flying ? this._point.copy(this.anchors[i]).applyMatrix4(model.matrixWorld) : null;
+        trail.update(dt, point, strength);
+      });
+    }
+    if (this.options.path) this.path.update(dt, flying ? model.position : null);
+  }
+}
@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+import { ANGLE_KEYS, HANDLING_KEYS, validateAircraftProfile } from './aircraft.js';
+
+// Live flight-model tuning: grouped controller parameters with slider ranges,
+// and a JSON export whose handling block drops straight into an aircraft profile
+
+const FORMAT = 'particle-flight-tuning';
+const FORMAT_VERSION = 1;
+
+// [key, label, min, max, step]; angles are shown in degrees like the profiles
+export const TUNING_GROUPS = [
+  {
+    id: 'speeds',
+    label: 'Speeds',
+    params: [
+      ['minSpeed', 'Min speed', 10, 200, 1],
+      ['stallSpeed', 'Stall speed', 10, 250, 1],
+      ['cruiseSpeed', 'Cruise speed', 40, 500, 1],
+      ['maxSpeed', 'Max speed', 60, 700, 1],
+      ['afterburnerSpeed', 'Afterburner speed', 80, 900, 1]
+    ]
+  },
+  {
+    id: 'rates',
+    label: 'Rate limits',
+    params: [
+      ['maxPitchRate', 'Pitch rate °/s', 20, 400, 1],
+      ['maxRollRate', 'Roll rate °/s', 20, 500, 1],
+      ['maxYawRate', 'Yaw rate °/s', 10, 250, 1],
+      ['pitchResponse', 'Pitch response', 0.5, 20, 0.1],
+      ['rollResponse', 'Roll response', 0.5, 20, 0.1],
+      ['yawResponse', 'Yaw response', 0.5, 20, 0.1]
+    ]
+  },
+  {
+    id: 'stability',
+    label: 'Stability',
+    params: [
+      ['rollStability', 'Roll stability', 0.1, 8, 0.1],
+      ['alphaStability', 'AoA stability', 0.1, 8, 0.1],
+      ['betaStability', 'Sideslip stability', 0.1, 8, 0.1],
+      ['rollToYaw', 'Roll to yaw', 0, 3, 0.05],
+      ['pitchDamping', 'Pitch damping', 0.1, 8, 0.1],
+      ['rollDamping', 'Roll damping', 0.1, 8, 0.1],
+      ['yawDamping', 'Yaw damping', 0.1, 8, 0.1],
+      ['flightPathHoldGain', 'Path hold gain', 0.1, 5, 0.05],
+      ['flightPathHoldMax', 'Path hold max °', 1, 30, 0.5],
+      ['aoaLimit', 'AoA limit °', 4, 40, 0.5],
+      ['aoaLimiterGain', 'AoA limiter gain', 1, 40, 0.5],
+      ['velocityAlign', 'Velocity align', 0, 1.5, 0.01]
+    ]
+  },
+  {
+    id: 'aero',
+    label: 'Aero coefficients',
+    params: [
+      ['liftScalar', 'Lift scalar', 0.0001, 0.01, 0.0001],
+      ['dragScalar', 'Drag scalar', 0.0001, 0.01, 0.00005],
+      ['sideScalar', 'Side scalar', 0.0001, 0.005, 0.00005],
+      ['cl0', 'CL0', 0, 1, 0.01],
+      ['clAlpha', 'CL alpha', 0.5, 10, 0.1],
+      ['clMax', 'CL max', 0.3, 3, 0.05],
+      ['cd0', 'CD0', 0.001, 0.2, 0.001],
+      ['cdAlpha', 'CD alpha', 0.01, 2, 0.01],
+      ['cdInduced', 'CD induced', 0.01, 1, 0.01],
+      ['stallAoA', 'Stall AoA °', 4, 40, 0.5],
+      ['stallFade', 'Stall fade °', 1, 30, 0.5],
+      ['stallDrag', 'Stall drag', 0, 3, 0.05],
+      ['cyBeta', 'CY beta', 0.05, 3, 0.05],
+      ['cyMax', 'CY max', 0.1, 3, 0.05],
+      ['wingspan', 'Wingspan', 0.5, 20, 0.1],
+      ['groundEffectLift', 'Ground effect lift', 0, 0.6, 0.01]
+    ]
+  },
+  {
+    id: 'thrust',
+    label: 'Thrust',
+    params: [
+      ['trimThrottle', 'Trim throttle', 0, 1, 0.01],
+      ['throttleRate', 'Throttle rate', 0.05, 3, 0.05],
+      ['idleThrust', 'Idle thrust', 0, 20, 0.1],
+      ['maxThrust', 'Max thrust', 0.5, 60, 0.5],
+      ['afterburnerThrust', 'Afterburner thrust', 0, 60, 0.5],
+      ['thrustLapse', 'Thrust lapse', 0, 1.5, 0.05],
+      ['afterburnerBurnRate', 'AB burn rate', 0, 1, 0.01],
+      ['afterburnerRegenRate', 'AB regen rate', 0.01, 1, 0.01]
+    ]
+  },
+  {
+    id: 'camera',
+    label: 'Camera',
+    params: [
+      ['cameraLag', 'Camera lag', 0.5, 20, 0.1],
+      ['chaseDistance', 'Chase distance', 5, 120, 1],
+      ['chaseHeight', 'Chase height', -10, 60, 0.5],
+      ['cameraFov', 'FOV', 40, 110, 1],
+      ['afterburnerFov', 'Afterburner FOV', 40, 120, 1]
+    ]
+  }
+].map((group) => ({
+  ...group,
+  params: group.params.map(([key, label, min, max, step]) => ({ key, label, min, max, step }))
+}));
+
+export const CAMERA_KEYS = TUNING_GROUPS.find((group) => group.id === 'camera').params.map((param) => param.key);
+
+// Controller value in profile units (degrees for angles)
+export function readParameter(controller, key) {
+  const value = controller[key];
+  return ANGLE_KEYS.includes(key) ? value * THREE.MathUtils.RAD2DEG : value;
+}
+
+export function writeParameter(controller, key, value) {
+  controller[key] = ANGLE_KEYS.includes(key) ? value * THREE.MathUtils.DEG2RAD : value;
+}
+
+// Current handling in profile form, plus the camera set
+export function exportTuning(controller) {
+  const handling = {};
+  for (const key of HANDLING_KEYS) handling[key] = round(readParameter(controller, key));
+  const camera = {};
+  for (const key of CAMERA_KEYS) camera[key] = round(readParameter(controller, key));
+
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    aircraft: controller.profile ? controller.profile.id : null,
+    handling,
+    camera
+  };
+}
+
+function round(value) {
+  return Number(value.toPrecision(6));
+}
+
+// Validate a tuning file against a base profile; missing handling keys keep the profile's value
+export function parseTuning(json, profile) {
+  if (!json || json.format !== FORMAT) {
+    throw new Error('Not a tuning file');
+  }
+  if (json.version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported tuning version ${json.version}`);
+  }
+
+  const handling = { ...profile.handling };
+  for (const [key, value] of Object.entries(json.handling || {})) {
+    if (!HANDLING_KEYS.includes(key)) throw new Error(`Unknown parameter ${key}`);
+    handling[key] = value;
+  }
+  validateAircraftProfile({ ...profile, handling });
+
+  const camera = {};
+  for (const [key, value] of Object.entries(json.camera || {})) {
+    if (!CAMERA_KEYS.includes(key)) throw new Error(`Unknown camera parameter ${key}`);
+    if (!Number.isFinite(value)) throw new Error(`${key} must be a number`);
+    camera[key] = value;
+  }
+
+  return { aircraft: json.aircraft ?? null, handling, camera };
+}
+
+// Apply parsed tuning; the controller keeps flying from its current state
+export function applyTuning(controller, tuning) {
+  controller.applyProfile({ ...controller.profile, handling: tuning.handling });
+  for (const [key, value] of Object.entries(tuning.camera)) controller[key] = value;
+}